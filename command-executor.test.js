@@ -0,0 +1,112 @@
+// execute_command classification, required permissions and key policy checks
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+for (const flag of ['ALLOW_INSERT', 'ALLOW_UPDATE', 'ALLOW_DELETE', 'ALLOW_ADMIN']) {
+  process.env[flag] = 'true';
+}
+
+const CommandExecutor = require('./src/utils/command-executor');
+const { KeyPolicy } = require('./src/utils/key-policy');
+const { stubConnectionManager } = require('./test-helpers');
+
+// COMMAND INFO entries: name, arity, flags, first key, last key, step, ACL categories, tips, key specs, subcommands
+const COMMANDS = {
+  script: ['script', -2, [], 0, 0, 0, ['@slow'], [], [], [['script|flush']]],
+  get: ['get', 2, ['readonly', 'fast'], 1, 1, 1, ['@read', '@string', '@fast']],
+  set: ['set', -3, ['write', 'denyoom'], 1, 1, 1, ['@write', '@string', '@slow']],
+  ping: ['ping', -1, ['fast'], 0, 0, 0, ['@fast', '@connection']],
+  publish: ['publish', 3, ['pubsub', 'loading', 'stale', 'fast'], 0, 0, 0, ['@pubsub', '@fast']],
+  flushdb: ['flushdb', -1, ['write'], 0, 0, 0, ['@keyspace', '@write', '@slow', '@dangerous']],
+  'config|get': ['config|get', -3, ['admin', 'noscript', 'loading', 'stale'], 0, 0, 0, ['@admin', '@slow', '@dangerous']],
+  'client|setname': ['client|setname', 3, ['noscript', 'loading', 'stale'], 0, 0, 0, ['@slow', '@connection']],
+  'client|getname': ['client|getname', 2, ['noscript', 'loading', 'stale'], 0, 0, 0, ['@slow', '@connection']],
+  'client|help': ['client|help', 2, ['loading', 'stale'], 0, 0, 0, ['@slow', '@connection']],
+  'script|flush': ['script|flush', -2, ['noscript'], 0, 0, 0, ['@slow', '@scripting']],
+  'script|exists': ['script|exists', -3, ['noscript'], 0, 0, 0, ['@slow', '@scripting']]
+};
+
+// Client answering COMMAND INFO from the table above and recording every other command
+const createExecutor = (keyPolicy = new KeyPolicy(null)) => {
+  const sent = [];
+  const client = {
+    sendCommand: async (argv) => {
+      if (argv[0] === 'COMMAND' && argv[1] === 'INFO') {
+        return [COMMANDS[argv[2]] || null];
+      }
+      sent.push(argv);
+      return 'OK';
+    }
+  };
+  const executor = new CommandExecutor(stubConnectionManager(client), keyPolicy);
+  executor.sent = sent;
+  return executor;
+};
+
+// Command info as CommandExecutor parses it
+const infoOf = (name) => {
+  const [, , flags, , , , categories] = COMMANDS[name];
+  return {
+    name: name.toUpperCase(),
+    flags: flags,
+    categories: categories.map(category => category.slice(1))
+  };
+};
+
+test('commands are classified by flags and categories', () => {
+  const executor = createExecutor();
+  assert.equal(executor.classify(infoOf('get')), 'readonly');
+  assert.equal(executor.classify(infoOf('set')), 'write');
+  assert.equal(executor.classify(infoOf('flushdb')), 'dangerous');
+  assert.equal(executor.classify(infoOf('config|get')), 'admin');
+  assert.equal(executor.classify(infoOf('ping')), 'none');
+  assert.equal(executor.classify(infoOf('client|getname')), 'none');
+  assert.equal(executor.classify(infoOf('client|help')), 'none');
+  assert.equal(executor.classify(infoOf('script|exists')), 'none');
+});
+
+test('flagless commands with side effects are writes', () => {
+  const executor = createExecutor();
+  for (const name of ['publish', 'client|setname', 'script|flush']) {
+    assert.equal(executor.classify(infoOf(name)), 'write', name);
+    assert.deepEqual(executor.requiredPermissions(infoOf(name)), ['insert', 'update', 'delete'], name);
+  }
+});
+
+test('required permissions follow the classification', () => {
+  const executor = createExecutor();
+  assert.deepEqual(executor.requiredPermissions(infoOf('get')), []);
+  assert.deepEqual(executor.requiredPermissions(infoOf('ping')), []);
+  assert.deepEqual(executor.requiredPermissions(infoOf('set')), ['insert', 'update', 'delete']);
+  assert.deepEqual(executor.requiredPermissions(infoOf('flushdb')), ['insert', 'update', 'delete', 'admin']);
+  assert.deepEqual(executor.requiredPermissions(infoOf('config|get')), ['admin']);
+});
+
+test('the key policy checks key arguments and refuses writes without keys', async () => {
+  const executor = createExecutor(new KeyPolicy([{ effect: 'deny', keys: 'secret:*' }]));
+
+  const result = await executor.executeCommand({ command: 'SET', args: ['app:1', 'x'] });
+  assert.deepEqual(result.keys, ['app:1']);
+  await assert.rejects(executor.executeCommand({ command: 'GET', args: ['secret:1'] }), /Key 'secret:1' is not allowed for read operations/);
+  await assert.rejects(executor.executeCommand({ command: 'FLUSHDB' }), /FLUSHDB is not supported by execute_command while a key policy is configured/);
+  await assert.rejects(executor.executeCommand({ command: 'PUBLISH', args: ['news', 'hi'] }), /PUBLISH is not supported/);
+  await assert.rejects(executor.executeCommand({ command: 'SCRIPT', args: ['FLUSH'] }), /SCRIPT FLUSH is not supported/);
+
+  assert.equal((await executor.executeCommand({ command: 'PING' })).classification, 'none');
+  assert.deepEqual(executor.sent, [['SET', 'app:1', 'x'], ['PING']]);
+});
+
+test('without a key policy keyless writes run', async () => {
+  const executor = createExecutor();
+  const result = await executor.executeCommand({ command: 'PUBLISH', args: ['news', 'hi'] });
+  assert.equal(result.classification, 'write');
+  assert.deepEqual(executor.sent, [['PUBLISH', 'news', 'hi']]);
+});
+
+test('connection state, script and unknown commands are refused', async () => {
+  const executor = createExecutor();
+  await assert.rejects(executor.executeCommand({ command: 'SELECT', args: ['1'] }), /SELECT is not supported.*select_database/);
+  await assert.rejects(executor.executeCommand({ command: 'CLIENT REPLY', args: ['OFF'] }), /CLIENT REPLY is not supported/);
+  await assert.rejects(executor.executeCommand({ command: 'EVAL', args: ['return 1', '0'] }), /use eval_script/);
+  await assert.rejects(executor.executeCommand({ command: 'NOPE' }), /Unknown Redis command: NOPE/);
+});
@@ -0,0 +1,54 @@
+// Unit tests for two-phase confirmation tokens
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ConfirmationManager } = require('./src/utils/confirmation');
+
+const createManager = (ttlSeconds = 60) => new ConfirmationManager({ enabled: true, ttlSeconds: ttlSeconds });
+
+test('a token confirms the same call once', () => {
+  const manager = createManager();
+  const { token, expiresAt } = manager.issue('delete_data', { key: 'a', db: 1 });
+
+  assert.match(token, /^[0-9a-f]{16}$/);
+  assert.ok(Date.parse(expiresAt) > Date.now());
+  assert.doesNotThrow(() => manager.consume('delete_data', { key: 'a', db: 1 }, token));
+  assert.throws(() => manager.consume('delete_data', { key: 'a', db: 1 }, token), /Invalid or expired confirmation token/);
+});
+
+test('a token is bound to the tool and its arguments', () => {
+  const manager = createManager();
+  const { token } = manager.issue('delete_data', { key: 'a' });
+
+  assert.throws(() => manager.consume('drop_key', { key: 'a' }, token), /does not match this call/);
+  assert.throws(() => manager.consume('delete_data', { key: 'b' }, token), /does not match this call/);
+  assert.throws(() => manager.consume('delete_data', { key: 'a', db: 2 }, token), /does not match this call/);
+
+  // A mismatch does not use the token up
+  assert.doesNotThrow(() => manager.consume('delete_data', { key: 'a' }, token));
+});
+
+test('argument order and unset arguments do not change the fingerprint', () => {
+  const manager = createManager();
+
+  assert.equal(
+    manager.fingerprint('update_data', { key: 'a', value: { b: 1, a: [2, { d: 3, c: 4 }] } }),
+    manager.fingerprint('update_data', { value: { a: [2, { c: 4, d: 3 }], b: 1 }, key: 'a', ttl: null, db: undefined })
+  );
+  assert.notEqual(
+    manager.fingerprint('update_data', { key: 'a', value: [1, 2] }),
+    manager.fingerprint('update_data', { key: 'a', value: [2, 1] })
+  );
+  assert.notEqual(
+    manager.fingerprint('update_data', { key: 'a', value: '1' }),
+    manager.fingerprint('update_data', { key: 'a', value: 1 })
+  );
+});
+
+test('expired and unknown tokens are rejected', () => {
+  const manager = createManager(0);
+  const { token } = manager.issue('drop_key', { key: 'a' });
+
+  assert.throws(() => manager.consume('drop_key', { key: 'a' }, token), /Invalid or expired confirmation token/);
+  assert.equal(manager.tokens.size, 0);
+  assert.throws(() => createManager().consume('drop_key', { key: 'a' }, 'deadbeefdeadbeef'), /Invalid or expired/);
+});
@@ -0,0 +1,123 @@
+// Counter increments: ttl_if_new only expires keys the increment creates, and counters need insert
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.ALLOW_INSERT = 'true';
+process.env.ALLOW_UPDATE = 'true';
+
+const CounterOperations = require('./src/utils/counter-operations');
+const { ZSetOperations } = require('./src/utils/zset-operations');
+const { KeyPolicy } = require('./src/utils/key-policy');
+const { stubConnectionManager } = require('./test-helpers');
+
+const { MEMBER_INCREMENT_SCRIPT } = CounterOperations;
+
+// In-memory hashes and sorted sets with TTLs (-1: persistent), running MEMBER_INCREMENT_SCRIPT
+// step by step: EXISTS, the increment, then EXPIRE if the key was missing
+const createClient = () => {
+  const data = new Map();
+  const ttls = new Map();
+  const add = (key, name, amount) => {
+    if (!data.has(key)) {
+      data.set(key, new Map());
+    }
+    const values = data.get(key);
+    values.set(name, (values.get(name) || 0) + Number(amount));
+    return String(values.get(name));
+  };
+  const commands = {
+    HINCRBYFLOAT: (key, field, amount) => add(key, field, amount),
+    ZINCRBY: (key, amount, member) => add(key, member, amount)
+  };
+
+  const client = {
+    data: data,
+    ttl: key => (data.has(key) ? (ttls.has(key) ? ttls.get(key) : -1) : -2),
+    evals: 0,
+    hIncrByFloat: async (key, field, amount) => commands.HINCRBYFLOAT(key, field, amount),
+    zIncrBy: async (key, amount, member) => Number(commands.ZINCRBY(key, amount, member)),
+    eval: async (script, { keys: [key], arguments: [command, first, second, ttl] }) => {
+      assert.equal(script, MEMBER_INCREMENT_SCRIPT);
+      client.evals++;
+      const created = !data.has(key);
+      const value = commands[command](key, first, second);
+      if (created) {
+        ttls.set(key, Number(ttl));
+      }
+      return [value, created ? 1 : 0];
+    }
+  };
+  return client;
+};
+
+test('the script checks whether the key exists before the increment', () => {
+  const exists = MEMBER_INCREMENT_SCRIPT.indexOf("redis.call('EXISTS'");
+  const increment = MEMBER_INCREMENT_SCRIPT.indexOf('redis.call(ARGV[1]');
+  const expire = MEMBER_INCREMENT_SCRIPT.indexOf("redis.call('EXPIRE'");
+  assert.ok(exists >= 0 && exists < increment && increment < expire);
+  assert.match(MEMBER_INCREMENT_SCRIPT, /if created then\s+redis\.call\('EXPIRE'/);
+});
+
+test('hincr_by_float expires a hash it creates', async () => {
+  const client = createClient();
+  const counters = new CounterOperations(stubConnectionManager(client));
+
+  const result = await counters.hIncrByFloat({ key: 'rate', field: 'hits', increment: 1.5, ttlIfNew: 60 });
+  assert.deepEqual(result, { key: 'rate', field: 'hits', value: 1.5, created: true });
+  assert.equal(client.ttl('rate'), 60);
+});
+
+test('an existing persistent hash keeps TTL -1', async () => {
+  const client = createClient();
+  client.data.set('profile', new Map([['visits', 4]]));
+  const counters = new CounterOperations(stubConnectionManager(client));
+
+  const result = await counters.hIncrByFloat({ key: 'profile', field: 'visits', increment: 1, ttlIfNew: 60 });
+  assert.equal(result.value, 5);
+  assert.equal(result.created, false);
+  assert.equal(client.ttl('profile'), -1);
+});
+
+test('zincrby applies ttl_if_new only to a sorted set it creates', async () => {
+  const client = createClient();
+  client.data.set('leaderboard', new Map([['ann', 10]]));
+  const zsets = new ZSetOperations(stubConnectionManager(client));
+
+  const existing = await zsets.zIncrBy({ key: 'leaderboard', member: 'bob', increment: 2, ttlIfNew: 30 });
+  assert.deepEqual(existing, { key: 'leaderboard', member: 'bob', score: 2, created: false });
+  assert.equal(client.ttl('leaderboard'), -1);
+
+  const created = await zsets.zIncrBy({ key: 'daily', member: 7, increment: 1, ttlIfNew: 30 });
+  assert.deepEqual(created, { key: 'daily', member: '7', score: 1, created: true });
+  assert.equal(client.ttl('daily'), 30);
+});
+
+test('without ttl_if_new the plain command runs', async () => {
+  const client = createClient();
+  const counters = new CounterOperations(stubConnectionManager(client));
+  const zsets = new ZSetOperations(stubConnectionManager(client));
+
+  assert.deepEqual(await counters.hIncrByFloat({ key: 'h', field: 'f', increment: 2 }), { key: 'h', field: 'f', value: 2 });
+  assert.deepEqual(await zsets.zIncrBy({ key: 'z', member: 'm', increment: 3 }), { key: 'z', member: 'm', score: 3 });
+  assert.equal(client.evals, 0);
+  assert.equal(client.ttl('h'), -1);
+});
+
+test('counters need the key policy to allow insert as well as update', async () => {
+  const keyPolicy = new KeyPolicy([{ effect: 'deny', operations: ['insert'], keys: 'locked:*' }]);
+  const client = createClient();
+  const counters = new CounterOperations(stubConnectionManager(client), keyPolicy);
+  const zsets = new ZSetOperations(stubConnectionManager(client), keyPolicy);
+
+  await assert.rejects(counters.incrBy({ key: 'locked:1', increment: 1 }), /not allowed for insert operations/);
+  await assert.rejects(counters.hIncrByFloat({ key: 'locked:1', field: 'f', increment: 1 }), /not allowed for insert operations/);
+  await assert.rejects(zsets.zIncrBy({ key: 'locked:1', member: 'm', increment: 1 }), /not allowed for insert operations/);
+  assert.equal(client.data.size, 0);
+});
+
+test('increments and ttl_if_new are validated', async () => {
+  const counters = new CounterOperations(stubConnectionManager(createClient()));
+  await assert.rejects(counters.incrBy({ key: 'c', increment: 1.5 }), /increment must be an integer/);
+  await assert.rejects(counters.incrByFloat({ key: 'c', increment: Infinity }), /increment must be a finite number/);
+  await assert.rejects(counters.hIncrByFloat({ key: 'c', field: 'f', increment: 1, ttlIfNew: 0 }), /ttl_if_new must be a positive integer/);
+});
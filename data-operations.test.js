@@ -0,0 +1,122 @@
+// Data tools: compare_and_set compares stored bytes, and batches use one MGET / MSET with per-key errors
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.ALLOW_INSERT = 'true';
+
+const DataOperations = require('./src/utils/data-operations');
+const { KeyPolicy } = require('./src/utils/key-policy');
+const { stubConnectionManager } = require('./test-helpers');
+
+test('compare_and_set compares encoded bytes and reports the previous value', async () => {
+  const evals = [];
+  const client = {
+    eval: async (script, options) => {
+      evals.push(options);
+      return options.arguments[2] === '{"a":1,"b":2}' ? [1, '{"a":1,"b":2}'] : [0, 'other'];
+    }
+  };
+  const data = new DataOperations(stubConnectionManager(client));
+
+  assert.deepEqual(await data.compareAndSet({ key: 'cfg', expected: { b: 2, a: 1 }, value: { a: 3 }, encoding: 'json' }), {
+    key: 'cfg', swapped: true, previous: '{"a":1,"b":2}'
+  });
+  assert.deepEqual(await data.compareAndSet({ key: 'h', field: 'f', expected: 'x', value: 'y' }), {
+    key: 'h', field: 'f', swapped: false, previous: 'other'
+  });
+  assert.deepEqual(evals.map(options => options.arguments), [
+    ['string', '', '{"a":1,"b":2}', '{"a":3}', '0'],
+    ['hash', 'f', 'x', 'y', '0']
+  ]);
+});
+
+test('compare_and_set without expected creates the value and needs insert', async () => {
+  const client = { eval: async () => [1, null] };
+  const keyPolicy = new KeyPolicy([{ effect: 'deny', operations: 'insert', keys: 'locked:*' }]);
+  const data = new DataOperations(stubConnectionManager(client), keyPolicy);
+
+  assert.equal((await data.compareAndSet({ key: 'new', value: 'v' })).swapped, true);
+  await assert.rejects(data.compareAndSet({ key: 'locked:1', value: 'v' }), /not allowed for insert operations/);
+  await assert.rejects(data.compareAndSet({ key: 'new', expected: 'a' }), /Missing value parameter/);
+});
+
+// Client over a map of string keys that records MGET / MSET / SET calls
+const createClient = (strings = {}) => {
+  const client = {
+    calls: [],
+    type: async key => (key in strings ? 'string' : 'none'),
+    ttl: async key => (key in strings ? -1 : -2),
+    strLen: async key => Buffer.byteLength(strings[key]),
+    mGet: async (options, keys) => {
+      client.calls.push(['mGet', keys]);
+      return keys.map(key => (key in strings ? Buffer.from(strings[key]) : null));
+    },
+    mSet: async (pairs) => {
+      client.calls.push(['mSet', pairs]);
+      return 'OK';
+    },
+    set: async (key, value, options) => {
+      client.calls.push(['set', key, value, options.EX]);
+      return 'OK';
+    }
+  };
+  return client;
+};
+
+test('get_many reads strings with one MGET and reports missing and denied keys', async () => {
+  const client = createClient({ 'cfg:a': '{"retries":3}', 'cfg:b': 'plain' });
+  const data = new DataOperations(stubConnectionManager(client), new KeyPolicy([{ effect: 'deny', operations: 'read', keys: 'secret:*' }]));
+
+  const result = await data.getMany({ keys: ['cfg:a', 'cfg:b', 'cfg:missing', 'secret:1'] });
+  assert.deepEqual(client.calls, [['mGet', ['cfg:a', 'cfg:b']]]);
+  assert.equal(result.failed, 1);
+  assert.equal(result.truncated, false);
+
+  const [a, b, missing, denied] = result.results;
+  assert.deepEqual(a.value, { retries: 3 });
+  assert.equal(a.codec, 'json');
+  assert.equal(a.ttl, 'persistent');
+  assert.equal(b.value, 'plain');
+  assert.deepEqual(missing, { key: 'cfg:missing', ok: true, exists: false, value: null, type: null, ttl: null });
+  assert.equal(denied.ok, false);
+  assert.match(denied.error, /not allowed for read operations/);
+});
+
+test('get_many takes either keys or a pattern', async () => {
+  const data = new DataOperations(stubConnectionManager(createClient()));
+  await assert.rejects(data.getMany({}), /Pass either keys or pattern/);
+  await assert.rejects(data.getMany({ keys: ['a'], pattern: 'a*' }), /Pass either keys or pattern/);
+  await assert.rejects(data.getMany({ keys: [] }), /keys must be an array of 1 to 1000 keys/);
+});
+
+test('set_many writes plain strings in one MSET and the rest per key', async () => {
+  const client = createClient();
+  const data = new DataOperations(stubConnectionManager(client), new KeyPolicy([{ effect: 'deny', operations: 'insert', keys: 'locked:*' }]));
+
+  const result = await data.setMany({
+    entries: [
+      { key: 'a', value: 'x' },
+      { key: 'b', value: { n: 1 } },
+      { key: 'c', value: 'y', ttl: 60 },
+      { key: 'a', value: 'again' },
+      { key: 'locked:1', value: 'z' }
+    ]
+  });
+
+  assert.deepEqual(client.calls, [
+    ['mSet', [['a', 'x'], ['b', '{"n":1}']]],
+    ['set', 'c', 'y', 60]
+  ]);
+  assert.equal(result.written, 3);
+  assert.equal(result.failed, 2);
+  assert.deepEqual(result.results[3], { key: 'a', ok: false, error: 'Duplicate key in entries' });
+  assert.match(result.results[4].error, /not allowed for insert operations/);
+});
+
+test('in cluster mode set_many writes strings one key at a time', async () => {
+  const client = createClient();
+  const data = new DataOperations(stubConnectionManager(client, 'cluster'));
+
+  await data.setMany({ entries: [{ key: 'a', value: 'x' }, { key: 'b', value: 'y' }] });
+  assert.deepEqual(client.calls, [['set', 'a', 'x', undefined], ['set', 'b', 'y', undefined]]);
+});
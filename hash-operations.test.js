@@ -0,0 +1,71 @@
+// Hash field tools: field TTLs are gated on the server version and replies are mapped per field
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.ALLOW_INSERT = 'true';
+process.env.ALLOW_UPDATE = 'true';
+
+const HashOperations = require('./src/utils/hash-operations');
+const { KeyPolicy } = require('./src/utils/key-policy');
+const { stubConnectionManager } = require('./test-helpers');
+
+// Hash operations on a server of the given version; INFO is read once per connection
+const createOperations = (client, version, keyPolicy) => {
+  const redisInfo = {
+    reads: 0,
+    getRedisInfo: async () => {
+      redisInfo.reads++;
+      return { server: { version: version } };
+    }
+  };
+  const hashes = new HashOperations(stubConnectionManager(client), keyPolicy, redisInfo);
+  return { hashes, redisInfo };
+};
+
+test('field TTLs need Redis 7.4', async () => {
+  const client = { hExpire: async () => [1] };
+  const { hashes, redisInfo } = createOperations(client, '7.2.4');
+
+  await assert.rejects(hashes.hExpire({ key: 'h', fields: ['f'], seconds: 10 }), /requires Redis 7\.4 or later \(server is 7\.2\.4\)/);
+  await assert.rejects(hashes.hTtl({ key: 'h', fields: ['f'] }), /requires Redis 7\.4 or later/);
+  assert.equal(redisInfo.reads, 1);
+});
+
+test('hexpire, httl and hpersist describe each field', async () => {
+  const client = {
+    hExpire: async (key, fields, seconds, condition) => {
+      assert.equal(condition, 'NX');
+      return [1, 0, -2];
+    },
+    hTTL: async () => [42, -1, -2],
+    hPersist: async () => [1, -1, -2]
+  };
+  const { hashes } = createOperations(client, '7.4.1');
+  const fields = ['a', 'b', 'c'];
+
+  assert.deepEqual((await hashes.hExpire({ key: 'h', fields: fields, seconds: 10, condition: 'nx' })).fields, {
+    a: 'set', b: 'condition_not_met', c: 'not_found'
+  });
+  assert.deepEqual((await hashes.hTtl({ key: 'h', fields: fields })).fields, { a: 42, b: 'persistent', c: null });
+  assert.deepEqual((await hashes.hPersist({ key: 'h', fields: fields })).fields, { a: 'persisted', b: 'persistent', c: 'not_found' });
+});
+
+test('hset_fields merges fields, storing non-strings as JSON', async () => {
+  const client = {
+    hSet: async (key, values) => {
+      assert.deepEqual(values, { name: 'ann', tags: '["a"]', age: '3' });
+      return 1;
+    },
+    hLen: async () => 5
+  };
+  const { hashes } = createOperations(client, '7.4.1');
+
+  assert.deepEqual(await hashes.hSetFields({ key: 'user:1', fields: { name: 'ann', tags: ['a'], age: 3 } }), {
+    key: 'user:1', added: 1, updated: 2, size: 5
+  });
+});
+
+test('hset_fields needs the key policy to allow insert and update', async () => {
+  const { hashes } = createOperations({}, '7.4.1', new KeyPolicy([{ effect: 'deny', operations: 'update', keys: 'user:*' }]));
+  await assert.rejects(hashes.hSetFields({ key: 'user:1', fields: { a: 'b' } }), /not allowed for update operations/);
+});
@@ -0,0 +1,53 @@
+// RedisJSON tools: module detection with MODULE LIST and JSONPath writes
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.ALLOW_INSERT = 'true';
+process.env.ALLOW_UPDATE = 'true';
+
+const JsonOperations = require('./src/utils/json-operations');
+const { stubConnectionManager } = require('./test-helpers');
+
+// Client answering MODULE LIST with the given modules, or failing like an ACL user without it
+const createClient = (modules) => {
+  const client = {
+    moduleLists: 0,
+    sendCommand: async () => {
+      client.moduleLists++;
+      if (modules === null) {
+        throw new Error("NOPERM User app has no permissions to run the 'module|list' command");
+      }
+      return modules.map(name => ['name', name, 'ver', 20808]);
+    },
+    json: {
+      get: async () => ({ retries: 3 }),
+      set: async (key, path, value, options) => (options.NX ? null : 'OK')
+    }
+  };
+  return client;
+};
+
+test('JSON tools need the RedisJSON module', async () => {
+  const client = createClient(['search']);
+  const json = new JsonOperations(stubConnectionManager(client));
+
+  await assert.rejects(json.jsonGet({ key: 'doc' }), /The RedisJSON module is not loaded on this server/);
+  await assert.rejects(json.jsonGet({ key: 'doc' }), /not loaded/);
+  assert.equal(client.moduleLists, 1);
+});
+
+test('with the module, or when MODULE LIST is not permitted, the commands run', async () => {
+  for (const modules of [['ReJSON'], null]) {
+    const json = new JsonOperations(stubConnectionManager(createClient(modules)));
+    assert.deepEqual(await json.jsonGet({ key: 'doc', path: '$.cfg' }), { key: 'doc', path: '$.cfg', exists: true, value: { retries: 3 } });
+  }
+});
+
+test('json_set reports whether an nx / xx condition was met', async () => {
+  const json = new JsonOperations(stubConnectionManager(createClient(['ReJSON'])));
+
+  assert.deepEqual(await json.jsonSet({ key: 'doc', value: { a: 1 } }), { key: 'doc', path: '$', set: true });
+  assert.deepEqual(await json.jsonSet({ key: 'doc', path: '$.a', value: 2, condition: 'nx' }), { key: 'doc', path: '$.a', set: false });
+  await assert.rejects(json.jsonSet({ key: 'doc', value: 1, condition: 'gt' }), /condition must be 'nx' or 'xx'/);
+  await assert.rejects(json.jsonSet({ key: 'doc', path: '', value: 1 }), /path must be a JSONPath string/);
+});
@@ -0,0 +1,82 @@
+// Unit tests for the key policy: glob matching, rule order and configuration errors
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { KeyPolicy } = require('./src/utils/key-policy');
+
+test('without a policy every key is allowed and nothing is filtered', () => {
+  const policy = new KeyPolicy(null);
+  assert.equal(policy.enabled, false);
+  assert.equal(policy.isAllowed('delete', 'anything'), true);
+  assert.deepEqual(policy.filter('read', ['a', 'b']), ['a', 'b']);
+});
+
+test('globs match like Redis patterns', () => {
+  const matches = (pattern, key) => new KeyPolicy({
+    default: 'deny',
+    rules: [{ effect: 'allow', keys: pattern }]
+  }).isAllowed('read', key);
+
+  assert.equal(matches('user:*', 'user:1'), true);
+  assert.equal(matches('user:*', 'user:'), true);
+  assert.equal(matches('user:*', 'users:1'), false);
+  assert.equal(matches('user:*', 'user:1\nx'), true);
+  assert.equal(matches('h?llo', 'hello'), true);
+  assert.equal(matches('h?llo', 'heello'), false);
+  assert.equal(matches('h[ae]llo', 'hallo'), true);
+  assert.equal(matches('h[ae]llo', 'hillo'), false);
+  assert.equal(matches('h[^e]llo', 'hallo'), true);
+  assert.equal(matches('h[^e]llo', 'hello'), false);
+  assert.equal(matches('key[0-9]', 'key7'), true);
+  assert.equal(matches('key[0-9]', 'keyx'), false);
+  assert.equal(matches('a\\*b', 'a*b'), true);
+  assert.equal(matches('a\\*b', 'axb'), false);
+  assert.equal(matches('a.b', 'axb'), false);
+  assert.equal(matches('a[b', 'a[b'), true);
+});
+
+test('the first matching rule decides and unmatched keys use the default', () => {
+  const policy = new KeyPolicy({
+    default: 'deny',
+    rules: [
+      { effect: 'deny', operations: ['delete', 'drop'], keys: 'cache:protected:*' },
+      { effect: 'allow', keys: ['cache:*', 'session:*'] },
+      { effect: 'allow', operations: 'read', keys: '*' }
+    ]
+  });
+
+  assert.deepEqual(policy.evaluate('delete', 'cache:protected:a'), { allowed: false, effect: 'deny', rule: 0 });
+  assert.deepEqual(policy.evaluate('update', 'cache:protected:a'), { allowed: true, effect: 'allow', rule: 1 });
+  assert.deepEqual(policy.evaluate('insert', 'session:9'), { allowed: true, effect: 'allow', rule: 1 });
+  assert.deepEqual(policy.evaluate('read', 'config'), { allowed: true, effect: 'allow', rule: 2 });
+  assert.deepEqual(policy.evaluate('insert', 'config'), { allowed: false, effect: 'deny', rule: null });
+});
+
+test('an array is shorthand for rules with the allow default', () => {
+  const policy = new KeyPolicy([{ effect: 'deny', keys: 'secret:*' }]);
+  assert.equal(policy.enabled, true);
+  assert.equal(policy.defaultEffect, 'allow');
+  assert.equal(policy.isAllowed('read', 'secret:a'), false);
+  assert.equal(policy.isAllowed('read', 'public:a'), true);
+});
+
+test('assert names the deciding rule and filter keeps allowed keys', () => {
+  const policy = new KeyPolicy({ default: 'deny', rules: [{ effect: 'allow', operations: 'read', keys: 'app:*' }] });
+
+  assert.doesNotThrow(() => policy.assert('read', 'app:1'));
+  assert.throws(() => policy.assert('read', 'other'), /Key 'other' is not allowed for read operations \(default policy\)/);
+  assert.throws(
+    () => new KeyPolicy([{ effect: 'deny', keys: 'x' }]).assert('update', 'x'),
+    /\(key policy rule 0\)/
+  );
+  assert.deepEqual(policy.filter('read', ['app:1', 'other', 'app:2']), ['app:1', 'app:2']);
+});
+
+test('invalid configurations are rejected', () => {
+  assert.throws(() => new KeyPolicy('deny'), /must be an object or an array of rules/);
+  assert.throws(() => new KeyPolicy({ default: 'block' }), /default must be 'allow' or 'deny'/);
+  assert.throws(() => new KeyPolicy([{ effect: 'maybe' }]), /rule 0: effect must be 'allow' or 'deny'/);
+  assert.throws(() => new KeyPolicy([{ operations: ['write'] }]), /rule 0: unknown operation 'write'/);
+  assert.throws(() => new KeyPolicy([{ keys: [''] }]), /rule 0: keys must be non-empty glob strings/);
+  assert.throws(() => new KeyPolicy([null]), /rule 0 must be an object/);
+  assert.throws(() => new KeyPolicy(null).evaluate('write', 'a'), /Unknown key policy operation: write/);
+});
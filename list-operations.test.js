@@ -0,0 +1,47 @@
+// List tools: pushes keep the given order and pops return what was removed
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.ALLOW_INSERT = 'true';
+process.env.ALLOW_DELETE = 'true';
+
+const ListOperations = require('./src/utils/list-operations');
+const { stubConnectionManager } = require('./test-helpers');
+
+// Client over one in-memory list
+const createClient = (list = []) => ({
+  list: list,
+  rPush: async (key, values) => list.push(...values),
+  lPush: async (key, values) => {
+    values.forEach(value => list.unshift(value));
+    return list.length;
+  },
+  lPopCount: async (key, count) => (list.length > 0 ? list.splice(0, count) : null),
+  rPopCount: async (key, count) => (list.length > 0 ? list.splice(-count).reverse() : null),
+  lLen: async () => list.length
+});
+
+test('lpush and rpush keep the given order', async () => {
+  const client = createClient(['m']);
+  const lists = new ListOperations(stubConnectionManager(client));
+
+  assert.deepEqual(await lists.push({ key: 'l', values: ['a', 'b'], tail: false }), { key: 'l', pushed: 2, length: 3 });
+  await lists.push({ key: 'l', values: ['y', 'z'] });
+  assert.deepEqual(client.list, ['a', 'b', 'm', 'y', 'z']);
+});
+
+test('lpop and rpop return the removed elements', async () => {
+  const client = createClient(['a', 'b', 'c']);
+  const lists = new ListOperations(stubConnectionManager(client));
+
+  assert.deepEqual(await lists.pop({ key: 'l', count: 2, tail: true }), { key: 'l', values: ['c', 'b'], length: 1 });
+  assert.deepEqual(await lists.pop({ key: 'l', count: 5 }), { key: 'l', values: ['a'], length: 0 });
+  assert.deepEqual(await lists.pop({ key: 'l' }), { key: 'l', values: [], length: 0 });
+});
+
+test('elements and counts are validated', async () => {
+  const lists = new ListOperations(stubConnectionManager(createClient()));
+  await assert.rejects(lists.push({ key: 'l', values: [] }), /values must be a non-empty array/);
+  await assert.rejects(lists.push({ key: 'l', values: [1] }), /values must be a string/);
+  await assert.rejects(lists.pop({ key: 'l', count: 0 }), /count must be between 1 and 10000/);
+});
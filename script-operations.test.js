@@ -0,0 +1,127 @@
+// Script library: header parsing, loading with bad and duplicate files, and how scripts are run
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.ALLOW_UPDATE = 'true';
+
+const ScriptOperations = require('./src/utils/script-operations');
+const { KeyPolicy } = require('./src/utils/key-policy');
+const { stubConnectionManager } = require('./test-helpers');
+
+const { parseScript, loadScripts } = ScriptOperations;
+
+const READ_SCRIPT = [
+  '-- @description Count members above a score',
+  '-- @permission read',
+  '-- @key board Sorted set key',
+  '-- @arg min number Lowest score',
+  "return redis.call('ZCOUNT', KEYS[1], ARGV[1], '+inf')"
+].join('\n');
+
+const UPDATE_SCRIPT = [
+  '-- @description Reset a counter',
+  '-- @permission update',
+  '-- @key counter Counter key',
+  "return redis.call('SET', KEYS[1], 0)"
+].join('\n');
+
+test('the header declares the tool, its keys and arguments', () => {
+  const script = parseScript('count-above.lua', READ_SCRIPT);
+  assert.equal(script.tool, 'script_count_above');
+  assert.equal(script.description, 'Count members above a score');
+  assert.equal(script.permission, 'read');
+  assert.deepEqual(script.keys, [{ name: 'board', description: 'Sorted set key' }]);
+  assert.deepEqual(script.args, [{ name: 'min', type: 'number', description: 'Lowest score' }]);
+  assert.match(script.sha, /^[0-9a-f]{40}$/);
+});
+
+test('invalid headers are rejected', () => {
+  assert.throws(() => parseScript('a.lua', '-- @permission read\nreturn 1'), /must declare @description and @permission/);
+  assert.throws(() => parseScript('a.lua', '-- @description x\n-- @permission write\nreturn 1'), /@permission must be one of/);
+  assert.throws(() => parseScript('a.lua', '-- @description x\n-- @permission read\n-- @arg n float\nreturn 1'), /@arg needs a name and a type/);
+  assert.throws(() => parseScript('a.lua', '-- @description x\n-- @permission read\n-- @key db\nreturn 1'), /db is declared twice or reserved/);
+  assert.throws(() => parseScript('a b.lua', UPDATE_SCRIPT), /the file name may only contain/);
+});
+
+test('loading skips invalid files and files whose tool name is taken', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scripts-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(dir, 'count-above.lua'), READ_SCRIPT);
+  fs.writeFileSync(path.join(dir, 'count_above.lua'), UPDATE_SCRIPT);
+  fs.writeFileSync(path.join(dir, 'broken.lua'), 'return 1');
+  fs.writeFileSync(path.join(dir, 'reset.lua'), UPDATE_SCRIPT);
+  fs.writeFileSync(path.join(dir, 'notes.txt'), 'not a script');
+
+  const errors = [];
+  t.mock.method(console, 'error', message => errors.push(message));
+
+  assert.deepEqual(loadScripts(dir).map(script => script.file), ['count-above.lua', 'reset.lua']);
+  assert.equal(errors.length, 2);
+  assert.match(errors[0], /^Skipping script broken\.lua: Invalid script broken\.lua/);
+  assert.equal(errors[1], 'Skipping script count_above.lua: its tool name script_count_above is already used by count-above.lua');
+  assert.deepEqual(loadScripts(null), []);
+});
+
+// Client recording the script commands; a method in once fails its first call and a method
+// in always every call, with the given error message
+const createClient = ({ once = {}, always = {} } = {}) => {
+  const client = { calls: [] };
+  for (const method of ['evalSha', 'evalShaRo', 'eval', 'evalRo', 'scriptLoad']) {
+    client[method] = async () => {
+      client.calls.push(method);
+      const message = always[method] || once[method];
+      delete once[method];
+      if (message) {
+        throw new Error(message);
+      }
+      return method === 'scriptLoad' ? 'sha' : 1;
+    };
+  }
+  return client;
+};
+
+const createOperations = (client, scripts, mode) => new ScriptOperations(stubConnectionManager(client, mode), new KeyPolicy(null), scripts);
+
+test('read scripts run read-only and others with EVALSHA', async () => {
+  const client = createClient();
+  const scripts = [parseScript('count.lua', READ_SCRIPT), parseScript('reset.lua', UPDATE_SCRIPT)];
+  const operations = createOperations(client, scripts);
+
+  assert.deepEqual(await operations.runScript(scripts[0], { board: 'b', min: 5 }), { script: 'count', keys: ['b'], result: 1 });
+  await operations.runScript(scripts[1], { counter: 'c' });
+  assert.deepEqual(client.calls, ['evalShaRo', 'evalSha']);
+});
+
+test('a script missing from the cache is loaded and run again', async () => {
+  const client = createClient({ once: { evalSha: 'NOSCRIPT No matching script' } });
+  const script = parseScript('reset.lua', UPDATE_SCRIPT);
+  await createOperations(client, [script]).runScript(script, { counter: 'c' });
+  assert.deepEqual(client.calls, ['evalSha', 'scriptLoad', 'evalSha']);
+
+  const cluster = createClient({ once: { evalSha: 'NOSCRIPT No matching script' } });
+  await createOperations(cluster, [script], 'cluster').runScript(script, { counter: 'c' });
+  assert.deepEqual(cluster.calls, ['evalSha', 'eval']);
+});
+
+test('without EVALSHA_RO read scripts fall back to EVALSHA once per connection', async () => {
+  const client = createClient({ always: { evalShaRo: "ERR unknown command 'EVALSHA_RO', with args beginning with: " } });
+  const script = parseScript('count.lua', READ_SCRIPT);
+  const operations = createOperations(client, [script]);
+
+  await operations.runScript(script, { board: 'b', min: 1 });
+  await operations.runScript(script, { board: 'b', min: 2 });
+  assert.deepEqual(client.calls, ['evalShaRo', 'evalSha', 'evalSha']);
+});
+
+test('script errors and missing arguments are reported', async () => {
+  const client = createClient({ always: { evalShaRo: 'WRONGTYPE Operation against a key holding the wrong kind of value' } });
+  const script = parseScript('count.lua', READ_SCRIPT);
+  const operations = createOperations(client, [script]);
+
+  await assert.rejects(operations.runScript(script, { board: 'b', min: 1 }), /Failed to run script count: WRONGTYPE/);
+  await assert.rejects(operations.runScript(script, { board: 'b' }), /Missing min parameter/);
+  assert.deepEqual(client.calls, ['evalShaRo']);
+});
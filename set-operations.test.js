@@ -0,0 +1,81 @@
+// Set algebra capping: the server-side script, the native fallback without EVAL rights and key bounds
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SetOperations } = require('./src/utils/set-operations');
+const { ZSetOperations } = require('./src/utils/zset-operations');
+const { stubConnectionManager } = require('./test-helpers');
+
+// Client whose EVAL answers with evalReply, or fails like an ACL user without @scripting
+const createClient = ({ evalReply, noEval = false } = {}) => {
+  const client = {
+    evals: [],
+    native: [],
+    eval: async (script, options) => {
+      client.evals.push(options);
+      if (noEval) {
+        throw new Error("NOPERM User reader has no permissions to run the 'eval' command");
+      }
+      return evalReply;
+    },
+    sInter: async (keys) => {
+      client.native.push(['sInter', keys]);
+      return ['a', 'b', 'c'];
+    },
+    zUnionWithScores: async (keys, options) => {
+      client.native.push(['zUnionWithScores', keys, options]);
+      return [{ value: 'x', score: 1 }, { value: 'y', score: 2.5 }, { value: 'z', score: Infinity }];
+    }
+  };
+  return client;
+};
+
+test('set algebra is capped by the script on the server', async () => {
+  const client = createClient({ evalReply: [3, ['a', 'b']] });
+  const sets = new SetOperations(stubConnectionManager(client));
+
+  const result = await sets.combine({ operation: 'inter', keys: ['s1', 's2'], limit: 2 });
+  assert.deepEqual(result, { keys: ['s1', 's2'], members: ['a', 'b'], total: 3, truncated: true });
+  assert.deepEqual(client.evals, [{ keys: ['s1', 's2'], arguments: ['SINTER', '2', '1'] }]);
+  assert.equal(client.native.length, 0);
+});
+
+test('without EVAL rights the native command runs and is capped here', async () => {
+  const client = createClient({ noEval: true });
+  const sets = new SetOperations(stubConnectionManager(client));
+
+  const result = await sets.combine({ operation: 'inter', keys: ['s1', 's2'], limit: 2 });
+  assert.deepEqual(result, { keys: ['s1', 's2'], members: ['a', 'b'], total: 3, truncated: true });
+  assert.deepEqual(client.native, [['sInter', ['s1', 's2']]]);
+});
+
+test('sorted set algebra falls back to the native command with weights and scores', async () => {
+  const client = createClient({ noEval: true });
+  const zsets = new ZSetOperations(stubConnectionManager(client));
+
+  const result = await zsets.zCombine({ operation: 'union', keys: ['z1', 'z2'], weights: [1, 2], aggregate: 'max', limit: 10 });
+  assert.deepEqual(result.members, [{ member: 'x', score: 1 }, { member: 'y', score: 2.5 }, { member: 'z', score: Infinity }]);
+  assert.equal(result.total, 3);
+  assert.equal(result.truncated, false);
+  assert.deepEqual(client.native, [['zUnionWithScores', ['z1', 'z2'], { WEIGHTS: [1, 2], AGGREGATE: 'MAX' }]]);
+  assert.deepEqual(client.evals[0].arguments, ['ZUNION', '10', '2', 'WEIGHTS', '1', '2', 'AGGREGATE', 'MAX', 'WITHSCORES']);
+});
+
+test('other script errors are reported', async () => {
+  const client = createClient();
+  client.eval = async () => {
+    throw new Error('WRONGTYPE Operation against a key holding the wrong kind of value');
+  };
+  const sets = new SetOperations(stubConnectionManager(client));
+
+  await assert.rejects(sets.combine({ operation: 'union', keys: ['s1'] }), /Failed to compute set union: WRONGTYPE/);
+  assert.equal(client.native.length, 0);
+});
+
+test('one call takes at most 1000 keys', async () => {
+  const client = createClient({ evalReply: [0, []] });
+  const keys = Array.from({ length: 1001 }, (_, i) => `s${i}`);
+
+  await assert.rejects(new SetOperations(stubConnectionManager(client)).combine({ operation: 'union', keys: keys }), /keys must be an array of 1 to 1000 keys/);
+  await assert.rejects(new ZSetOperations(stubConnectionManager(client)).zCombine({ operation: 'union', keys: keys }), /keys must be an array of 1 to 1000 keys/);
+  assert.equal(client.evals.length, 0);
+});
@@ -1,9 +1,23 @@
 const fs = require('fs');
 const path = require('path');
-const { RedisConnectionManager, getRedisConfig, ALLOW_INSERT, ALLOW_UPDATE, ALLOW_DELETE, ALLOW_CREATE, ALLOW_DROP } = require('./utils/redis-connection');
+const { getConnectionConfigs, ALLOW_INSERT, ALLOW_UPDATE, ALLOW_DELETE, ALLOW_CREATE, ALLOW_DROP, ALLOW_ADMIN, ALLOW_EVAL } = require('./utils/redis-connection');
+const RedisConnectionRegistry = require('./utils/connection-registry');
 const DataOperations = require('./utils/data-operations');
 const KeyOperations = require('./utils/key-operations');
 const RedisInfo = require('./utils/redis-info');
+const CommandExecutor = require('./utils/command-executor');
+const { ZSetOperations } = require('./utils/zset-operations');
+const StreamOperations = require('./utils/stream-operations');
+const HashOperations = require('./utils/hash-operations');
+const ListOperations = require('./utils/list-operations');
+const { SetOperations } = require('./utils/set-operations');
+const JsonOperations = require('./utils/json-operations');
+const CounterOperations = require('./utils/counter-operations');
+const { TransactionOperations, TRANSACTION_TOOLS } = require('./utils/transaction-operations');
+const ScriptOperations = require('./utils/script-operations');
+const ToolRegistry = require('./utils/tool-registry');
+const { KeyPolicy } = require('./utils/key-policy');
+const { ConfirmationManager } = require('./utils/confirmation');
 
 // In-memory log storage
 const operationLogs = [];
@@ -81,259 +95,3362 @@ const logRedisOperation = (operation, key, result, error = null) => {
 // 启动日志
 console.error('=== MCP Redis Server Starting ===');
 console.error(`Time: ${new Date().toISOString()}`);
-console.error(`Environment: ALLOW_INSERT=${ALLOW_INSERT}, ALLOW_UPDATE=${ALLOW_UPDATE}, ALLOW_DELETE=${ALLOW_DELETE}, ALLOW_CREATE=${ALLOW_CREATE}, ALLOW_DROP=${ALLOW_DROP}`);
-console.error(`Redis: ${process.env.HOST || 'localhost'}:${process.env.PORT || '6379'}`);
-console.error(`Password: ${process.env.PASSWORD ? '***' : 'none'}`);
+console.error(`Environment: ALLOW_INSERT=${ALLOW_INSERT}, ALLOW_UPDATE=${ALLOW_UPDATE}, ALLOW_DELETE=${ALLOW_DELETE}, ALLOW_CREATE=${ALLOW_CREATE}, ALLOW_DROP=${ALLOW_DROP}, ALLOW_ADMIN=${ALLOW_ADMIN}, ALLOW_EVAL=${ALLOW_EVAL}`);
+try {
+  for (const [name, config] of Object.entries(getConnectionConfigs())) {
+    let address = `${config.host}:${config.port}`;
+    if (config.sentinel) {
+      address = `sentinel ${config.sentinel.masterName}@${config.sentinel.sentinels.map(item => `${item.host}:${item.port}`).join(',')}`;
+    } else if (config.cluster) {
+      address = `cluster ${config.cluster.nodes.map(item => `${item.host}:${item.port}`).join(',')}`;
+    }
+    console.error(`Redis [${name}]: ${config.username ? `${config.username}@` : ''}${address}/${config.db} (password: ${config.password ? '***' : 'none'}, tls: ${config.tls ? 'on' : 'off'})`);
+  }
+} catch (err) {
+  console.error(`Redis: invalid connection configuration (${err.message})`);
+}
 console.error(`Started via: ${process.argv[1]}`);
 console.error('================================');
 
-// Final MCP Server
-class FinalMCPServer {
-  constructor() {
-    this.name = 'redis-mcp-server';
-    this.version = '1.0.0';
-    this.initialized = false;
-    this.connectionManager = new RedisConnectionManager();
-    this.dataOperations = new DataOperations(this.connectionManager);
-    this.keyOperations = new KeyOperations(this.connectionManager);
-    this.redisInfo = new RedisInfo(this.connectionManager);
-    this.healthCheckInterval = null;
-    this.restartCount = 0;
-    this.maxRestarts = 5;
+// Final MCP Server
+class FinalMCPServer {
+  constructor() {
+    this.name = 'redis-mcp-server';
+    this.version = '1.0.0';
+    this.initialized = false;
+    this.connectionManager = new RedisConnectionRegistry();
+    this.keyPolicy = new KeyPolicy();
+    this.dataOperations = new DataOperations(this.connectionManager, this.keyPolicy);
+    this.keyOperations = new KeyOperations(this.connectionManager, this.keyPolicy);
+    this.redisInfo = new RedisInfo(this.connectionManager);
+    this.zsetOperations = new ZSetOperations(this.connectionManager, this.keyPolicy);
+    this.streamOperations = new StreamOperations(this.connectionManager, this.keyPolicy);
+    this.hashOperations = new HashOperations(this.connectionManager, this.keyPolicy, this.redisInfo);
+    this.listOperations = new ListOperations(this.connectionManager, this.keyPolicy);
+    this.setOperations = new SetOperations(this.connectionManager, this.keyPolicy);
+    this.jsonOperations = new JsonOperations(this.connectionManager, this.keyPolicy);
+    this.counterOperations = new CounterOperations(this.connectionManager, this.keyPolicy);
+    this.transactionOperations = new TransactionOperations(this.connectionManager, this.keyPolicy);
+    this.scriptOperations = new ScriptOperations(this.connectionManager, this.keyPolicy);
+    this.commandExecutor = new CommandExecutor(this.connectionManager, this.keyPolicy);
+    this.healthCheckInterval = null;
+    this.confirmations = new ConfirmationManager();
+    this.clientCapabilities = {};
+    this.pendingRequests = new Map();
+    this.requestCounter = 0;
+    this.tools = new ToolRegistry({
+      permissions: {
+        insert: ALLOW_INSERT,
+        update: ALLOW_UPDATE,
+        delete: ALLOW_DELETE,
+        create: ALLOW_CREATE,
+        drop: ALLOW_DROP,
+        admin: ALLOW_ADMIN,
+        eval: ALLOW_EVAL
+      },
+      sharedProperties: {
+        // Every Redis-facing tool accepts an optional named connection
+        connection: () => ({
+          type: 'string',
+          enum: this.connectionManager.getNames(),
+          description: `Named Redis connection to use (default: ${this.connectionManager.defaultName})`
+        }),
+        // Data and key tools accept an optional logical database
+        db: {
+          type: 'integer',
+          minimum: 0,
+          description: 'Logical database number (default: the selected or configured database)'
+        },
+        // Destructive tools take the token returned by their preview (CONFIRM_DESTRUCTIVE=true)
+        confirmToken: () => (this.confirmations.enabled ? {
+          type: 'string',
+          description: 'Confirmation token from the preview returned by the first call'
+        } : null)
+      },
+      defaultShared: ['connection']
+    });
+    this.registerTools();
+  }
+
+  // Declare every tool: schema, permission categories and handler
+  registerTools() {
+    const databaseTool = ['connection', 'db'];
+    const destructiveTool = ['connection', 'db', 'confirmToken'];
+
+    this.tools
+      .register({
+        name: 'get_data',
+        description: 'Get data by key from Redis; large values are returned one page at a time with total and nextCursor, and encoded strings and hash fields are decoded with the codec reported',
+        inputSchema: {
+          properties: {
+            key: {
+              type: 'string',
+              description: 'Redis key to get data from'
+            },
+            offset: {
+              type: 'integer',
+              minimum: 0,
+              description: 'Start index for lists and sorted sets, start byte for strings (default: 0)'
+            },
+            count: {
+              type: 'integer',
+              minimum: 1,
+              description: 'Page size: elements for collections (default: 1000, max: 10000), bytes for strings (default: 1048576)'
+            },
+            cursor: {
+              type: 'string',
+              description: 'nextCursor of the previous page for hashes, sets, sorted set scans and streams'
+            },
+            match: {
+              type: 'string',
+              description: 'Glob pattern for hash fields, set members and sorted set members (HSCAN/SSCAN/ZSCAN MATCH)'
+            },
+            raw: {
+              type: 'boolean',
+              description: 'Return strings and hash fields as stored instead of decoding JSON, gzip/zlib, MessagePack, base64 and PHP values (default: false)'
+            },
+            encoding: {
+              type: 'string',
+              enum: ['string', 'json', 'number', 'base64'],
+              description: 'Encoding a string was written with; the value is parsed with it instead of being detected. The encoding is not stored with the value, so pass the one used by set_data to read the same value back'
+            }
+          },
+          required: ['key']
+        },
+        shared: databaseTool,
+        handler: params => this.get_data(params)
+      })
+      .register({
+        name: 'list_keys',
+        description: 'List Redis keys with optional pattern matching',
+        inputSchema: {
+          properties: {
+            pattern: {
+              type: 'string',
+              description: 'Key pattern to match (default: *)'
+            },
+            limit: {
+              type: 'number',
+              description: 'Maximum number of keys to return (default: 100)'
+            },
+            offset: {
+              type: 'number',
+              description: 'Number of keys to skip (default: 0)'
+            }
+          }
+        },
+        shared: databaseTool,
+        handler: params => this.list_keys(params)
+      })
+      .register({
+        name: 'get_many',
+        description: 'Get many keys at once, given as a list or matched by a pattern; strings are read with one MGET and every key is returned with its type and TTL, or with its own error',
+        inputSchema: {
+          properties: {
+            keys: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Keys to get (max: 1000); use either keys or pattern'
+            },
+            pattern: {
+              type: 'string',
+              description: 'Key pattern to SCAN for instead of keys'
+            },
+            limit: {
+              type: 'integer',
+              minimum: 1,
+              description: 'Maximum number of keys matched by pattern (default: 100, max: 1000)'
+            },
+            count: {
+              type: 'integer',
+              minimum: 1,
+              description: 'Page size of each collection value (default: 100, max: 10000)'
+            },
+            raw: {
+              type: 'boolean',
+              description: 'Return strings and hash fields as stored instead of decoding them (default: false)'
+            }
+          }
+        },
+        shared: databaseTool,
+        handler: params => this.get_many(params)
+      })
+      .register({
+        name: 'set_many',
+        description: 'Set many keys at once; strings without a TTL are written with one MSET, and every entry is reported as written or with its own error',
+        inputSchema: {
+          properties: {
+            entries: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  key: {
+                    type: 'string',
+                    description: 'Redis key to set'
+                  },
+                  value: {
+                    description: 'Value to set for the key (zset: [{ member, score }] or { member: score })'
+                  },
+                  type: {
+                    type: 'string',
+                    enum: ['string', 'list', 'set', 'hash', 'zset'],
+                    description: 'Data type (default: string)'
+                  },
+                  ttl: {
+                    type: 'integer',
+                    minimum: 1,
+                    description: 'Time to live in seconds (optional)'
+                  },
+                  encoding: {
+                    type: 'string',
+                    enum: ['string', 'json', 'number', 'base64'],
+                    description: 'How a string value is stored (see set_data)'
+                  }
+                },
+                required: ['key', 'value']
+              },
+              description: 'Keys and values to set (max: 1000)'
+            }
+          },
+          required: ['entries']
+        },
+        permissions: ['insert'],
+        shared: databaseTool,
+        handler: params => this.set_many(params)
+      })
+      .register({
+        name: 'exists_key',
+        description: 'Check if a key exists in Redis',
+        inputSchema: {
+          properties: {
+            key: {
+              type: 'string',
+              description: 'Redis key to check'
+            }
+          },
+          required: ['key']
+        },
+        shared: databaseTool,
+        handler: params => this.exists_key(params)
+      })
+      .register({
+        name: 'get_key_info',
+        description: 'Get detailed information about a key',
+        inputSchema: {
+          properties: {
+            key: {
+              type: 'string',
+              description: 'Redis key to get info for'
+            }
+          },
+          required: ['key']
+        },
+        shared: databaseTool,
+        handler: params => this.get_key_info(params)
+      })
+      .register({
+        name: 'get_redis_info',
+        description: 'Get Redis server information',
+        handler: params => this.get_redis_info(params)
+      })
+      .register({
+        name: 'get_database_stats',
+        description: 'Get Redis database statistics',
+        handler: params => this.get_database_stats(params)
+      })
+      .register({
+        name: 'get_memory_info',
+        description: 'Get Redis memory usage information',
+        handler: params => this.get_memory_info(params)
+      })
+      .register({
+        name: 'get_cluster_info',
+        description: 'Get Redis Cluster state, slot coverage and node health',
+        handler: params => this.get_cluster_info(params)
+      })
+      .register({
+        name: 'test_connection',
+        description: 'Test Redis connection',
+        handler: params => this.test_connection(params)
+      })
+      .register({
+        name: 'get_operation_logs',
+        description: 'Get operation logs',
+        inputSchema: {
+          properties: {
+            limit: {
+              type: 'number',
+              description: 'Limit count, default 50'
+            },
+            offset: {
+              type: 'number',
+              description: 'Offset, default 0'
+            }
+          }
+        },
+        shared: [],
+        handler: params => this.get_operation_logs(params)
+      })
+      .register({
+        name: 'check_permissions',
+        description: 'Check Redis permissions for insert, update, delete, create and drop operations',
+        inputSchema: {
+          properties: {
+            key: {
+              type: 'string',
+              description: 'Evaluate the key policy for this key (optional)'
+            }
+          }
+        },
+        handler: params => this.check_permissions(params)
+      })
+      .register({
+        name: 'select_database',
+        description: 'Select the default logical database used by data and key tools in this session',
+        inputSchema: {
+          properties: {
+            db: {
+              type: 'integer',
+              minimum: 0,
+              description: 'Logical database number'
+            }
+          },
+          required: ['db']
+        },
+        handler: params => this.select_database(params)
+      })
+      .register({
+        name: 'get_connection_status',
+        description: 'Get connection lifecycle state, retry history and last error',
+        inputSchema: {
+          properties: {
+            historyLimit: {
+              type: 'number',
+              description: 'Number of lifecycle events to return (default: 20, max: 50)'
+            }
+          }
+        },
+        handler: params => this.get_connection_status(params)
+      })
+      .register({
+        name: 'list_connections',
+        description: 'List configured named Redis connections',
+        shared: [],
+        handler: params => this.list_connections(params)
+      })
+      .register({
+        name: 'set_data',
+        description: 'Set/insert data for a key in Redis',
+        inputSchema: {
+          properties: {
+            key: {
+              type: 'string',
+              description: 'Redis key to set data for'
+            },
+            value: {
+              description: 'Value to set for the key (zset: [{ member, score }] or { member: score })'
+            },
+            ttl: {
+              type: 'number',
+              description: 'Time to live in seconds (optional)'
+            },
+            type: {
+              type: 'string',
+              description: 'Data type: string, list, set, hash, zset (default: string)'
+            },
+            condition: {
+              type: 'string',
+              enum: ['nx', 'xx'],
+              description: 'Strings only: write only if the key does not exist (nx) or already exists (xx)'
+            },
+            keepTtl: {
+              type: 'boolean',
+              description: 'Strings only: keep the current TTL of the key (SET KEEPTTL; cannot be combined with ttl)'
+            },
+            returnPrevious: {
+              type: 'boolean',
+              description: 'Strings only: return the previous value as previous (SET GET)'
+            },
+            encoding: {
+              type: 'string',
+              enum: ['string', 'json', 'number', 'base64'],
+              description: 'How a string value is stored: string, json (keys sorted), number or base64 (binary) (default: strings as-is, numbers as numbers, anything else as JSON). Not stored with the value: pass the same encoding to get_data to read it back'
+            }
+          },
+          required: ['key', 'value']
+        },
+        permissions: ['insert'],
+        shared: databaseTool,
+        handler: params => this.set_data(params)
+      })
+      .register({
+        name: 'update_data',
+        description: 'Update existing data for a key in Redis',
+        inputSchema: {
+          properties: {
+            key: {
+              type: 'string',
+              description: 'Redis key to update'
+            },
+            value: {
+              description: 'New value for the key (zset: [{ member, score }] or { member: score })'
+            },
+            ttl: {
+              type: 'number',
+              description: 'Time to live in seconds (optional)'
+            },
+            keepTtl: {
+              type: 'boolean',
+              description: 'Strings only: keep the current TTL of the key (SET KEEPTTL; cannot be combined with ttl)'
+            },
+            returnPrevious: {
+              type: 'boolean',
+              description: 'Strings only: return the previous value as previous (SET GET)'
+            },
+            encoding: {
+              type: 'string',
+              enum: ['string', 'json', 'number', 'base64'],
+              description: 'How a string value is stored: string, json (keys sorted), number or base64 (binary) (default: strings as-is, numbers as numbers, anything else as JSON). Not stored with the value: pass the same encoding to get_data to read it back'
+            }
+          },
+          required: ['key', 'value']
+        },
+        permissions: ['update'],
+        shared: destructiveTool,
+        handler: params => this.update_data(params)
+      })
+      .register({
+        name: 'compare_and_set',
+        description: 'Write a string or hash field only if its current value equals expected (atomic Lua script); a string keeps its TTL',
+        inputSchema: {
+          properties: {
+            key: {
+              type: 'string',
+              description: 'Redis key'
+            },
+            field: {
+              type: 'string',
+              description: 'Hash field to compare and set (default: the string value of the key)'
+            },
+            expected: {
+              description: 'Value expected to be stored; omit it to write only when no value exists yet (needs ALLOW_INSERT as well)'
+            },
+            value: {
+              description: 'New value, written only when the current value matches'
+            },
+            encoding: {
+              type: 'string',
+              enum: ['string', 'json', 'number', 'base64'],
+              description: 'How expected and value are encoded (default: strings as-is, numbers as numbers, anything else as JSON)'
+            }
+          },
+          required: ['key', 'value']
+        },
+        permissions: ['update'],
+        shared: databaseTool,
+        handler: params => this.compare_and_set(params)
+      })
+      .register({
+        name: 'delete_data',
+        description: 'Delete data by key from Redis',
+        inputSchema: {
+          properties: {
+            key: {
+              type: 'string',
+              description: 'Redis key to delete'
+            }
+          },
+          required: ['key']
+        },
+        permissions: ['delete'],
+        shared: destructiveTool,
+        handler: params => this.delete_data(params)
+      })
+      .register({
+        name: 'create_key',
+        description: 'Create a new key in Redis',
+        inputSchema: {
+          properties: {
+            key: {
+              type: 'string',
+              description: 'Redis key to create'
+            },
+            value: {
+              description: 'Initial value for the key (default: empty string; zset: [{ member, score }] or { member: score })'
+            },
+            type: {
+              type: 'string',
+              description: 'Data type: string, list, set, hash, zset (default: string)'
+            },
+            ttl: {
+              type: 'number',
+              description: 'Time to live in seconds (optional)'
+            },
+            encoding: {
+              type: 'string',
+              enum: ['string', 'json', 'number', 'base64'],
+              description: 'How a string value is stored: string, json (keys sorted), number or base64 (binary) (default: strings as-is, numbers as numbers, anything else as JSON). Not stored with the value: pass the same encoding to get_data to read it back'
+            }
+          },
+          required: ['key']
+        },
+        permissions: ['create'],
+        shared: databaseTool,
+        handler: params => this.create_key(params)
+      })
+      .register({
+        name: 'drop_key',
+        description: 'Delete a key from Redis',
+        inputSchema: {
+          properties: {
+            key: {
+              type: 'string',
+              description: 'Redis key to delete'
+            }
+          },
+          required: ['key']
+        },
+        permissions: ['drop'],
+        shared: destructiveTool,
+        handler: params => this.drop_key(params)
+      })
+      // Rename and move require both create and drop permissions
+      .register({
+        name: 'rename_key',
+        description: 'Rename a key in Redis',
+        inputSchema: {
+          properties: {
+            oldKey: {
+              type: 'string',
+              description: 'Current key name'
+            },
+            newKey: {
+              type: 'string',
+              description: 'New key name'
+            }
+          },
+          required: ['oldKey', 'newKey']
+        },
+        permissions: ['create', 'drop'],
+        shared: destructiveTool,
+        handler: params => this.rename_key(params)
+      })
+      .register({
+        name: 'move_key',
+        description: 'Move a key to another logical database',
+        inputSchema: {
+          properties: {
+            key: {
+              type: 'string',
+              description: 'Redis key to move'
+            },
+            targetDb: {
+              type: 'integer',
+              minimum: 0,
+              description: 'Destination logical database number'
+            }
+          },
+          required: ['key', 'targetDb']
+        },
+        permissions: ['create', 'drop'],
+        shared: databaseTool,
+        handler: params => this.move_key(params)
+      })
+      // Sorted set tools
+      .register({
+        name: 'zadd',
+        description: 'Add members to a sorted set or update their scores',
+        inputSchema: {
+          properties: {
+            key: {
+              type: 'string',
+              description: 'Sorted set key'
+            },
+            members: {
+              type: ['array', 'object'],
+              description: 'Members as [{ member, score }] or { member: score }'
+            },
+            condition: {
+              type: 'string',
+              enum: ['nx', 'xx'],
+              description: 'nx: only add new members, xx: only update existing members'
+            },
+            comparison: {
+              type: 'string',
+              enum: ['gt', 'lt'],
+              description: 'Only update scores that become greater (gt) or less (lt)'
+            }
+          },
+          required: ['key', 'members']
+        },
+        permissions: ['insert'],
+        shared: databaseTool,
+        handler: params => this.zadd(params)
+      })
+      .register({
+        name: 'zincrby',
+        description: 'Increment the score of a sorted set member',
+        inputSchema: {
+          properties: {
+            key: {
+              type: 'string',
+              description: 'Sorted set key'
+            },
+            member: {
+              type: ['string', 'number'],
+              description: 'Member to increment'
+            },
+            increment: {
+              type: 'number',
+              description: 'Amount to add to the score (negative to decrement)'
+            },
+            ttl_if_new: {
+              type: 'integer',
+              minimum: 1,
+              description: 'Expire the sorted set after this many seconds if this call creates it'
+            }
+          },
+          required: ['key', 'member', 'increment']
+        },
+        permissions: ['insert', 'update'],
+        shared: databaseTool,
+        handler: params => this.zincrby(params)
+      })
+      .register({
+        name: 'zrem',
+        description: 'Remove members from a sorted set',
+        inputSchema: {
+          properties: {
+            key: {
+              type: 'string',
+              description: 'Sorted set key'
+            },
+            members: {
+              type: 'array',
+              items: {
+                type: ['string', 'number']
+              },
+              description: 'Members to remove'
+            }
+          },
+          required: ['key', 'members']
+        },
+        permissions: ['delete'],
+        shared: databaseTool,
+        handler: params => this.zrem(params)
+      })
+      .register({
+        name: 'zrange_by_score',
+        description: 'Get sorted set members and scores within a score range',
+        inputSchema: {
+          properties: {
+            key: {
+              type: 'string',
+              description: 'Sorted set key'
+            },
+            min: {
+              type: ['number', 'string'],
+              description: 'Minimum score (default: -inf; prefix with ( for exclusive)'
+            },
+            max: {
+              type: ['number', 'string'],
+              description: 'Maximum score (default: +inf; prefix with ( for exclusive)'
+            },
+            limit: {
+              type: 'integer',
+              minimum: 1,
+              maximum: 10000,
+              description: 'Maximum number of members to return (default: 100)'
+            },
+            offset: {
+              type: 'integer',
+              minimum: 0,
+              description: 'Number of members to skip (default: 0)'
+            },
+            reverse: {
+              type: 'boolean',
+              description: 'Return members from the highest to the lowest (default: false)'
+            }
+          },
+          required: ['key']
+        },
+        shared: databaseTool,
+        handler: params => this.zrange_by_score(params)
+      })
+      .register({
+        name: 'zrange_by_lex',
+        description: 'Get sorted set members within a lexicographical range (members with equal scores)',
+        inputSchema: {
+          properties: {
+            key: {
+              type: 'string',
+              description: 'Sorted set key'
+            },
+            min: {
+              type: 'string',
+              description: "Minimum member: '-' or prefixed with [ (inclusive) or ( (exclusive) (default: -)"
+            },
+            max: {
+              type: 'string',
+              description: "Maximum member: '+' or prefixed with [ (inclusive) or ( (exclusive) (default: +)"
+            },
+            limit: {
+              type: 'integer',
+              minimum: 1,
+              maximum: 10000,
+              description: 'Maximum number of members to return (default: 100)'
+            },
+            offset: {
+              type: 'integer',
+              minimum: 0,
+              description: 'Number of members to skip (default: 0)'
+            },
+            reverse: {
+              type: 'boolean',
+              description: 'Return members from the highest to the lowest (default: false)'
+            }
+          },
+          required: ['key']
+        },
+        shared: databaseTool,
+        handler: params => this.zrange_by_lex(params)
+      })
+      .register({
+        name: 'zinter',
+        description: 'Intersect sorted sets, combining scores with weights and an aggregate',
+        inputSchema: {
+          properties: {
+            keys: {
+              type: 'array',
+              items: {
+                type: 'string'
+              },
+              description: 'Source keys'
+            },
+            weights: {
+              type: 'array',
+              items: {
+                type: 'number'
+              },
+              description: 'Score multiplier per key, in the order of keys'
+            },
+            aggregate: {
+              type: 'string',
+              enum: ['sum', 'min', 'max'],
+              description: 'How scores of the same member are combined (default: sum)'
+            },
+            store: {
+              type: 'string',
+              description: 'Store the result in this key instead of returning it (requires ALLOW_INSERT)'
+            },
+            limit: {
+              type: 'integer',
+              minimum: 1,
+              maximum: 10000,
+              description: 'Maximum number of members to return (default: 1000)'
+            }
+          },
+          required: ['keys']
+        },
+        shared: databaseTool,
+        handler: params => this.zinter(params)
+      })
+      .register({
+        name: 'zunion',
+        description: 'Union of sorted sets, combining scores with weights and an aggregate',
+        inputSchema: {
+          properties: {
+            keys: {
+              type: 'array',
+              items: {
+                type: 'string'
+              },
+              description: 'Source keys'
+            },
+            weights: {
+              type: 'array',
+              items: {
+                type: 'number'
+              },
+              description: 'Score multiplier per key, in the order of keys'
+            },
+            aggregate: {
+              type: 'string',
+              enum: ['sum', 'min', 'max'],
+              description: 'How scores of the same member are combined (default: sum)'
+            },
+            store: {
+              type: 'string',
+              description: 'Store the result in this key instead of returning it (requires ALLOW_INSERT)'
+            },
+            limit: {
+              type: 'integer',
+              minimum: 1,
+              maximum: 10000,
+              description: 'Maximum number of members to return (default: 1000)'
+            }
+          },
+          required: ['keys']
+        },
+        shared: databaseTool,
+        handler: params => this.zunion(params)
+      })
+      // Stream tools
+      .register({
+        name: 'xadd',
+        description: 'Append an entry to a stream, optionally trimming it',
+        inputSchema: {
+          properties: {
+            key: {
+              type: 'string',
+              description: 'Stream key'
+            },
+            id: {
+              type: 'string',
+              description: 'Entry ID (default: * for an auto-generated ID)'
+            },
+            fields: {
+              type: 'object',
+              description: 'Field/value pairs of the entry (non-string values are stored as JSON)'
+            },
+            maxlen: {
+              type: 'integer',
+              minimum: 0,
+              description: 'Trim to at most this many entries (MAXLEN; requires delete permission)'
+            },
+            minid: {
+              type: 'string',
+              description: 'Trim entries with IDs lower than this ID (MINID; requires delete permission)'
+            },
+            approximate: {
+              type: 'boolean',
+              description: 'Trim approximately (~), which is more efficient (default: false)'
+            }
+          },
+          required: ['key', 'fields']
+        },
+        permissions: ['insert'],
+        shared: databaseTool,
+        handler: params => this.xadd(params)
+      })
+      .register({
+        name: 'xrange',
+        description: 'Get stream entries between two IDs, oldest first',
+        inputSchema: {
+          properties: {
+            key: {
+              type: 'string',
+              description: 'Stream key'
+            },
+            start: {
+              type: 'string',
+              description: "Lowest ID (default: -; prefix with ( for exclusive)"
+            },
+            end: {
+              type: 'string',
+              description: "Highest ID (default: +; prefix with ( for exclusive)"
+            },
+            count: {
+              type: 'integer',
+              minimum: 1,
+              maximum: 10000,
+              description: 'Maximum number of entries (default: 100)'
+            }
+          },
+          required: ['key']
+        },
+        shared: databaseTool,
+        handler: params => this.xrange(params)
+      })
+      .register({
+        name: 'xrevrange',
+        description: 'Get stream entries between two IDs, newest first',
+        inputSchema: {
+          properties: {
+            key: {
+              type: 'string',
+              description: 'Stream key'
+            },
+            start: {
+              type: 'string',
+              description: "Lowest ID (default: -; prefix with ( for exclusive)"
+            },
+            end: {
+              type: 'string',
+              description: "Highest ID (default: +; prefix with ( for exclusive)"
+            },
+            count: {
+              type: 'integer',
+              minimum: 1,
+              maximum: 10000,
+              description: 'Maximum number of entries (default: 100)'
+            }
+          },
+          required: ['key']
+        },
+        shared: databaseTool,
+        handler: params => this.xrevrange(params)
+      })
+      .register({
+        name: 'xread',
+        description: 'Read entries after the given IDs from one or more streams (non-blocking)',
+        inputSchema: {
+          properties: {
+            streams: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  key: {
+                    type: 'string'
+                  },
+                  id: {
+                    type: 'string'
+                  }
+                },
+                required: ['key']
+              },
+              description: 'Streams to read as [{ key, id }]; entries with IDs greater than id are returned (default id: 0)'
+            },
+            count: {
+              type: 'integer',
+              minimum: 1,
+              maximum: 10000,
+              description: 'Maximum number of entries per stream (default: 100)'
+            }
+          },
+          required: ['streams']
+        },
+        shared: databaseTool,
+        handler: params => this.xread(params)
+      })
+      .register({
+        name: 'xlen',
+        description: 'Get the number of entries in a stream',
+        inputSchema: {
+          properties: {
+            key: {
+              type: 'string',
+              description: 'Stream key'
+            }
+          },
+          required: ['key']
+        },
+        shared: databaseTool,
+        handler: params => this.xlen(params)
+      })
+      .register({
+        name: 'xinfo_stream',
+        description: 'Get stream metadata: length, last generated ID, first and last entries, group count',
+        inputSchema: {
+          properties: {
+            key: {
+              type: 'string',
+              description: 'Stream key'
+            }
+          },
+          required: ['key']
+        },
+        shared: databaseTool,
+        handler: params => this.xinfo_stream(params)
+      })
+      .register({
+        name: 'xinfo_groups',
+        description: 'Get the consumer groups of a stream with pending counts and lag',
+        inputSchema: {
+          properties: {
+            key: {
+              type: 'string',
+              description: 'Stream key'
+            },
+            includeConsumers: {
+              type: 'boolean',
+              description: 'Also list each group\'s consumers with their pending count and idle time (default: false)'
+            }
+          },
+          required: ['key']
+        },
+        shared: databaseTool,
+        handler: params => this.xinfo_groups(params)
+      })
+      .register({
+        name: 'xpending',
+        description: 'Get pending (delivered but unacknowledged) entries of a consumer group',
+        inputSchema: {
+          properties: {
+            key: {
+              type: 'string',
+              description: 'Stream key'
+            },
+            group: {
+              type: 'string',
+              description: 'Consumer group name'
+            },
+            consumer: {
+              type: 'string',
+              description: 'Only entries owned by this consumer'
+            },
+            minIdleTime: {
+              type: 'integer',
+              minimum: 0,
+              description: 'Only entries idle for at least this many milliseconds'
+            },
+            count: {
+              type: 'integer',
+              minimum: 1,
+              maximum: 10000,
+              description: 'Maximum number of pending entries to list (default: 10)'
+            }
+          },
+          required: ['key', 'group']
+        },
+        shared: databaseTool,
+        handler: params => this.xpending(params)
+      })
+      .register({
+        name: 'xtrim',
+        description: 'Trim a stream by length (MAXLEN) or minimum ID (MINID)',
+        inputSchema: {
+          properties: {
+            key: {
+              type: 'string',
+              description: 'Stream key'
+            },
+            maxlen: {
+              type: 'integer',
+              minimum: 0,
+              description: 'Trim to at most this many entries (MAXLEN)'
+            },
+            minid: {
+              type: 'string',
+              description: 'Trim entries with IDs lower than this ID (MINID)'
+            },
+            approximate: {
+              type: 'boolean',
+              description: 'Trim approximately (~), which is more efficient (default: false)'
+            }
+          },
+          required: ['key']
+        },
+        permissions: ['delete'],
+        shared: databaseTool,
+        handler: params => this.xtrim(params)
+      })
+      .register({
+        name: 'xdel',
+        description: 'Delete entries from a stream by ID',
+        inputSchema: {
+          properties: {
+            key: {
+              type: 'string',
+              description: 'Stream key'
+            },
+            ids: {
+              type: 'array',
+              items: {
+                type: 'string'
+              },
+              description: 'Entry IDs to delete'
+            }
+          },
+          required: ['key', 'ids']
+        },
+        permissions: ['delete'],
+        shared: databaseTool,
+        handler: params => this.xdel(params)
+      })
+      .register({
+        name: 'xgroup_destroy',
+        description: 'Destroy a consumer group of a stream',
+        inputSchema: {
+          properties: {
+            key: {
+              type: 'string',
+              description: 'Stream key'
+            },
+            group: {
+              type: 'string',
+              description: 'Consumer group name'
+            }
+          },
+          required: ['key', 'group']
+        },
+        permissions: ['delete'],
+        shared: databaseTool,
+        handler: params => this.xgroup_destroy(params)
+      })
+      // Set tools
+      .register({
+        name: 'sinter',
+        description: 'Members present in all of the given sets',
+        inputSchema: {
+          properties: {
+            keys: {
+              type: 'array',
+              items: {
+                type: 'string'
+              },
+              description: 'Source keys'
+            },
+            store: {
+              type: 'string',
+              description: 'Store the result in this key instead of returning it (requires ALLOW_INSERT)'
+            },
+            limit: {
+              type: 'integer',
+              minimum: 1,
+              maximum: 10000,
+              description: 'Maximum number of members to return (default: 1000)'
+            }
+          },
+          required: ['keys']
+        },
+        shared: databaseTool,
+        handler: params => this.sinter(params)
+      })
+      .register({
+        name: 'sunion',
+        description: 'Members present in any of the given sets',
+        inputSchema: {
+          properties: {
+            keys: {
+              type: 'array',
+              items: {
+                type: 'string'
+              },
+              description: 'Source keys'
+            },
+            store: {
+              type: 'string',
+              description: 'Store the result in this key instead of returning it (requires ALLOW_INSERT)'
+            },
+            limit: {
+              type: 'integer',
+              minimum: 1,
+              maximum: 10000,
+              description: 'Maximum number of members to return (default: 1000)'
+            }
+          },
+          required: ['keys']
+        },
+        shared: databaseTool,
+        handler: params => this.sunion(params)
+      })
+      .register({
+        name: 'sdiff',
+        description: 'Members of the first set that are in none of the other sets',
+        inputSchema: {
+          properties: {
+            keys: {
+              type: 'array',
+              items: {
+                type: 'string'
+              },
+              description: 'Source keys'
+            },
+            store: {
+              type: 'string',
+              description: 'Store the result in this key instead of returning it (requires ALLOW_INSERT)'
+            },
+            limit: {
+              type: 'integer',
+              minimum: 1,
+              maximum: 10000,
+              description: 'Maximum number of members to return (default: 1000)'
+            }
+          },
+          required: ['keys']
+        },
+        shared: databaseTool,
+        handler: params => this.sdiff(params)
+      })
+      .register({
+        name: 'sismember',
+        description: 'Check whether a member belongs to a set',
+        inputSchema: {
+          properties: {
+            key: {
+              type: 'string',
+              description: 'Set key'
+            },
+            member: {
+              type: 'string',
+              description: 'Member to check'
+            }
+          },
+          required: ['key', 'member']
+        },
+        shared: databaseTool,
+        handler: params => this.sismember(params)
+      })
+      .register({
+        name: 'smismember',
+        description: 'Check whether each of several members belongs to a set',
+        inputSchema: {
+          properties: {
+            key: {
+              type: 'string',
+              description: 'Set key'
+            },
+            members: {
+              type: 'array',
+              items: {
+                type: 'string'
+              },
+              description: 'Members to check'
+            }
+          },
+          required: ['key', 'members']
+        },
+        shared: databaseTool,
+        handler: params => this.smismember(params)
+      })
+      .register({
+        name: 'srandmember',
+        description: 'Get random members of a set',
+        inputSchema: {
+          properties: {
+            key: {
+              type: 'string',
+              description: 'Set key'
+            },
+            count: {
+              type: 'integer',
+              minimum: -10000,
+              maximum: 10000,
+              description: 'Number of members; negative allows the same member more than once (default: 1)'
+            }
+          },
+          required: ['key']
+        },
+        shared: databaseTool,
+        handler: params => this.srandmember(params)
+      })
+      .register({
+        name: 'scard',
+        description: 'Get the number of members of a set',
+        inputSchema: {
+          properties: {
+            key: {
+              type: 'string',
+              description: 'Set key'
+            }
+          },
+          required: ['key']
+        },
+        shared: databaseTool,
+        handler: params => this.scard(params)
+      })
+      .register({
+        name: 'sadd',
+        description: 'Add members to a set',
+        inputSchema: {
+          properties: {
+            key: {
+              type: 'string',
+              description: 'Set key'
+            },
+            members: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Members to add'
+            }
+          },
+          required: ['key', 'members']
+        },
+        permissions: ['insert'],
+        shared: databaseTool,
+        handler: params => this.sadd(params)
+      })
+      .register({
+        name: 'srem',
+        description: 'Remove members from a set',
+        inputSchema: {
+          properties: {
+            key: {
+              type: 'string',
+              description: 'Set key'
+            },
+            members: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Members to remove'
+            }
+          },
+          required: ['key', 'members']
+        },
+        permissions: ['delete'],
+        shared: databaseTool,
+        handler: params => this.srem(params)
+      })
+      // Hash field tools
+      .register({
+        name: 'hget',
+        description: 'Get the value of one hash field',
+        inputSchema: {
+          properties: {
+            key: {
+              type: 'string',
+              description: 'Hash key'
+            },
+            field: {
+              type: 'string',
+              description: 'Field name'
+            }
+          },
+          required: ['key', 'field']
+        },
+        shared: databaseTool,
+        handler: params => this.hget(params)
+      })
+      .register({
+        name: 'hmget',
+        description: 'Get the values of several hash fields (missing fields are null)',
+        inputSchema: {
+          properties: {
+            key: {
+              type: 'string',
+              description: 'Hash key'
+            },
+            fields: {
+              type: 'array',
+              items: {
+                type: 'string'
+              },
+              description: 'Field names'
+            }
+          },
+          required: ['key', 'fields']
+        },
+        shared: databaseTool,
+        handler: params => this.hmget(params)
+      })
+      .register({
+        name: 'hexists',
+        description: 'Check whether a hash field exists',
+        inputSchema: {
+          properties: {
+            key: {
+              type: 'string',
+              description: 'Hash key'
+            },
+            field: {
+              type: 'string',
+              description: 'Field name'
+            }
+          },
+          required: ['key', 'field']
+        },
+        shared: databaseTool,
+        handler: params => this.hexists(params)
+      })
+      .register({
+        name: 'hset_fields',
+        description: 'Set hash fields, keeping the other fields and the key TTL',
+        inputSchema: {
+          properties: {
+            key: {
+              type: 'string',
+              description: 'Hash key'
+            },
+            fields: {
+              type: 'object',
+              description: 'Field/value pairs to set (non-string values are stored as JSON)'
+            }
+          },
+          required: ['key', 'fields']
+        },
+        permissions: ['insert', 'update'],
+        shared: databaseTool,
+        handler: params => this.hset_fields(params)
+      })
+      .register({
+        name: 'hdel_fields',
+        description: 'Remove fields from a hash',
+        inputSchema: {
+          properties: {
+            key: {
+              type: 'string',
+              description: 'Hash key'
+            },
+            fields: {
+              type: 'array',
+              items: {
+                type: 'string'
+              },
+              description: 'Field names'
+            }
+          },
+          required: ['key', 'fields']
+        },
+        permissions: ['delete'],
+        shared: databaseTool,
+        handler: params => this.hdel_fields(params)
+      })
+      .register({
+        name: 'hincrby',
+        description: 'Increment an integer hash field',
+        inputSchema: {
+          properties: {
+            key: {
+              type: 'string',
+              description: 'Hash key'
+            },
+            field: {
+              type: 'string',
+              description: 'Field name'
+            },
+            increment: {
+              type: 'integer',
+              description: 'Amount to add (negative to decrement)'
+            }
+          },
+          required: ['key', 'field', 'increment']
+        },
+        permissions: ['update'],
+        shared: databaseTool,
+        handler: params => this.hincrby(params)
+      })
+      .register({
+        name: 'hexpire',
+        description: 'Set a TTL on hash fields (Redis 7.4+)',
+        inputSchema: {
+          properties: {
+            key: {
+              type: 'string',
+              description: 'Hash key'
+            },
+            fields: {
+              type: 'array',
+              items: {
+                type: 'string'
+              },
+              description: 'Field names'
+            },
+            seconds: {
+              type: 'integer',
+              minimum: 0,
+              description: 'TTL in seconds'
+            },
+            condition: {
+              type: 'string',
+              enum: ['nx', 'xx', 'gt', 'lt'],
+              description: 'Only set the TTL if the field has none (nx), has one (xx), or the new TTL is greater (gt) or less (lt)'
+            }
+          },
+          required: ['key', 'fields', 'seconds']
+        },
+        permissions: ['update'],
+        shared: databaseTool,
+        handler: params => this.hexpire(params)
+      })
+      .register({
+        name: 'httl',
+        description: 'Get the remaining TTL of hash fields (Redis 7.4+)',
+        inputSchema: {
+          properties: {
+            key: {
+              type: 'string',
+              description: 'Hash key'
+            },
+            fields: {
+              type: 'array',
+              items: {
+                type: 'string'
+              },
+              description: 'Field names'
+            }
+          },
+          required: ['key', 'fields']
+        },
+        shared: databaseTool,
+        handler: params => this.httl(params)
+      })
+      .register({
+        name: 'hpersist',
+        description: 'Remove the TTL from hash fields (Redis 7.4+)',
+        inputSchema: {
+          properties: {
+            key: {
+              type: 'string',
+              description: 'Hash key'
+            },
+            fields: {
+              type: 'array',
+              items: {
+                type: 'string'
+              },
+              description: 'Field names'
+            }
+          },
+          required: ['key', 'fields']
+        },
+        permissions: ['update'],
+        shared: databaseTool,
+        handler: params => this.hpersist(params)
+      })
+      // List tools
+      .register({
+        name: 'lpush',
+        description: 'Push elements to the head of a list, keeping their order',
+        inputSchema: {
+          properties: {
+            key: {
+              type: 'string',
+              description: 'List key'
+            },
+            values: {
+              type: 'array',
+              items: {
+                type: 'string'
+              },
+              description: 'Elements to push, in the order they should appear in the list'
+            }
+          },
+          required: ['key', 'values']
+        },
+        permissions: ['insert'],
+        shared: databaseTool,
+        handler: params => this.lpush(params)
+      })
+      .register({
+        name: 'rpush',
+        description: 'Push elements to the tail of a list, keeping their order',
+        inputSchema: {
+          properties: {
+            key: {
+              type: 'string',
+              description: 'List key'
+            },
+            values: {
+              type: 'array',
+              items: {
+                type: 'string'
+              },
+              description: 'Elements to push, in the order they should appear in the list'
+            }
+          },
+          required: ['key', 'values']
+        },
+        permissions: ['insert'],
+        shared: databaseTool,
+        handler: params => this.rpush(params)
+      })
+      .register({
+        name: 'lpop',
+        description: 'Pop elements from the head of a list',
+        inputSchema: {
+          properties: {
+            key: {
+              type: 'string',
+              description: 'List key'
+            },
+            count: {
+              type: 'integer',
+              minimum: 1,
+              maximum: 10000,
+              description: 'Number of elements to pop (default: 1)'
+            }
+          },
+          required: ['key']
+        },
+        permissions: ['delete'],
+        shared: databaseTool,
+        handler: params => this.lpop(params)
+      })
+      .register({
+        name: 'rpop',
+        description: 'Pop elements from the tail of a list',
+        inputSchema: {
+          properties: {
+            key: {
+              type: 'string',
+              description: 'List key'
+            },
+            count: {
+              type: 'integer',
+              minimum: 1,
+              maximum: 10000,
+              description: 'Number of elements to pop (default: 1)'
+            }
+          },
+          required: ['key']
+        },
+        permissions: ['delete'],
+        shared: databaseTool,
+        handler: params => this.rpop(params)
+      })
+      .register({
+        name: 'lset',
+        description: 'Replace the list element at an index',
+        inputSchema: {
+          properties: {
+            key: {
+              type: 'string',
+              description: 'List key'
+            },
+            index: {
+              type: 'integer',
+              description: 'Element index (negative counts from the tail)'
+            },
+            value: {
+              type: 'string',
+              description: 'New element'
+            }
+          },
+          required: ['key', 'index', 'value']
+        },
+        permissions: ['update'],
+        shared: databaseTool,
+        handler: params => this.lset(params)
+      })
+      .register({
+        name: 'linsert',
+        description: 'Insert an element before or after the first occurrence of a pivot element',
+        inputSchema: {
+          properties: {
+            key: {
+              type: 'string',
+              description: 'List key'
+            },
+            position: {
+              type: 'string',
+              enum: ['before', 'after'],
+              description: 'Insert before or after the pivot'
+            },
+            pivot: {
+              type: 'string',
+              description: 'Existing element to insert next to'
+            },
+            value: {
+              type: 'string',
+              description: 'Element to insert'
+            }
+          },
+          required: ['key', 'position', 'pivot', 'value']
+        },
+        permissions: ['insert'],
+        shared: databaseTool,
+        handler: params => this.linsert(params)
+      })
+      .register({
+        name: 'lrem',
+        description: 'Remove occurrences of an element from a list',
+        inputSchema: {
+          properties: {
+            key: {
+              type: 'string',
+              description: 'List key'
+            },
+            value: {
+              type: 'string',
+              description: 'Element to remove'
+            },
+            count: {
+              type: 'integer',
+              description: 'Occurrences to remove: > 0 from the head, < 0 from the tail, 0 all (default: 0)'
+            }
+          },
+          required: ['key', 'value']
+        },
+        permissions: ['delete'],
+        shared: databaseTool,
+        handler: params => this.lrem(params)
+      })
+      .register({
+        name: 'ltrim',
+        description: 'Trim a list to the elements between start and stop (inclusive)',
+        inputSchema: {
+          properties: {
+            key: {
+              type: 'string',
+              description: 'List key'
+            },
+            start: {
+              type: 'integer',
+              description: 'First index to keep (negative counts from the tail)'
+            },
+            stop: {
+              type: 'integer',
+              description: 'Last index to keep (negative counts from the tail)'
+            }
+          },
+          required: ['key', 'start', 'stop']
+        },
+        permissions: ['delete'],
+        shared: databaseTool,
+        handler: params => this.ltrim(params)
+      })
+      .register({
+        name: 'lindex',
+        description: 'Get the list element at an index',
+        inputSchema: {
+          properties: {
+            key: {
+              type: 'string',
+              description: 'List key'
+            },
+            index: {
+              type: 'integer',
+              description: 'Element index (negative counts from the tail)'
+            }
+          },
+          required: ['key', 'index']
+        },
+        shared: databaseTool,
+        handler: params => this.lindex(params)
+      })
+      .register({
+        name: 'lpos',
+        description: 'Find the indexes of an element in a list',
+        inputSchema: {
+          properties: {
+            key: {
+              type: 'string',
+              description: 'List key'
+            },
+            value: {
+              type: 'string',
+              description: 'Element to find'
+            },
+            rank: {
+              type: 'integer',
+              description: 'Return matches starting from the rank-th one; negative searches from the tail'
+            },
+            count: {
+              type: 'integer',
+              minimum: 0,
+              maximum: 10000,
+              description: 'Number of matches to return, 0 for all (default: 1)'
+            },
+            maxlen: {
+              type: 'integer',
+              minimum: 0,
+              description: 'Compare at most this many elements'
+            }
+          },
+          required: ['key', 'value']
+        },
+        shared: databaseTool,
+        handler: params => this.lpos(params)
+      })
+      // RedisJSON tools
+      .register({
+        name: 'json_get',
+        description: 'Get the values at a JSONPath of a RedisJSON document',
+        inputSchema: {
+          properties: {
+            key: {
+              type: 'string',
+              description: 'JSON document key'
+            },
+            path: {
+              type: 'string',
+              description: 'JSONPath (default: $, the document root)'
+            }
+          },
+          required: ['key']
+        },
+        shared: databaseTool,
+        handler: params => this.json_get(params)
+      })
+      .register({
+        name: 'json_type',
+        description: 'Get the JSON types of the values at a JSONPath',
+        inputSchema: {
+          properties: {
+            key: {
+              type: 'string',
+              description: 'JSON document key'
+            },
+            path: {
+              type: 'string',
+              description: 'JSONPath (default: $, the document root)'
+            }
+          },
+          required: ['key']
+        },
+        shared: databaseTool,
+        handler: params => this.json_type(params)
+      })
+      .register({
+        name: 'json_set',
+        description: 'Set the value at a JSONPath, creating the document at $',
+        inputSchema: {
+          properties: {
+            key: {
+              type: 'string',
+              description: 'JSON document key'
+            },
+            path: {
+              type: 'string',
+              description: 'JSONPath (default: $, the document root)'
+            },
+            value: {
+              description: 'JSON value'
+            },
+            condition: {
+              type: 'string',
+              enum: ['nx', 'xx'],
+              description: 'Only set if the path does not exist (nx) or already exists (xx)'
+            }
+          },
+          required: ['key', 'value']
+        },
+        permissions: ['insert', 'update'],
+        shared: databaseTool,
+        handler: params => this.json_set(params)
+      })
+      .register({
+        name: 'json_merge',
+        description: 'Merge a value into a JSONPath (RFC 7396; null removes a field)',
+        inputSchema: {
+          properties: {
+            key: {
+              type: 'string',
+              description: 'JSON document key'
+            },
+            path: {
+              type: 'string',
+              description: 'JSONPath (default: $, the document root)'
+            },
+            value: {
+              description: 'JSON value'
+            }
+          },
+          required: ['key', 'value']
+        },
+        permissions: ['update'],
+        shared: databaseTool,
+        handler: params => this.json_merge(params)
+      })
+      .register({
+        name: 'json_del',
+        description: 'Delete the values at a JSONPath ($ deletes the document)',
+        inputSchema: {
+          properties: {
+            key: {
+              type: 'string',
+              description: 'JSON document key'
+            },
+            path: {
+              type: 'string',
+              description: 'JSONPath (default: $, the document root)'
+            }
+          },
+          required: ['key']
+        },
+        permissions: ['delete'],
+        shared: databaseTool,
+        handler: params => this.json_del(params)
+      })
+      .register({
+        name: 'json_arrappend',
+        description: 'Append values to the arrays at a JSONPath',
+        inputSchema: {
+          properties: {
+            key: {
+              type: 'string',
+              description: 'JSON document key'
+            },
+            path: {
+              type: 'string',
+              description: 'JSONPath (default: $, the document root)'
+            },
+            values: {
+              type: 'array',
+              description: 'JSON values to append'
+            }
+          },
+          required: ['key', 'values']
+        },
+        permissions: ['insert'],
+        shared: databaseTool,
+        handler: params => this.json_arrappend(params)
+      })
+      // Counter tools
+      .register({
+        name: 'incr_by',
+        description: 'Atomically add an integer to a counter and return the new value',
+        inputSchema: {
+          properties: {
+            key: {
+              type: 'string',
+              description: 'Counter key'
+            },
+            increment: {
+              type: 'integer',
+              description: 'Amount to add'
+            },
+            ttl_if_new: {
+              type: 'integer',
+              minimum: 1,
+              description: 'Expire the key after this many seconds if this call creates it'
+            }
+          },
+          required: ['key', 'increment']
+        },
+        permissions: ['insert', 'update'],
+        shared: databaseTool,
+        handler: params => this.incr_by(params)
+      })
+      .register({
+        name: 'decr_by',
+        description: 'Atomically subtract an integer from a counter and return the new value',
+        inputSchema: {
+          properties: {
+            key: {
+              type: 'string',
+              description: 'Counter key'
+            },
+            decrement: {
+              type: 'integer',
+              description: 'Amount to subtract'
+            },
+            ttl_if_new: {
+              type: 'integer',
+              minimum: 1,
+              description: 'Expire the key after this many seconds if this call creates it'
+            }
+          },
+          required: ['key', 'decrement']
+        },
+        permissions: ['insert', 'update'],
+        shared: databaseTool,
+        handler: params => this.decr_by(params)
+      })
+      .register({
+        name: 'incr_by_float',
+        description: 'Atomically add a floating point number to a counter and return the new value',
+        inputSchema: {
+          properties: {
+            key: {
+              type: 'string',
+              description: 'Counter key'
+            },
+            increment: {
+              type: 'number',
+              description: 'Amount to add'
+            },
+            ttl_if_new: {
+              type: 'integer',
+              minimum: 1,
+              description: 'Expire the key after this many seconds if this call creates it'
+            }
+          },
+          required: ['key', 'increment']
+        },
+        permissions: ['insert', 'update'],
+        shared: databaseTool,
+        handler: params => this.incr_by_float(params)
+      })
+      .register({
+        name: 'hincr_by_float',
+        description: 'Atomically add a floating point number to a hash field and return the new value',
+        inputSchema: {
+          properties: {
+            key: {
+              type: 'string',
+              description: 'Hash key'
+            },
+            field: {
+              type: 'string',
+              description: 'Field name'
+            },
+            increment: {
+              type: 'number',
+              description: 'Amount to add'
+            },
+            ttl_if_new: {
+              type: 'integer',
+              minimum: 1,
+              description: 'Expire the hash after this many seconds if this call creates it'
+            }
+          },
+          required: ['key', 'field', 'increment']
+        },
+        permissions: ['insert', 'update'],
+        shared: databaseTool,
+        handler: params => this.hincr_by_float(params)
+      })
+      // Transactions: each operation is checked as its own tool call
+      .register({
+        name: 'transaction',
+        description: 'Run several write operations atomically in one MULTI/EXEC, optionally watching keys; every operation is checked against the permissions first, and per-operation results or the abort reason are returned',
+        inputSchema: {
+          properties: {
+            operations: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  tool: {
+                    type: 'string',
+                    enum: TRANSACTION_TOOLS,
+                    description: 'Tool the operation mirrors'
+                  },
+                  args: {
+                    type: 'object',
+                    description: 'Arguments of that tool, without connection and db'
+                  }
+                },
+                required: ['tool']
+              },
+              description: 'Operations to run in order (max: 100)'
+            },
+            watch: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Keys to WATCH: the transaction is aborted if another client changes one of them (not supported in cluster mode)'
+            }
+          },
+          required: ['operations']
+        },
+        shared: databaseTool,
+        handler: params => this.transaction(params)
+      })
+      // TTL operations (always available as they don't modify data)
+      .register({
+        name: 'set_ttl',
+        description: 'Set time to live for a key',
+        inputSchema: {
+          properties: {
+            key: {
+              type: 'string',
+              description: 'Redis key to set TTL for'
+            },
+            ttl: {
+              type: 'number',
+              description: 'Time to live in seconds'
+            }
+          },
+          required: ['key', 'ttl']
+        },
+        shared: databaseTool,
+        handler: params => this.set_ttl(params)
+      })
+      .register({
+        name: 'remove_ttl',
+        description: 'Remove time to live from a key',
+        inputSchema: {
+          properties: {
+            key: {
+              type: 'string',
+              description: 'Redis key to remove TTL from'
+            }
+          },
+          required: ['key']
+        },
+        shared: databaseTool,
+        handler: params => this.remove_ttl(params)
+      })
+      // Raw commands are checked against ALLOW_* / ALLOW_ADMIN per command at call time
+      .register({
+        name: 'execute_command',
+        description: 'Execute a raw Redis command; permissions follow the command flags (readonly, write, admin, dangerous)',
+        inputSchema: {
+          properties: {
+            command: {
+              type: 'string',
+              description: 'Redis command, optionally with its subcommand (e.g. OBJECT ENCODING)'
+            },
+            args: {
+              type: 'array',
+              items: {
+                type: ['string', 'number']
+              },
+              description: 'Command arguments'
+            }
+          },
+          required: ['command']
+        },
+        shared: databaseTool,
+        handler: params => this.execute_command(params)
+      })
+      // Ad-hoc Lua scripts are opt-in (ALLOW_EVAL)
+      .register({
+        name: 'eval_script',
+        description: 'Run an ad-hoc Lua script (EVAL); scripts that write need ALLOW_INSERT, ALLOW_UPDATE and ALLOW_DELETE, readOnly scripts run with EVAL_RO',
+        inputSchema: {
+          properties: {
+            script: {
+              type: 'string',
+              description: 'Lua script source'
+            },
+            keys: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Keys the script accesses (KEYS)'
+            },
+            args: {
+              type: 'array',
+              items: {
+                type: ['string', 'number']
+              },
+              description: 'Script arguments (ARGV)'
+            },
+            readOnly: {
+              type: 'boolean',
+              description: 'Run with EVAL_RO, which rejects writes (Redis 7.0+) (default: false)'
+            }
+          },
+          required: ['script']
+        },
+        permissions: ['eval'],
+        shared: databaseTool,
+        handler: params => this.eval_script(params)
+      });
+
+    // One tool per script of the library (SCRIPTS_DIR), behind the permission its header declares
+    for (const script of this.scriptOperations.scripts) {
+      const properties = {};
+      script.keys.forEach((key) => {
+        properties[key.name] = { type: 'string', description: key.description || 'Key (KEYS)' };
+      });
+      script.args.forEach((arg) => {
+        properties[arg.name] = { type: arg.type, description: arg.description || 'Argument (ARGV)' };
+      });
+
+      this.tools.register({
+        name: script.tool,
+        description: script.description,
+        inputSchema: {
+          properties: properties,
+          required: Object.keys(properties)
+        },
+        permissions: script.permission === 'read' ? [] : [script.permission],
+        shared: databaseTool,
+        handler: params => this.run_script(script, params)
+      });
+    }
+  }
+
+  // Get data by key
+  async get_data(params) {
+    const { key, offset, count, cursor, match, raw, encoding, connection, db } = params;
+
+    if (!key || typeof key !== 'string') {
+      throw new Error('Missing or invalid key parameter');
+    }
+
+    try {
+      const result = await this.dataOperations.getData({ key, offset, count, cursor, match, raw, encoding, connection, db });
+      logRedisOperation('GET', key, result);
+      return result;
+    } catch (err) {
+      logRedisOperation('GET', key, null, err.message);
+      throw new Error(`Failed to get data: ${err.message}`);
+    }
+  }
+
+  // Set/Insert data
+  async set_data(params) {
+    const { key, value, ttl, type = 'string', encoding, condition, keepTtl, returnPrevious, connection, db } = params;
+
+    if (!key || typeof key !== 'string') {
+      throw new Error('Missing or invalid key parameter');
+    }
+
+    if (value === undefined || value === null) {
+      throw new Error('Missing value parameter');
+    }
+
+    try {
+      const result = await this.dataOperations.setData({ key, value, ttl, type, encoding, condition, keepTtl, returnPrevious, connection, db });
+      logRedisOperation('SET', key, result);
+      return result;
+    } catch (err) {
+      logRedisOperation('SET', key, null, err.message);
+      throw new Error(`Failed to set data: ${err.message}`);
+    }
+  }
+
+  // Update data
+  async update_data(params) {
+    const { key, value, ttl, encoding, keepTtl, returnPrevious, connection, db } = params;
+
+    if (!key || typeof key !== 'string') {
+      throw new Error('Missing or invalid key parameter');
+    }
+
+    if (value === undefined || value === null) {
+      throw new Error('Missing value parameter');
+    }
+
+    const preview = await this.confirmDestructive('update_data', params, async () => {
+      const current = await this.keyOperations.getKeyInfo({ key, connection, db });
+      return current.exists && {
+        key: key,
+        current: current,
+        change: {
+          // Collections are deleted and rewritten; SET drops the TTL of strings unless keepTtl
+          action: current.type === 'string' ? 'overwrite' : 'replace',
+          newSize: Array.isArray(value) ? value.length : (typeof value === 'object' ? Object.keys(value).length : String(value).length),
+          ttl: ttl || (current.type === 'string' && !keepTtl ? 'removed' : 'unchanged')
+        }
+      };
+    });
+    if (preview) {
+      return preview;
+    }
+
+    try {
+      const result = await this.dataOperations.updateData({ key, value, ttl, encoding, keepTtl, returnPrevious, connection, db });
+      logRedisOperation('UPDATE', key, result);
+      return result;
+    } catch (err) {
+      logRedisOperation('UPDATE', key, null, err.message);
+      throw new Error(`Failed to update data: ${err.message}`);
+    }
+  }
+
+  // Compare and set a string or hash field
+  async compare_and_set(params) {
+    const { key, field, expected, value, encoding, connection, db } = params;
+
+    try {
+      const result = await this.dataOperations.compareAndSet({ key, field, expected, value, encoding, connection, db });
+      logRedisOperation('COMPARE_AND_SET', key, result);
+      return result;
+    } catch (err) {
+      logRedisOperation('COMPARE_AND_SET', key, null, err.message);
+      throw new Error(`Failed to compare and set: ${err.message}`);
+    }
+  }
+
+  // Delete data
+  async delete_data(params) {
+    const { key, connection, db } = params;
+
+    if (!key || typeof key !== 'string') {
+      throw new Error('Missing or invalid key parameter');
+    }
+
+    const preview = await this.confirmDestructive('delete_data', params, () => this.previewDeletion(key, connection, db));
+    if (preview) {
+      return preview;
+    }
+
+    try {
+      const result = await this.dataOperations.deleteData({ key, connection, db });
+      logRedisOperation('DELETE', key, result);
+      return result;
+    } catch (err) {
+      logRedisOperation('DELETE', key, null, err.message);
+      throw new Error(`Failed to delete data: ${err.message}`);
+    }
+  }
+
+  // List keys
+  async list_keys(params) {
+    const { pattern = '*', limit = 100, offset = 0, connection, db } = params || {};
+
+    try {
+      const result = await this.dataOperations.listKeys({ pattern, limit, offset, connection, db });
+      logRedisOperation('LIST_KEYS', pattern, { count: result.keys.length });
+      return result;
+    } catch (err) {
+      logRedisOperation('LIST_KEYS', pattern, null, err.message);
+      throw new Error(`Failed to list keys: ${err.message}`);
+    }
+  }
+
+  // Get many keys at once
+  async get_many(params) {
+    const { keys, pattern, limit, count, raw, connection, db } = params;
+
+    try {
+      const result = await this.dataOperations.getMany({ keys, pattern, limit, count, raw, connection, db });
+      logRedisOperation('GET_MANY', pattern || keys.join(','), { count: result.results.length, failed: result.failed });
+      return result;
+    } catch (err) {
+      logRedisOperation('GET_MANY', pattern || (keys || []).join(','), null, err.message);
+      throw new Error(`Failed to get keys: ${err.message}`);
+    }
+  }
+
+  // Set many keys at once
+  async set_many(params) {
+    const { entries, connection, db } = params;
+    const keys = (entries || []).map(entry => entry && entry.key).join(',');
+
+    try {
+      const result = await this.dataOperations.setMany({ entries, connection, db });
+      logRedisOperation('SET_MANY', keys, { written: result.written, failed: result.failed });
+      return result;
+    } catch (err) {
+      logRedisOperation('SET_MANY', keys, null, err.message);
+      throw new Error(`Failed to set keys: ${err.message}`);
+    }
+  }
+
+  // Create key
+  async create_key(params) {
+    const { key, value = '', type = 'string', ttl, encoding, connection, db } = params;
+
+    if (!key || typeof key !== 'string') {
+      throw new Error('Missing or invalid key parameter');
+    }
+
+    try {
+      const result = await this.keyOperations.createKey({ key, value, type, ttl, encoding, connection, db });
+      logRedisOperation('CREATE_KEY', key, result);
+      return result;
+    } catch (err) {
+      logRedisOperation('CREATE_KEY', key, null, err.message);
+      throw new Error(`Failed to create key: ${err.message}`);
+    }
+  }
+
+  // Drop key
+  async drop_key(params) {
+    const { key, connection, db } = params;
+
+    if (!key || typeof key !== 'string') {
+      throw new Error('Missing or invalid key parameter');
+    }
+
+    const preview = await this.confirmDestructive('drop_key', params, () => this.previewDeletion(key, connection, db));
+    if (preview) {
+      return preview;
+    }
+
+    try {
+      const result = await this.keyOperations.dropKey({ key, connection, db });
+      logRedisOperation('DROP_KEY', key, result);
+      return result;
+    } catch (err) {
+      logRedisOperation('DROP_KEY', key, null, err.message);
+      throw new Error(`Failed to drop key: ${err.message}`);
+    }
+  }
+
+  // Check if key exists
+  async exists_key(params) {
+    const { key, connection, db } = params;
+
+    if (!key || typeof key !== 'string') {
+      throw new Error('Missing or invalid key parameter');
+    }
+
+    try {
+      const result = await this.keyOperations.existsKey({ key, connection, db });
+      logRedisOperation('EXISTS_KEY', key, result);
+      return result;
+    } catch (err) {
+      logRedisOperation('EXISTS_KEY', key, null, err.message);
+      throw new Error(`Failed to check key existence: ${err.message}`);
+    }
+  }
+
+  // Get key information
+  async get_key_info(params) {
+    const { key, connection, db } = params;
+
+    if (!key || typeof key !== 'string') {
+      throw new Error('Missing or invalid key parameter');
+    }
+
+    try {
+      const result = await this.keyOperations.getKeyInfo({ key, connection, db });
+      logRedisOperation('GET_KEY_INFO', key, result);
+      return result;
+    } catch (err) {
+      logRedisOperation('GET_KEY_INFO', key, null, err.message);
+      throw new Error(`Failed to get key info: ${err.message}`);
+    }
+  }
+
+  // Rename key
+  async rename_key(params) {
+    const { oldKey, newKey, connection, db } = params;
+
+    if (!oldKey || typeof oldKey !== 'string') {
+      throw new Error('Missing or invalid oldKey parameter');
+    }
+
+    if (!newKey || typeof newKey !== 'string') {
+      throw new Error('Missing or invalid newKey parameter');
+    }
+
+    const preview = await this.confirmDestructive('rename_key', params, async () => {
+      const current = await this.keyOperations.getKeyInfo({ key: oldKey, connection, db });
+      return current.exists && {
+        key: oldKey,
+        current: current,
+        change: {
+          action: 'rename',
+          from: oldKey,
+          to: newKey
+        }
+      };
+    });
+    if (preview) {
+      return preview;
+    }
+
+    try {
+      const result = await this.keyOperations.renameKey({ oldKey, newKey, connection, db });
+      logRedisOperation('RENAME_KEY', `${oldKey} -> ${newKey}`, result);
+      return result;
+    } catch (err) {
+      logRedisOperation('RENAME_KEY', `${oldKey} -> ${newKey}`, null, err.message);
+      throw new Error(`Failed to rename key: ${err.message}`);
+    }
+  }
+
+  // Set TTL for key
+  async set_ttl(params) {
+    const { key, ttl, connection, db } = params;
+
+    if (!key || typeof key !== 'string') {
+      throw new Error('Missing or invalid key parameter');
+    }
+
+    if (typeof ttl !== 'number' || ttl <= 0) {
+      throw new Error('TTL must be a positive number');
+    }
+
+    try {
+      const result = await this.keyOperations.setTTL({ key, ttl, connection, db });
+      logRedisOperation('SET_TTL', key, result);
+      return result;
+    } catch (err) {
+      logRedisOperation('SET_TTL', key, null, err.message);
+      throw new Error(`Failed to set TTL: ${err.message}`);
+    }
+  }
+
+  // Remove TTL from key
+  async remove_ttl(params) {
+    const { key, connection, db } = params;
+
+    if (!key || typeof key !== 'string') {
+      throw new Error('Missing or invalid key parameter');
+    }
+
+    try {
+      const result = await this.keyOperations.removeTTL({ key, connection, db });
+      logRedisOperation('REMOVE_TTL', key, result);
+      return result;
+    } catch (err) {
+      logRedisOperation('REMOVE_TTL', key, null, err.message);
+      throw new Error(`Failed to remove TTL: ${err.message}`);
+    }
+  }
+
+  // Move key to another logical database
+  async move_key(params) {
+    const { key, targetDb, connection, db } = params;
+
+    if (!key || typeof key !== 'string') {
+      throw new Error('Missing or invalid key parameter');
+    }
+
+    if (!Number.isInteger(targetDb) || targetDb < 0) {
+      throw new Error('targetDb must be a non-negative integer');
+    }
+
+    try {
+      const result = await this.keyOperations.moveKey({ key, targetDb, connection, db });
+      logRedisOperation('MOVE_KEY', `${key} -> db${targetDb}`, result);
+      return result;
+    } catch (err) {
+      logRedisOperation('MOVE_KEY', `${key} -> db${targetDb}`, null, err.message);
+      throw new Error(`Failed to move key: ${err.message}`);
+    }
+  }
+
+  // Add sorted set members
+  async zadd(params) {
+    const { key, members, condition, comparison, connection, db } = params;
+
+    try {
+      const result = await this.zsetOperations.zAdd({ key, members, condition, comparison, connection, db });
+      logRedisOperation('ZADD', key, result);
+      return result;
+    } catch (err) {
+      logRedisOperation('ZADD', key, null, err.message);
+      throw new Error(`Failed to add sorted set members: ${err.message}`);
+    }
+  }
+
+  // Increment a sorted set member score
+  async zincrby(params) {
+    const { key, member, increment, ttl_if_new: ttlIfNew, connection, db } = params;
+
+    try {
+      const result = await this.zsetOperations.zIncrBy({ key, member, increment, ttlIfNew, connection, db });
+      logRedisOperation('ZINCRBY', key, result);
+      return result;
+    } catch (err) {
+      logRedisOperation('ZINCRBY', key, null, err.message);
+      throw new Error(`Failed to increment sorted set member: ${err.message}`);
+    }
+  }
+
+  // Remove sorted set members
+  async zrem(params) {
+    const { key, members, connection, db } = params;
+
+    try {
+      const result = await this.zsetOperations.zRem({ key, members, connection, db });
+      logRedisOperation('ZREM', key, result);
+      return result;
+    } catch (err) {
+      logRedisOperation('ZREM', key, null, err.message);
+      throw new Error(`Failed to remove sorted set members: ${err.message}`);
+    }
+  }
+
+  // Get sorted set members by score
+  async zrange_by_score(params) {
+    const { key, min, max, limit, offset, reverse, connection, db } = params;
+
+    try {
+      const result = await this.zsetOperations.zRangeByScore({ key, min, max, limit, offset, reverse, connection, db });
+      logRedisOperation('ZRANGE_BY_SCORE', key, { count: result.members.length });
+      return result;
+    } catch (err) {
+      logRedisOperation('ZRANGE_BY_SCORE', key, null, err.message);
+      throw new Error(`Failed to get sorted set range: ${err.message}`);
+    }
+  }
+
+  // Get sorted set members by lexicographical range
+  async zrange_by_lex(params) {
+    const { key, min, max, limit, offset, reverse, connection, db } = params;
+
+    try {
+      const result = await this.zsetOperations.zRangeByLex({ key, min, max, limit, offset, reverse, connection, db });
+      logRedisOperation('ZRANGE_BY_LEX', key, { count: result.members.length });
+      return result;
+    } catch (err) {
+      logRedisOperation('ZRANGE_BY_LEX', key, null, err.message);
+      throw new Error(`Failed to get sorted set range: ${err.message}`);
+    }
+  }
+
+  // Intersect sorted sets
+  async zinter(params) {
+    const { keys, weights, aggregate, store, limit, connection, db } = params;
+
+    try {
+      const result = await this.zsetOperations.zCombine({ operation: 'inter', keys, weights, aggregate, store, limit, connection, db });
+      logRedisOperation('ZINTER', keys.join(','), { store: result.store, size: result.size, total: result.total });
+      return result;
+    } catch (err) {
+      logRedisOperation('ZINTER', keys.join(','), null, err.message);
+      throw new Error(`Failed to intersect sorted sets: ${err.message}`);
+    }
+  }
+
+  // Union sorted sets
+  async zunion(params) {
+    const { keys, weights, aggregate, store, limit, connection, db } = params;
+
+    try {
+      const result = await this.zsetOperations.zCombine({ operation: 'union', keys, weights, aggregate, store, limit, connection, db });
+      logRedisOperation('ZUNION', keys.join(','), { store: result.store, size: result.size, total: result.total });
+      return result;
+    } catch (err) {
+      logRedisOperation('ZUNION', keys.join(','), null, err.message);
+      throw new Error(`Failed to union sorted sets: ${err.message}`);
+    }
+  }
+
+  // Add stream entry
+  async xadd(params) {
+    const { key, id, fields, maxlen, minid, approximate, connection, db } = params;
+
+    try {
+      const result = await this.streamOperations.xAdd({ key, id, fields, maxlen, minid, approximate, connection, db });
+      logRedisOperation('XADD', key, result);
+      return result;
+    } catch (err) {
+      logRedisOperation('XADD', key, null, err.message);
+      throw new Error(`Failed to add stream entry: ${err.message}`);
+    }
+  }
+
+  // Get stream range
+  async xrange(params) {
+    const { key, start, end, count, connection, db } = params;
+
+    try {
+      const result = await this.streamOperations.xRange({ key, start, end, count, reverse: false, connection, db });
+      logRedisOperation('XRANGE', key, { count: result.count });
+      return result;
+    } catch (err) {
+      logRedisOperation('XRANGE', key, null, err.message);
+      throw new Error(`Failed to get stream range: ${err.message}`);
+    }
+  }
+
+  // Get reverse stream range
+  async xrevrange(params) {
+    const { key, start, end, count, connection, db } = params;
+
+    try {
+      const result = await this.streamOperations.xRange({ key, start, end, count, reverse: true, connection, db });
+      logRedisOperation('XREVRANGE', key, { count: result.count });
+      return result;
+    } catch (err) {
+      logRedisOperation('XREVRANGE', key, null, err.message);
+      throw new Error(`Failed to get reverse stream range: ${err.message}`);
+    }
+  }
+
+  // Read streams
+  async xread(params) {
+    const { streams, count, connection, db } = params;
+
+    try {
+      const result = await this.streamOperations.xRead({ streams, count, connection, db });
+      logRedisOperation('XREAD', 'streams', { streams: result.streams.length });
+      return result;
+    } catch (err) {
+      logRedisOperation('XREAD', 'streams', null, err.message);
+      throw new Error(`Failed to read streams: ${err.message}`);
+    }
+  }
+
+  // Get stream length
+  async xlen(params) {
+    const { key, connection, db } = params;
+
+    try {
+      const result = await this.streamOperations.xLen({ key, connection, db });
+      logRedisOperation('XLEN', key, result);
+      return result;
+    } catch (err) {
+      logRedisOperation('XLEN', key, null, err.message);
+      throw new Error(`Failed to get stream length: ${err.message}`);
+    }
+  }
+
+  // Get stream info
+  async xinfo_stream(params) {
+    const { key, connection, db } = params;
+
+    try {
+      const result = await this.streamOperations.xInfoStream({ key, connection, db });
+      logRedisOperation('XINFO_STREAM', key, { length: result.length });
+      return result;
+    } catch (err) {
+      logRedisOperation('XINFO_STREAM', key, null, err.message);
+      throw new Error(`Failed to get stream info: ${err.message}`);
+    }
+  }
+
+  // Get stream groups
+  async xinfo_groups(params) {
+    const { key, includeConsumers, connection, db } = params;
+
+    try {
+      const result = await this.streamOperations.xInfoGroups({ key, includeConsumers, connection, db });
+      logRedisOperation('XINFO_GROUPS', key, { groups: result.groups.length });
+      return result;
+    } catch (err) {
+      logRedisOperation('XINFO_GROUPS', key, null, err.message);
+      throw new Error(`Failed to get stream groups: ${err.message}`);
+    }
+  }
+
+  // Get pending entries
+  async xpending(params) {
+    const { key, group, consumer, minIdleTime, count, connection, db } = params;
+
+    try {
+      const result = await this.streamOperations.xPending({ key, group, consumer, minIdleTime, count, connection, db });
+      logRedisOperation('XPENDING', key, { pending: result.pending });
+      return result;
+    } catch (err) {
+      logRedisOperation('XPENDING', key, null, err.message);
+      throw new Error(`Failed to get pending entries: ${err.message}`);
+    }
+  }
+
+  // Trim stream
+  async xtrim(params) {
+    const { key, maxlen, minid, approximate, connection, db } = params;
+
+    try {
+      const result = await this.streamOperations.xTrim({ key, maxlen, minid, approximate, connection, db });
+      logRedisOperation('XTRIM', key, result);
+      return result;
+    } catch (err) {
+      logRedisOperation('XTRIM', key, null, err.message);
+      throw new Error(`Failed to trim stream: ${err.message}`);
+    }
+  }
+
+  // Delete stream entries
+  async xdel(params) {
+    const { key, ids, connection, db } = params;
+
+    try {
+      const result = await this.streamOperations.xDel({ key, ids, connection, db });
+      logRedisOperation('XDEL', key, result);
+      return result;
+    } catch (err) {
+      logRedisOperation('XDEL', key, null, err.message);
+      throw new Error(`Failed to delete stream entries: ${err.message}`);
+    }
+  }
+
+  // Destroy consumer group
+  async xgroup_destroy(params) {
+    const { key, group, connection, db } = params;
+
+    try {
+      const result = await this.streamOperations.xGroupDestroy({ key, group, connection, db });
+      logRedisOperation('XGROUP_DESTROY', key, result);
+      return result;
+    } catch (err) {
+      logRedisOperation('XGROUP_DESTROY', key, null, err.message);
+      throw new Error(`Failed to destroy consumer group: ${err.message}`);
+    }
+  }
+
+  // Intersect sets
+  async sinter(params) {
+    const { keys, store, limit, connection, db } = params;
+
+    try {
+      const result = await this.setOperations.combine({ operation: 'inter', keys, store, limit, connection, db });
+      logRedisOperation('SINTER', keys.join(','), { store: result.store, size: result.size, total: result.total });
+      return result;
+    } catch (err) {
+      logRedisOperation('SINTER', keys.join(','), null, err.message);
+      throw new Error(`Failed to intersect sets: ${err.message}`);
+    }
+  }
+
+  // Union sets
+  async sunion(params) {
+    const { keys, store, limit, connection, db } = params;
+
+    try {
+      const result = await this.setOperations.combine({ operation: 'union', keys, store, limit, connection, db });
+      logRedisOperation('SUNION', keys.join(','), { store: result.store, size: result.size, total: result.total });
+      return result;
+    } catch (err) {
+      logRedisOperation('SUNION', keys.join(','), null, err.message);
+      throw new Error(`Failed to union sets: ${err.message}`);
+    }
+  }
+
+  // Diff sets
+  async sdiff(params) {
+    const { keys, store, limit, connection, db } = params;
+
+    try {
+      const result = await this.setOperations.combine({ operation: 'diff', keys, store, limit, connection, db });
+      logRedisOperation('SDIFF', keys.join(','), { store: result.store, size: result.size, total: result.total });
+      return result;
+    } catch (err) {
+      logRedisOperation('SDIFF', keys.join(','), null, err.message);
+      throw new Error(`Failed to diff sets: ${err.message}`);
+    }
+  }
+
+  // Check set member
+  async sismember(params) {
+    const { key, member, connection, db } = params;
+
+    try {
+      const result = await this.setOperations.isMember({ key, members: [member], connection, db });
+      logRedisOperation('SISMEMBER', key, result);
+      return {
+        key: key,
+        member: member,
+        isMember: result.members[member]
+      };
+    } catch (err) {
+      logRedisOperation('SISMEMBER', key, null, err.message);
+      throw new Error(`Failed to check set member: ${err.message}`);
+    }
+  }
+
+  // Check set members
+  async smismember(params) {
+    const { key, members, connection, db } = params;
+
+    try {
+      const result = await this.setOperations.isMember({ key, members, connection, db });
+      logRedisOperation('SMISMEMBER', key, result);
+      return result;
+    } catch (err) {
+      logRedisOperation('SMISMEMBER', key, null, err.message);
+      throw new Error(`Failed to check set members: ${err.message}`);
+    }
+  }
+
+  // Get random set members
+  async srandmember(params) {
+    const { key, count, connection, db } = params;
+
+    try {
+      const result = await this.setOperations.randomMembers({ key, count, connection, db });
+      logRedisOperation('SRANDMEMBER', key, result);
+      return result;
+    } catch (err) {
+      logRedisOperation('SRANDMEMBER', key, null, err.message);
+      throw new Error(`Failed to get random set members: ${err.message}`);
+    }
   }
 
-  // Get data by key
-  async get_data(params) {
-    const { key } = params;
+  // Get set size
+  async scard(params) {
+    const { key, connection, db } = params;
 
-    if (!key || typeof key !== 'string') {
-      throw new Error('Missing or invalid key parameter');
+    try {
+      const result = await this.setOperations.cardinality({ key, connection, db });
+      logRedisOperation('SCARD', key, result);
+      return result;
+    } catch (err) {
+      logRedisOperation('SCARD', key, null, err.message);
+      throw new Error(`Failed to get set size: ${err.message}`);
     }
+  }
+
+  // Add set members
+  async sadd(params) {
+    const { key, members, connection, db } = params;
 
     try {
-      const result = await this.dataOperations.getData({ key });
-      logRedisOperation('GET', key, result);
+      const result = await this.setOperations.add({ key, members, connection, db });
+      logRedisOperation('SADD', key, result);
       return result;
     } catch (err) {
-      logRedisOperation('GET', key, null, err.message);
-      throw new Error(`Failed to get data: ${err.message}`);
+      logRedisOperation('SADD', key, null, err.message);
+      throw new Error(`Failed to add set members: ${err.message}`);
     }
   }
 
-  // Set/Insert data
-  async set_data(params) {
-    const { key, value, ttl, type = 'string' } = params;
+  // Remove set members
+  async srem(params) {
+    const { key, members, connection, db } = params;
 
-    if (!key || typeof key !== 'string') {
-      throw new Error('Missing or invalid key parameter');
+    try {
+      const result = await this.setOperations.remove({ key, members, connection, db });
+      logRedisOperation('SREM', key, result);
+      return result;
+    } catch (err) {
+      logRedisOperation('SREM', key, null, err.message);
+      throw new Error(`Failed to remove set members: ${err.message}`);
     }
+  }
 
-    if (value === undefined || value === null) {
-      throw new Error('Missing value parameter');
+  // Get hash field
+  async hget(params) {
+    const { key, field, connection, db } = params;
+
+    try {
+      const result = await this.hashOperations.hGet({ key, field, connection, db });
+      logRedisOperation('HGET', key, result);
+      return result;
+    } catch (err) {
+      logRedisOperation('HGET', key, null, err.message);
+      throw new Error(`Failed to get hash field: ${err.message}`);
     }
+  }
+
+  // Get hash fields
+  async hmget(params) {
+    const { key, fields, connection, db } = params;
 
     try {
-      const result = await this.dataOperations.setData({ key, value, ttl, type });
-      logRedisOperation('SET', key, result);
+      const result = await this.hashOperations.hmGet({ key, fields, connection, db });
+      logRedisOperation('HMGET', key, result);
       return result;
     } catch (err) {
-      logRedisOperation('SET', key, null, err.message);
-      throw new Error(`Failed to set data: ${err.message}`);
+      logRedisOperation('HMGET', key, null, err.message);
+      throw new Error(`Failed to get hash fields: ${err.message}`);
     }
   }
 
-  // Update data
-  async update_data(params) {
-    const { key, value, ttl } = params;
+  // Check hash field
+  async hexists(params) {
+    const { key, field, connection, db } = params;
 
-    if (!key || typeof key !== 'string') {
-      throw new Error('Missing or invalid key parameter');
+    try {
+      const result = await this.hashOperations.hExists({ key, field, connection, db });
+      logRedisOperation('HEXISTS', key, result);
+      return result;
+    } catch (err) {
+      logRedisOperation('HEXISTS', key, null, err.message);
+      throw new Error(`Failed to check hash field: ${err.message}`);
     }
+  }
 
-    if (value === undefined || value === null) {
-      throw new Error('Missing value parameter');
+  // Set hash fields
+  async hset_fields(params) {
+    const { key, fields, connection, db } = params;
+
+    try {
+      const result = await this.hashOperations.hSetFields({ key, fields, connection, db });
+      logRedisOperation('HSET', key, result);
+      return result;
+    } catch (err) {
+      logRedisOperation('HSET', key, null, err.message);
+      throw new Error(`Failed to set hash fields: ${err.message}`);
     }
+  }
+
+  // Delete hash fields
+  async hdel_fields(params) {
+    const { key, fields, connection, db } = params;
 
     try {
-      const result = await this.dataOperations.updateData({ key, value, ttl });
-      logRedisOperation('UPDATE', key, result);
+      const result = await this.hashOperations.hDelFields({ key, fields, connection, db });
+      logRedisOperation('HDEL', key, result);
       return result;
     } catch (err) {
-      logRedisOperation('UPDATE', key, null, err.message);
-      throw new Error(`Failed to update data: ${err.message}`);
+      logRedisOperation('HDEL', key, null, err.message);
+      throw new Error(`Failed to delete hash fields: ${err.message}`);
     }
   }
 
-  // Delete data
-  async delete_data(params) {
-    const { key } = params;
+  // Increment hash field
+  async hincrby(params) {
+    const { key, field, increment, connection, db } = params;
 
-    if (!key || typeof key !== 'string') {
-      throw new Error('Missing or invalid key parameter');
+    try {
+      const result = await this.hashOperations.hIncrBy({ key, field, increment, connection, db });
+      logRedisOperation('HINCRBY', key, result);
+      return result;
+    } catch (err) {
+      logRedisOperation('HINCRBY', key, null, err.message);
+      throw new Error(`Failed to increment hash field: ${err.message}`);
     }
+  }
+
+  // Set hash field TTL
+  async hexpire(params) {
+    const { key, fields, seconds, condition, connection, db } = params;
 
     try {
-      const result = await this.dataOperations.deleteData({ key });
-      logRedisOperation('DELETE', key, result);
+      const result = await this.hashOperations.hExpire({ key, fields, seconds, condition, connection, db });
+      logRedisOperation('HEXPIRE', key, result);
       return result;
     } catch (err) {
-      logRedisOperation('DELETE', key, null, err.message);
-      throw new Error(`Failed to delete data: ${err.message}`);
+      logRedisOperation('HEXPIRE', key, null, err.message);
+      throw new Error(`Failed to set hash field TTL: ${err.message}`);
     }
   }
 
-  // List keys
-  async list_keys(params) {
-    const { pattern = '*', limit = 100, offset = 0 } = params || {};
+  // Get hash field TTL
+  async httl(params) {
+    const { key, fields, connection, db } = params;
 
     try {
-      const result = await this.dataOperations.listKeys({ pattern, limit, offset });
-      logRedisOperation('LIST_KEYS', pattern, { count: result.keys.length });
+      const result = await this.hashOperations.hTtl({ key, fields, connection, db });
+      logRedisOperation('HTTL', key, result);
       return result;
     } catch (err) {
-      logRedisOperation('LIST_KEYS', pattern, null, err.message);
-      throw new Error(`Failed to list keys: ${err.message}`);
+      logRedisOperation('HTTL', key, null, err.message);
+      throw new Error(`Failed to get hash field TTL: ${err.message}`);
     }
   }
 
-  // Create key
-  async create_key(params) {
-    const { key, value = '', type = 'string', ttl } = params;
+  // Remove hash field TTL
+  async hpersist(params) {
+    const { key, fields, connection, db } = params;
 
-    if (!key || typeof key !== 'string') {
-      throw new Error('Missing or invalid key parameter');
+    try {
+      const result = await this.hashOperations.hPersist({ key, fields, connection, db });
+      logRedisOperation('HPERSIST', key, result);
+      return result;
+    } catch (err) {
+      logRedisOperation('HPERSIST', key, null, err.message);
+      throw new Error(`Failed to remove hash field TTL: ${err.message}`);
     }
+  }
+
+  // Push list elements to the head
+  async lpush(params) {
+    const { key, values, connection, db } = params;
 
     try {
-      const result = await this.keyOperations.createKey({ key, value, type, ttl });
-      logRedisOperation('CREATE_KEY', key, result);
+      const result = await this.listOperations.push({ key, values, tail: false, connection, db });
+      logRedisOperation('LPUSH', key, result);
       return result;
     } catch (err) {
-      logRedisOperation('CREATE_KEY', key, null, err.message);
-      throw new Error(`Failed to create key: ${err.message}`);
+      logRedisOperation('LPUSH', key, null, err.message);
+      throw new Error(`Failed to push list elements to the head: ${err.message}`);
     }
   }
 
-  // Drop key
-  async drop_key(params) {
-    const { key } = params;
+  // Push list elements to the tail
+  async rpush(params) {
+    const { key, values, connection, db } = params;
 
-    if (!key || typeof key !== 'string') {
-      throw new Error('Missing or invalid key parameter');
+    try {
+      const result = await this.listOperations.push({ key, values, tail: true, connection, db });
+      logRedisOperation('RPUSH', key, result);
+      return result;
+    } catch (err) {
+      logRedisOperation('RPUSH', key, null, err.message);
+      throw new Error(`Failed to push list elements to the tail: ${err.message}`);
     }
+  }
+
+  // Pop list elements from the head
+  async lpop(params) {
+    const { key, count, connection, db } = params;
 
     try {
-      const result = await this.keyOperations.dropKey({ key });
-      logRedisOperation('DROP_KEY', key, result);
+      const result = await this.listOperations.pop({ key, count, tail: false, connection, db });
+      logRedisOperation('LPOP', key, result);
       return result;
     } catch (err) {
-      logRedisOperation('DROP_KEY', key, null, err.message);
-      throw new Error(`Failed to drop key: ${err.message}`);
+      logRedisOperation('LPOP', key, null, err.message);
+      throw new Error(`Failed to pop list elements from the head: ${err.message}`);
     }
   }
 
-  // Check if key exists
-  async exists_key(params) {
-    const { key } = params;
+  // Pop list elements from the tail
+  async rpop(params) {
+    const { key, count, connection, db } = params;
 
-    if (!key || typeof key !== 'string') {
-      throw new Error('Missing or invalid key parameter');
+    try {
+      const result = await this.listOperations.pop({ key, count, tail: true, connection, db });
+      logRedisOperation('RPOP', key, result);
+      return result;
+    } catch (err) {
+      logRedisOperation('RPOP', key, null, err.message);
+      throw new Error(`Failed to pop list elements from the tail: ${err.message}`);
     }
+  }
+
+  // Set list element
+  async lset(params) {
+    const { key, index, value, connection, db } = params;
 
     try {
-      const result = await this.keyOperations.existsKey({ key });
-      logRedisOperation('EXISTS_KEY', key, result);
+      const result = await this.listOperations.lSet({ key, index, value, connection, db });
+      logRedisOperation('LSET', key, result);
       return result;
     } catch (err) {
-      logRedisOperation('EXISTS_KEY', key, null, err.message);
-      throw new Error(`Failed to check key existence: ${err.message}`);
+      logRedisOperation('LSET', key, null, err.message);
+      throw new Error(`Failed to set list element: ${err.message}`);
     }
   }
 
-  // Get key information
-  async get_key_info(params) {
-    const { key } = params;
+  // Insert list element
+  async linsert(params) {
+    const { key, position, pivot, value, connection, db } = params;
 
-    if (!key || typeof key !== 'string') {
-      throw new Error('Missing or invalid key parameter');
+    try {
+      const result = await this.listOperations.lInsert({ key, position, pivot, value, connection, db });
+      logRedisOperation('LINSERT', key, result);
+      return result;
+    } catch (err) {
+      logRedisOperation('LINSERT', key, null, err.message);
+      throw new Error(`Failed to insert list element: ${err.message}`);
     }
+  }
+
+  // Remove list elements
+  async lrem(params) {
+    const { key, value, count, connection, db } = params;
 
     try {
-      const result = await this.keyOperations.getKeyInfo({ key });
-      logRedisOperation('GET_KEY_INFO', key, result);
+      const result = await this.listOperations.lRem({ key, value, count, connection, db });
+      logRedisOperation('LREM', key, result);
       return result;
     } catch (err) {
-      logRedisOperation('GET_KEY_INFO', key, null, err.message);
-      throw new Error(`Failed to get key info: ${err.message}`);
+      logRedisOperation('LREM', key, null, err.message);
+      throw new Error(`Failed to remove list elements: ${err.message}`);
     }
   }
 
-  // Rename key
-  async rename_key(params) {
-    const { oldKey, newKey } = params;
+  // Trim list
+  async ltrim(params) {
+    const { key, start, stop, connection, db } = params;
 
-    if (!oldKey || typeof oldKey !== 'string') {
-      throw new Error('Missing or invalid oldKey parameter');
+    try {
+      const result = await this.listOperations.lTrim({ key, start, stop, connection, db });
+      logRedisOperation('LTRIM', key, result);
+      return result;
+    } catch (err) {
+      logRedisOperation('LTRIM', key, null, err.message);
+      throw new Error(`Failed to trim list: ${err.message}`);
     }
+  }
 
-    if (!newKey || typeof newKey !== 'string') {
-      throw new Error('Missing or invalid newKey parameter');
+  // Get list element
+  async lindex(params) {
+    const { key, index, connection, db } = params;
+
+    try {
+      const result = await this.listOperations.lIndex({ key, index, connection, db });
+      logRedisOperation('LINDEX', key, result);
+      return result;
+    } catch (err) {
+      logRedisOperation('LINDEX', key, null, err.message);
+      throw new Error(`Failed to get list element: ${err.message}`);
     }
+  }
+
+  // Find list element
+  async lpos(params) {
+    const { key, value, rank, count, maxlen, connection, db } = params;
 
     try {
-      const result = await this.keyOperations.renameKey({ oldKey, newKey });
-      logRedisOperation('RENAME_KEY', `${oldKey} -> ${newKey}`, result);
+      const result = await this.listOperations.lPos({ key, value, rank, count, maxlen, connection, db });
+      logRedisOperation('LPOS', key, result);
       return result;
     } catch (err) {
-      logRedisOperation('RENAME_KEY', `${oldKey} -> ${newKey}`, null, err.message);
-      throw new Error(`Failed to rename key: ${err.message}`);
+      logRedisOperation('LPOS', key, null, err.message);
+      throw new Error(`Failed to find list element: ${err.message}`);
     }
   }
 
-  // Set TTL for key
-  async set_ttl(params) {
-    const { key, ttl } = params;
+  // Get JSON value
+  async json_get(params) {
+    const { key, path, connection, db } = params;
 
-    if (!key || typeof key !== 'string') {
-      throw new Error('Missing or invalid key parameter');
+    try {
+      const result = await this.jsonOperations.jsonGet({ key, path, connection, db });
+      logRedisOperation('JSON.GET', key, result);
+      return result;
+    } catch (err) {
+      logRedisOperation('JSON.GET', key, null, err.message);
+      throw new Error(`Failed to get JSON value: ${err.message}`);
+    }
+  }
+
+  // Get JSON type
+  async json_type(params) {
+    const { key, path, connection, db } = params;
+
+    try {
+      const result = await this.jsonOperations.jsonType({ key, path, connection, db });
+      logRedisOperation('JSON.TYPE', key, result);
+      return result;
+    } catch (err) {
+      logRedisOperation('JSON.TYPE', key, null, err.message);
+      throw new Error(`Failed to get JSON type: ${err.message}`);
     }
+  }
 
-    if (typeof ttl !== 'number' || ttl <= 0) {
-      throw new Error('TTL must be a positive number');
+  // Set JSON value
+  async json_set(params) {
+    const { key, path, value, condition, connection, db } = params;
+
+    try {
+      const result = await this.jsonOperations.jsonSet({ key, path, value, condition, connection, db });
+      logRedisOperation('JSON.SET', key, result);
+      return result;
+    } catch (err) {
+      logRedisOperation('JSON.SET', key, null, err.message);
+      throw new Error(`Failed to set JSON value: ${err.message}`);
     }
+  }
+
+  // Merge JSON value
+  async json_merge(params) {
+    const { key, path, value, connection, db } = params;
 
     try {
-      const result = await this.keyOperations.setTTL({ key, ttl });
-      logRedisOperation('SET_TTL', key, result);
+      const result = await this.jsonOperations.jsonMerge({ key, path, value, connection, db });
+      logRedisOperation('JSON.MERGE', key, result);
       return result;
     } catch (err) {
-      logRedisOperation('SET_TTL', key, null, err.message);
-      throw new Error(`Failed to set TTL: ${err.message}`);
+      logRedisOperation('JSON.MERGE', key, null, err.message);
+      throw new Error(`Failed to merge JSON value: ${err.message}`);
     }
   }
 
-  // Remove TTL from key
-  async remove_ttl(params) {
-    const { key } = params;
+  // Delete JSON value
+  async json_del(params) {
+    const { key, path, connection, db } = params;
 
-    if (!key || typeof key !== 'string') {
-      throw new Error('Missing or invalid key parameter');
+    try {
+      const result = await this.jsonOperations.jsonDel({ key, path, connection, db });
+      logRedisOperation('JSON.DEL', key, result);
+      return result;
+    } catch (err) {
+      logRedisOperation('JSON.DEL', key, null, err.message);
+      throw new Error(`Failed to delete JSON value: ${err.message}`);
     }
+  }
+
+  // Append to JSON array
+  async json_arrappend(params) {
+    const { key, path, values, connection, db } = params;
 
     try {
-      const result = await this.keyOperations.removeTTL({ key });
-      logRedisOperation('REMOVE_TTL', key, result);
+      const result = await this.jsonOperations.jsonArrAppend({ key, path, values, connection, db });
+      logRedisOperation('JSON.ARRAPPEND', key, result);
       return result;
     } catch (err) {
-      logRedisOperation('REMOVE_TTL', key, null, err.message);
-      throw new Error(`Failed to remove TTL: ${err.message}`);
+      logRedisOperation('JSON.ARRAPPEND', key, null, err.message);
+      throw new Error(`Failed to append to JSON array: ${err.message}`);
+    }
+  }
+
+  // Increment counter
+  async incr_by(params) {
+    const { key, increment, ttl_if_new: ttlIfNew, connection, db } = params;
+
+    try {
+      const result = await this.counterOperations.incrBy({ key, increment, ttlIfNew, connection, db });
+      logRedisOperation('INCRBY', key, result);
+      return result;
+    } catch (err) {
+      logRedisOperation('INCRBY', key, null, err.message);
+      throw new Error(`Failed to increment counter: ${err.message}`);
+    }
+  }
+
+  // Decrement counter
+  async decr_by(params) {
+    const { key, decrement, ttl_if_new: ttlIfNew, connection, db } = params;
+
+    try {
+      const result = await this.counterOperations.decrBy({ key, decrement, ttlIfNew, connection, db });
+      logRedisOperation('DECRBY', key, result);
+      return result;
+    } catch (err) {
+      logRedisOperation('DECRBY', key, null, err.message);
+      throw new Error(`Failed to decrement counter: ${err.message}`);
+    }
+  }
+
+  // Increment counter by a float
+  async incr_by_float(params) {
+    const { key, increment, ttl_if_new: ttlIfNew, connection, db } = params;
+
+    try {
+      const result = await this.counterOperations.incrByFloat({ key, increment, ttlIfNew, connection, db });
+      logRedisOperation('INCRBYFLOAT', key, result);
+      return result;
+    } catch (err) {
+      logRedisOperation('INCRBYFLOAT', key, null, err.message);
+      throw new Error(`Failed to increment counter by a float: ${err.message}`);
+    }
+  }
+
+  // Increment hash field by a float
+  async hincr_by_float(params) {
+    const { key, field, increment, ttl_if_new: ttlIfNew, connection, db } = params;
+
+    try {
+      const result = await this.counterOperations.hIncrByFloat({ key, field, increment, ttlIfNew, connection, db });
+      logRedisOperation('HINCRBYFLOAT', key, result);
+      return result;
+    } catch (err) {
+      logRedisOperation('HINCRBYFLOAT', key, null, err.message);
+      throw new Error(`Failed to increment hash field by a float: ${err.message}`);
+    }
+  }
+
+  // Check a transaction operation like a call of its own tool: permissions and arguments
+  checkTransactionOperation(operation, index) {
+    const name = operation && operation.tool;
+
+    try {
+      const tool = this.tools.resolve(name);
+      const args = operation.args || {};
+      this.tools.validate(tool, args);
+
+      if (args.connection !== undefined || args.db !== undefined || args.confirmToken !== undefined) {
+        throw new Error('connection and db are set on the transaction, not on its operations');
+      }
+      if (this.confirmations.enabled && tool.shared.includes('confirmToken')) {
+        throw new Error(`${name} needs a confirmation (CONFIRM_DESTRUCTIVE) and cannot run in a transaction`);
+      }
+    } catch (err) {
+      throw new Error(`Operation ${index} (${name}): ${err.message}`);
+    }
+  }
+
+  // Run several operations in one MULTI / EXEC
+  async transaction(params) {
+    const { operations, watch, connection, db } = params;
+    const tools = (operations || []).map(operation => operation && operation.tool).join(',');
+
+    try {
+      (operations || []).forEach((operation, index) => this.checkTransactionOperation(operation, index));
+
+      const result = await this.transactionOperations.execute({ operations, watch, connection, db });
+      logRedisOperation('TRANSACTION', tools, { committed: result.committed, failed: result.failed });
+      return result;
+    } catch (err) {
+      logRedisOperation('TRANSACTION', tools, null, err.message);
+      throw new Error(`Failed to run transaction: ${err.message}`);
+    }
+  }
+
+  // Execute a raw Redis command
+  async execute_command(params) {
+    const { command, args, connection, db } = params;
+
+    try {
+      const result = await this.commandExecutor.executeCommand({ command, args, connection, db });
+      logRedisOperation('EXECUTE_COMMAND', result.command, { classification: result.classification, keys: result.keys });
+      return result;
+    } catch (err) {
+      logRedisOperation('EXECUTE_COMMAND', command, null, err.message);
+      throw new Error(`Failed to execute command: ${err.message}`);
+    }
+  }
+
+  // Run an ad-hoc Lua script
+  async eval_script(params) {
+    const { script, keys, args, readOnly, connection, db } = params;
+
+    try {
+      const result = await this.scriptOperations.evalScript({ script, keys, args, readOnly, connection, db });
+      logRedisOperation('EVAL', (keys || []).join(','), { readOnly: result.readOnly });
+      return result;
+    } catch (err) {
+      logRedisOperation('EVAL', (keys || []).join(','), null, err.message);
+      throw new Error(`Failed to run script: ${err.message}`);
+    }
+  }
+
+  // Run a script of the library
+  async run_script(script, params) {
+    try {
+      const result = await this.scriptOperations.runScript(script, params);
+      logRedisOperation('EVALSHA', result.keys.join(','), { script: script.name });
+      return result;
+    } catch (err) {
+      logRedisOperation('EVALSHA', script.name, null, err.message);
+      throw new Error(`Failed to run script ${script.name}: ${err.message}`);
+    }
+  }
+
+  // Select the default logical database for this session
+  async select_database(params) {
+    const { db, connection } = params;
+
+    if (!Number.isInteger(db) || db < 0) {
+      throw new Error('db must be a non-negative integer');
     }
+
+    const selectedDb = this.connectionManager.selectDatabase(connection, db);
+    const client = await this.connectionManager.getClient(connection);
+    const keys = await client.dbSize();
+
+    logRedisOperation('SELECT_DATABASE', `db${selectedDb}`, { keys });
+    return {
+      connection: this.connectionManager.resolveName(connection),
+      selectedDb: selectedDb,
+      keys: keys
+    };
   }
 
   // Get Redis server information
   async get_redis_info(params) {
     try {
-      const result = await this.redisInfo.getRedisInfo();
+      const result = await this.redisInfo.getRedisInfo(params.connection);
       logRedisOperation('GET_REDIS_INFO', 'server', result);
       return result;
     } catch (err) {
@@ -345,7 +3462,7 @@ class FinalMCPServer {
   // Get database statistics
   async get_database_stats(params) {
     try {
-      const result = await this.redisInfo.getDatabaseStats();
+      const result = await this.redisInfo.getDatabaseStats(params.connection);
       logRedisOperation('GET_DATABASE_STATS', 'database', result);
       return result;
     } catch (err) {
@@ -357,7 +3474,7 @@ class FinalMCPServer {
   // Get memory information
   async get_memory_info(params) {
     try {
-      const result = await this.redisInfo.getMemoryInfo();
+      const result = await this.redisInfo.getMemoryInfo(params.connection);
       logRedisOperation('GET_MEMORY_INFO', 'memory', result);
       return result;
     } catch (err) {
@@ -366,14 +3483,43 @@ class FinalMCPServer {
     }
   }
 
-  // Test Redis connection
+  // Get Redis Cluster information
+  async get_cluster_info(params) {
+    const { connection } = params;
+
+    try {
+      const result = await this.redisInfo.getClusterInfo(connection);
+      logRedisOperation('GET_CLUSTER_INFO', 'cluster', { state: result.cluster.state });
+      return result;
+    } catch (err) {
+      logRedisOperation('GET_CLUSTER_INFO', 'cluster', null, err.message);
+      throw new Error(`Failed to get cluster info: ${err.message}`);
+    }
+  }
+
+  // Test Redis connection (a single named connection, or all of them)
   async test_connection(params) {
+    const { connection } = params;
+
     try {
-      const result = await this.redisInfo.testConnection();
-      logRedisOperation('TEST_CONNECTION', 'connection', result);
+      let result;
+      if (connection) {
+        result = await this.redisInfo.testConnection(connection);
+      } else {
+        const connections = {};
+        for (const name of this.connectionManager.getNames()) {
+          connections[name] = await this.redisInfo.testConnection(name);
+        }
+        result = {
+          connected: Object.values(connections).every(item => item.connected),
+          connections: connections,
+          timestamp: new Date().toISOString()
+        };
+      }
+      logRedisOperation('TEST_CONNECTION', connection || 'all', result);
       return result;
     } catch (err) {
-      logRedisOperation('TEST_CONNECTION', 'connection', null, err.message);
+      logRedisOperation('TEST_CONNECTION', connection || 'all', null, err.message);
       throw new Error(`Failed to test connection: ${err.message}`);
     }
   }
@@ -403,29 +3549,237 @@ class FinalMCPServer {
     };
   }
 
+  // Get connection lifecycle status
+  async get_connection_status(params) {
+    const { connection, historyLimit = 20 } = params;
+
+    if (typeof historyLimit !== 'number' || historyLimit < 0 || historyLimit > 50) {
+      throw new Error('historyLimit parameter must be between 0-50');
+    }
+
+    const names = connection
+      ? [this.connectionManager.resolveName(connection)]
+      : this.connectionManager.getNames();
+
+    return {
+      connections: names.map((name) => {
+        const status = this.connectionManager.getStatus(name);
+        return {
+          ...status,
+          history: status.history.slice(0, historyLimit)
+        };
+      }),
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  // List configured Redis connections
+  async list_connections(params) {
+    return {
+      defaultConnection: this.connectionManager.defaultName,
+      connections: this.connectionManager.listConnections()
+    };
+  }
+
   // Check permissions
   async check_permissions(params) {
-    const connectionInfo = this.connectionManager.getConnectionInfo();
+    const { connection, key } = params;
+    const connectionInfo = this.connectionManager.getConnectionInfo(connection);
     const permissions = this.connectionManager.getPermissions();
+    const connections = connection
+      ? [connectionInfo]
+      : this.connectionManager.listConnections();
 
-    return {
+    // Report what the server-side ACL will refuse, for established connections
+    const reports = [];
+    for (const info of connections) {
+      let acl;
+      if (this.connectionManager.get(info.name).isConnected) {
+        acl = await this.redisInfo.getAclInfo(info.name);
+      } else {
+        acl = {
+          available: false,
+          error: 'Connection not established'
+        };
+      }
+      reports.push({
+        ...info,
+        permissions: permissions,
+        acl: acl
+      });
+    }
+
+    const result = {
       permissions: permissions,
+      keyPolicy: this.keyPolicy.describe(),
       connection: connectionInfo,
       config: {
-        host: getRedisConfig().host,
-        port: getRedisConfig().port,
-        hasPassword: !!getRedisConfig().password
+        host: connectionInfo.host,
+        port: connectionInfo.port,
+        username: connectionInfo.username,
+        db: connectionInfo.db,
+        hasPassword: connectionInfo.hasPassword,
+        tls: connectionInfo.tls.enabled
       },
+      connections: reports,
       environmentVariables: {
         ALLOW_INSERT: ALLOW_INSERT,
         ALLOW_UPDATE: ALLOW_UPDATE,
         ALLOW_DELETE: ALLOW_DELETE,
         ALLOW_CREATE: ALLOW_CREATE,
-        ALLOW_DROP: ALLOW_DROP
+        ALLOW_DROP: ALLOW_DROP,
+        ALLOW_ADMIN: ALLOW_ADMIN,
+        ALLOW_EVAL: ALLOW_EVAL
+      }
+    };
+
+    // Effective permissions for one key: the ALLOW_* flag and the key policy must both allow it
+    if (key !== undefined && key !== null) {
+      if (typeof key !== 'string' || key === '') {
+        throw new Error('Missing or invalid key parameter');
+      }
+
+      const flags = {
+        read: true,
+        insert: ALLOW_INSERT,
+        update: ALLOW_UPDATE,
+        delete: ALLOW_DELETE,
+        create: ALLOW_CREATE,
+        drop: ALLOW_DROP
+      };
+      const operations = {};
+      for (const [operation, decision] of Object.entries(this.keyPolicy.evaluateKey(key))) {
+        operations[operation] = {
+          allowed: flags[operation] && decision.allowed,
+          permission: flags[operation],
+          policy: decision.effect,
+          rule: decision.rule
+        };
+      }
+      result.key = {
+        key: key,
+        operations: operations
+      };
+    }
+
+    return result;
+  }
+
+  // Preview for tools that delete a whole key
+  async previewDeletion(key, connection, db) {
+    const current = await this.keyOperations.getKeyInfo({ key, connection, db });
+    return current.exists && {
+      key: key,
+      current: current,
+      change: {
+        action: 'delete'
+      }
+    };
+  }
+
+  // Two-phase confirmation for destructive tools (CONFIRM_DESTRUCTIVE=true).
+  // Returns a preview to send back instead of running the tool, or null to proceed.
+  async confirmDestructive(tool, params, describe) {
+    if (!this.confirmations.enabled) {
+      return null;
+    }
+
+    const { confirmToken, ...args } = params;
+    if (confirmToken) {
+      this.confirmations.consume(tool, args, confirmToken);
+      return null;
+    }
+
+    // Nothing to confirm when the key does not exist; the tool reports that itself
+    const preview = await describe();
+    if (!preview) {
+      return null;
+    }
+
+    // Ask the user directly when the client supports elicitation
+    if (this.clientCapabilities.elicitation) {
+      try {
+        const response = await this.sendRequest('elicitation/create', {
+          message: `${tool} will ${preview.change.action} '${preview.key}' (type: ${preview.current.type}, size: ${preview.current.size}, ttl: ${preview.current.ttl}). Proceed?`,
+          requestedSchema: {
+            type: 'object',
+            properties: {
+              confirm: {
+                type: 'boolean',
+                title: 'Confirm',
+                description: `Run ${tool} on '${preview.key}'`
+              }
+            },
+            required: ['confirm']
+          }
+        });
+
+        if (response && response.action === 'accept' && response.content && response.content.confirm === true) {
+          return null;
+        }
+
+        logRedisOperation('CONFIRM', preview.key, null, `${tool} not confirmed`);
+        return {
+          executed: false,
+          confirmation: (response && response.action) || 'cancel',
+          preview: preview
+        };
+      } catch (err) {
+        // Fall back to a confirmation token
+        console.error(`Elicitation failed, using confirmation token: ${err.message}`);
       }
+    }
+
+    const { token, expiresAt } = this.confirmations.issue(tool, args);
+    return {
+      executed: false,
+      confirmationRequired: true,
+      preview: preview,
+      confirmToken: token,
+      expiresAt: expiresAt,
+      message: `Call ${tool} again with the same arguments and confirmToken to proceed`
     };
   }
 
+  // Send a JSON-RPC request to the client and wait for its response
+  sendRequest(method, params, timeoutMs = 5 * 60 * 1000) {
+    const id = `server-${++this.requestCounter}`;
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pendingRequests.delete(id);
+        reject(new Error(`${method} timed out`));
+      }, timeoutMs);
+
+      this.pendingRequests.set(id, { resolve, reject, timer });
+      logRequest(method, params, null, null);
+      console.log(JSON.stringify({
+        jsonrpc: '2.0',
+        id: id,
+        method: method,
+        params: params
+      }));
+    });
+  }
+
+  // Route a client response to the request waiting for it
+  handleResponse(response) {
+    const pending = this.pendingRequests.get(response.id);
+    if (!pending) {
+      console.error(`Received response for unknown request id: ${response.id}`);
+      return;
+    }
+
+    this.pendingRequests.delete(response.id);
+    clearTimeout(pending.timer);
+
+    if (response.error) {
+      pending.reject(new Error(response.error.message || 'Request failed'));
+    } else {
+      pending.resolve(response.result);
+    }
+  }
+
   // Close Redis connection
   async closeConnection() {
     try {
@@ -439,9 +3793,9 @@ class FinalMCPServer {
   }
 
   // Test Redis connection health
-  async checkConnectionHealth() {
+  async checkConnectionHealth(connection) {
     try {
-      return await this.connectionManager.testConnection();
+      return await this.connectionManager.testConnection(connection);
     } catch (err) {
       console.error('Redis connection health check failed:', err.message);
       return false;
@@ -449,12 +3803,18 @@ class FinalMCPServer {
   }
 
   // Ensure Redis connection
-  async ensureConnection() {
+  async ensureConnection(connection) {
     try {
-      const isHealthy = await this.checkConnectionHealth();
-      if (!isHealthy) {
+      const manager = this.connectionManager.get(connection);
+      // While the circuit is open the breaker decides when to retry
+      if (manager.state === 'open-circuit') {
+        return;
+      }
+
+      const isHealthy = await this.checkConnectionHealth(connection);
+      if (!isHealthy && manager.state === 'ready') {
         console.error('Redis connection unhealthy, attempting to reconnect...');
-        await this.connectionManager.close();
+        manager.dropClient();
         // Connection will be recreated on next operation
       }
     } catch (err) {
@@ -484,6 +3844,7 @@ class FinalMCPServer {
             
             // Record actual client information
             const clientInfo = params?.clientInfo || {};
+            this.clientCapabilities = params?.capabilities || {};
             logRequest('initialize', { 
               protocolVersion: params?.protocolVersion || '2025-06-18', 
               capabilities: params?.capabilities || {}, 
@@ -535,305 +3896,9 @@ class FinalMCPServer {
             }
           };
         } else if (method === 'tools/list') {
-          // Build tools list based on permissions
-          const tools = [];
-          
-          // Always available tools (read-only and info)
-          tools.push(
-            {
-              name: 'get_data',
-              description: 'Get data by key from Redis',
-              inputSchema: {
-                type: 'object',
-                properties: {
-                  key: {
-                    type: 'string',
-                    description: 'Redis key to get data from'
-                  }
-                },
-                required: ['key']
-              }
-            },
-            {
-              name: 'list_keys',
-              description: 'List Redis keys with optional pattern matching',
-              inputSchema: {
-                type: 'object',
-                properties: {
-                  pattern: {
-                    type: 'string',
-                    description: 'Key pattern to match (default: *)'
-                  },
-                  limit: {
-                    type: 'number',
-                    description: 'Maximum number of keys to return (default: 100)'
-                  },
-                  offset: {
-                    type: 'number',
-                    description: 'Number of keys to skip (default: 0)'
-                  }
-                }
-              }
-            },
-            {
-              name: 'exists_key',
-              description: 'Check if a key exists in Redis',
-              inputSchema: {
-                type: 'object',
-                properties: {
-                  key: {
-                    type: 'string',
-                    description: 'Redis key to check'
-                  }
-                },
-                required: ['key']
-              }
-            },
-            {
-              name: 'get_key_info',
-              description: 'Get detailed information about a key',
-              inputSchema: {
-                type: 'object',
-                properties: {
-                  key: {
-                    type: 'string',
-                    description: 'Redis key to get info for'
-                  }
-                },
-                required: ['key']
-              }
-            },
-            {
-              name: 'get_redis_info',
-              description: 'Get Redis server information',
-              inputSchema: {
-                type: 'object',
-                properties: {}
-              }
-            },
-            {
-              name: 'get_database_stats',
-              description: 'Get Redis database statistics',
-              inputSchema: {
-                type: 'object',
-                properties: {}
-              }
-            },
-            {
-              name: 'get_memory_info',
-              description: 'Get Redis memory usage information',
-              inputSchema: {
-                type: 'object',
-                properties: {}
-              }
-            },
-            {
-              name: 'test_connection',
-              description: 'Test Redis connection',
-              inputSchema: {
-                type: 'object',
-                properties: {}
-              }
-            },
-            {
-              name: 'get_operation_logs',
-              description: 'Get operation logs',
-              inputSchema: {
-                type: 'object',
-                properties: {
-                  limit: {
-                    type: 'number',
-                    description: 'Limit count, default 50'
-                  },
-                  offset: {
-                    type: 'number',
-                    description: 'Offset, default 0'
-                  }
-                }
-              }
-            },
-            {
-              name: 'check_permissions',
-              description: 'Check Redis permissions for insert, update, delete, create and drop operations',
-              inputSchema: {
-                type: 'object',
-                properties: {}
-              }
-            }
-          );
-
-          // Conditional tools based on permissions
-          if (ALLOW_INSERT) {
-            tools.push({
-              name: 'set_data',
-              description: 'Set/insert data for a key in Redis',
-              inputSchema: {
-                type: 'object',
-                properties: {
-                  key: {
-                    type: 'string',
-                    description: 'Redis key to set data for'
-                  },
-                  value: {
-                    description: 'Value to set for the key'
-                  },
-                  ttl: {
-                    type: 'number',
-                    description: 'Time to live in seconds (optional)'
-                  },
-                  type: {
-                    type: 'string',
-                    description: 'Data type: string, list, set, hash (default: string)'
-                  }
-                },
-                required: ['key', 'value']
-              }
-            });
-          }
-
-          if (ALLOW_UPDATE) {
-            tools.push({
-              name: 'update_data',
-              description: 'Update existing data for a key in Redis',
-              inputSchema: {
-                type: 'object',
-                properties: {
-                  key: {
-                    type: 'string',
-                    description: 'Redis key to update'
-                  },
-                  value: {
-                    description: 'New value for the key'
-                  },
-                  ttl: {
-                    type: 'number',
-                    description: 'Time to live in seconds (optional)'
-                  }
-                },
-                required: ['key', 'value']
-              }
-            });
-          }
-
-          if (ALLOW_DELETE) {
-            tools.push({
-              name: 'delete_data',
-              description: 'Delete data by key from Redis',
-              inputSchema: {
-                type: 'object',
-                properties: {
-                  key: {
-                    type: 'string',
-                    description: 'Redis key to delete'
-                  }
-                },
-                required: ['key']
-              }
-            });
-          }
-
-          if (ALLOW_CREATE) {
-            tools.push({
-              name: 'create_key',
-              description: 'Create a new key in Redis',
-              inputSchema: {
-                type: 'object',
-                properties: {
-                  key: {
-                    type: 'string',
-                    description: 'Redis key to create'
-                  },
-                  value: {
-                    description: 'Initial value for the key (default: empty string)'
-                  },
-                  type: {
-                    type: 'string',
-                    description: 'Data type: string, list, set, hash (default: string)'
-                  },
-                  ttl: {
-                    type: 'number',
-                    description: 'Time to live in seconds (optional)'
-                  }
-                },
-                required: ['key']
-              }
-            });
-          }
-
-          if (ALLOW_DROP) {
-            tools.push({
-              name: 'drop_key',
-              description: 'Delete a key from Redis',
-              inputSchema: {
-                type: 'object',
-                properties: {
-                  key: {
-                    type: 'string',
-                    description: 'Redis key to delete'
-                  }
-                },
-                required: ['key']
-              }
-            });
-          }
-
-          // Rename and TTL operations require both create and drop permissions
-          if (ALLOW_CREATE && ALLOW_DROP) {
-            tools.push({
-              name: 'rename_key',
-              description: 'Rename a key in Redis',
-              inputSchema: {
-                type: 'object',
-                properties: {
-                  oldKey: {
-                    type: 'string',
-                    description: 'Current key name'
-                  },
-                  newKey: {
-                    type: 'string',
-                    description: 'New key name'
-                  }
-                },
-                required: ['oldKey', 'newKey']
-              }
-            });
-          }
-
-          // TTL operations (always available as they don't modify data)
-          tools.push(
-            {
-              name: 'set_ttl',
-              description: 'Set time to live for a key',
-              inputSchema: {
-                type: 'object',
-                properties: {
-                  key: {
-                    type: 'string',
-                    description: 'Redis key to set TTL for'
-                  },
-                  ttl: {
-                    type: 'number',
-                    description: 'Time to live in seconds'
-                  }
-                },
-                required: ['key', 'ttl']
-              }
-            },
-            {
-              name: 'remove_ttl',
-              description: 'Remove time to live from a key',
-              inputSchema: {
-                type: 'object',
-                properties: {
-                  key: {
-                    type: 'string',
-                    description: 'Redis key to remove TTL from'
-                  }
-                },
-                required: ['key']
-              }
-            }
-          );
+          // Tools visible under the current permissions
+          const tools = this.tools.list();
+          const connectionNames = this.connectionManager.getNames();
 
           result = {
             tools: tools,
@@ -843,9 +3908,13 @@ class FinalMCPServer {
               ALLOW_DELETE: ALLOW_DELETE,
               ALLOW_CREATE: ALLOW_CREATE,
               ALLOW_DROP: ALLOW_DROP,
+              ALLOW_ADMIN: ALLOW_ADMIN,
+              ALLOW_EVAL: ALLOW_EVAL,
               HOST: process.env.HOST || 'localhost',
               PORT: process.env.PORT || '6379',
               PASSWORD: process.env.PASSWORD ? '***' : 'none',
+              CONNECTIONS: connectionNames,
+              DEFAULT_CONNECTION: this.connectionManager.defaultName,
               serverInfo: {
                 name: this.name,
                 version: this.version
@@ -912,16 +3981,8 @@ class FinalMCPServer {
         } else if (method === 'tools/call') {
           const { name, arguments: args } = params || {};
 
-          if (!name) {
-            throw new Error('Missing tool name');
-          }
-
-          // Check if method exists
-          if (!this[name]) {
-            throw new Error(`Unknown tool: ${name}`);
-          }
-
-          result = await this[name](args || {});
+          // Only registered tools permitted by ALLOW_* can be called
+          result = await this.tools.call(name, args || {});
 
           // Tool call results need to be wrapped in content
           result = {
@@ -942,23 +4003,28 @@ class FinalMCPServer {
             process.exit(0);
           }, 100);
         } else if (method === 'notifications/initialized') {
-          // Test Redis connection
+          // Test every configured Redis connection
           try {
-            const isConnected = await this.checkConnectionHealth();
-            if (isConnected) {
-              console.error('Redis connection test successful');
-              logRequest('redis_connection_test', { 
-                host: getRedisConfig().host,
-                port: getRedisConfig().port,
-                hasPassword: !!getRedisConfig().password
-              }, { status: 'success' }, null);
-            } else {
-              console.error('Redis connection test failed');
-              logRequest('redis_connection_test', { 
-                host: getRedisConfig().host,
-                port: getRedisConfig().port,
-                hasPassword: !!getRedisConfig().password
-              }, null, 'Connection test failed');
+            for (const name of this.connectionManager.getNames()) {
+              const info = this.connectionManager.getConnectionInfo(name);
+              const isConnected = await this.connectionManager.testConnection(name);
+              if (isConnected) {
+                console.error(`Redis connection test successful [${name}]`);
+                logRequest('redis_connection_test', { 
+                  connection: name,
+                  host: info.host,
+                  port: info.port,
+                  hasPassword: info.hasPassword
+                }, { status: 'success' }, null);
+              } else {
+                console.error(`Redis connection test failed [${name}]`);
+                logRequest('redis_connection_test', { 
+                  connection: name,
+                  host: info.host,
+                  port: info.port,
+                  hasPassword: info.hasPassword
+                }, null, 'Connection test failed');
+              }
             }
           } catch (err) {
             console.error('Failed to test Redis connection:', err.message);
@@ -1004,7 +4070,9 @@ class FinalMCPServer {
       let errorCode = -32603; // Internal error
       let errorMessage = error.message;
       
-      if (error.message.includes('Server not initialized')) {
+      if (Number.isInteger(error.code)) {
+        errorCode = error.code; // Code set by the tool registry (-32602 Invalid params)
+      } else if (error.message.includes('Server not initialized')) {
         errorCode = -32002; // Server not initialized
       } else if (error.message.includes('Unknown method')) {
         errorCode = -32601; // Method not found
@@ -1043,6 +4111,13 @@ class FinalMCPServer {
           if (line.trim()) {
             try {
               const request = JSON.parse(line);
+
+              // Responses to requests sent by the server (e.g. elicitation)
+              if (request.method === undefined && request.id !== undefined && ('result' in request || 'error' in request)) {
+                this.handleResponse(request);
+                continue;
+              }
+
               const response = await this.handleRequest(request);
               if (response) {
                 console.log(JSON.stringify(response));
@@ -1110,12 +4185,14 @@ class FinalMCPServer {
   // Periodic health check
   startHealthCheck() {
     // Check Redis connection health every 5 minutes
-    setInterval(async () => {
+    this.healthCheckInterval = setInterval(async () => {
       try {
-        const isHealthy = await this.checkConnectionHealth();
-        if (!isHealthy) {
-          console.error('Redis connection unhealthy, attempting to reconnect...');
-          await this.ensureConnection();
+        for (const name of this.connectionManager.getNames()) {
+          const isHealthy = await this.checkConnectionHealth(name);
+          if (!isHealthy) {
+            console.error(`Redis connection unhealthy [${name}], attempting to reconnect...`);
+            await this.ensureConnection(name);
+          }
         }
       } catch (err) {
         console.error('Health check failed:', err.message);
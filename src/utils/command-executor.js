@@ -0,0 +1,291 @@
+const { ALLOW_INSERT, ALLOW_UPDATE, ALLOW_DELETE, ALLOW_ADMIN } = require('./redis-connection');
+const { KeyPolicy } = require('./key-policy');
+
+// Commands that change the state of the shared connection and cannot run through execute_command
+// (`CMD` or `CMD|SUBCOMMAND`; CLIENT REPLY OFF would leave every later call on the connection waiting)
+const UNSUPPORTED_COMMANDS = [
+  'SUBSCRIBE', 'PSUBSCRIBE', 'SSUBSCRIBE', 'UNSUBSCRIBE', 'PUNSUBSCRIBE', 'SUNSUBSCRIBE',
+  'MONITOR', 'SYNC', 'PSYNC', 'REPLCONF',
+  'MULTI', 'EXEC', 'DISCARD', 'WATCH', 'UNWATCH',
+  'SELECT', 'HELLO', 'AUTH', 'RESET', 'QUIT',
+  'READONLY', 'READWRITE', 'CLIENT|REPLY', 'CLIENT|TRACKING'
+];
+
+// Commands that return key names; the names are filtered through the key policy (raw reply → reply)
+const KEY_LISTING_COMMANDS = {
+  KEYS: (reply, keyPolicy) => keyPolicy.filter('read', reply),
+  SCAN: ([cursor, keys], keyPolicy) => [cursor, keyPolicy.filter('read', keys)]
+};
+
+// Whether a command reaches keys that are not among its key arguments (RANDOMKEY, SORT ... BY / GET
+// patterns), so the key policy cannot check them
+const readsUnnamedKeys = (name, argv) => name === 'RANDOMKEY' ||
+  ((name === 'SORT' || name === 'SORT_RO') && argv.slice(2).some(arg => ['BY', 'GET'].includes(arg.toUpperCase())));
+
+// Commands flagged neither write nor readonly that have no side effects (`CMD` or `CMD|SUBCOMMAND`,
+// plus every `|HELP`); any other such command (PUBLISH, SCRIPT FLUSH, CLIENT SETNAME ...) is a write
+const SIDE_EFFECT_FREE_COMMANDS = [
+  'PING', 'ECHO', 'TIME', 'COMMAND', 'PUBSUB', 'LASTSAVE', 'WAIT',
+  'CLIENT|GETNAME', 'CLIENT|ID', 'CLIENT|INFO', 'SCRIPT|EXISTS', 'FUNCTION|LIST', 'FUNCTION|DUMP', 'FUNCTION|STATS'
+];
+
+// Lua scripts and functions run only through the script tools (library scripts and eval_script)
+const SCRIPT_COMMANDS = ['EVAL', 'EVALSHA', 'EVAL_RO', 'EVALSHA_RO', 'FCALL', 'FCALL_RO'];
+
+// Commands refused regardless of permissions (COMMAND_DENYLIST, `CMD` or `CMD|SUBCOMMAND`)
+const getCommandDenylist = () => {
+  const raw = process.env.COMMAND_DENYLIST !== undefined
+    ? process.env.COMMAND_DENYLIST
+    : 'FLUSHALL,DEBUG,SHUTDOWN';
+
+  return raw.split(',').map(item => item.trim().toUpperCase()).filter(Boolean);
+};
+
+// Convert a RESP reply into plain JSON values
+const toJson = (reply) => {
+  if (reply === undefined || reply === null) {
+    return null;
+  }
+  if (Buffer.isBuffer(reply)) {
+    return reply.toString('utf8');
+  }
+  if (typeof reply === 'bigint') {
+    return reply.toString();
+  }
+  if (Array.isArray(reply) || reply instanceof Set) {
+    return Array.from(reply, toJson);
+  }
+  if (reply instanceof Map) {
+    const result = {};
+    for (const [key, value] of reply) {
+      result[String(toJson(key))] = toJson(value);
+    }
+    return result;
+  }
+  if (typeof reply === 'object') {
+    const result = {};
+    for (const [key, value] of Object.entries(reply)) {
+      result[key] = toJson(value);
+    }
+    return result;
+  }
+  return reply;
+};
+
+// Parse one `COMMAND INFO` entry
+const parseCommandInfo = (entry) => {
+  const [name, arity, flags = [], firstKey = 0, lastKey = 0, step = 0, categories = [], , , subcommands = []] = entry;
+  return {
+    name: String(name).toUpperCase(),
+    arity: arity,
+    flags: flags.map(flag => String(flag).toLowerCase()),
+    categories: categories.map(category => String(category).replace(/^@/, '').toLowerCase()),
+    firstKey: firstKey,
+    lastKey: lastKey,
+    step: step,
+    hasSubcommands: Array.isArray(subcommands) && subcommands.length > 0
+  };
+};
+
+// Raw command execution, classified by COMMAND INFO flags and ACL categories
+class CommandExecutor {
+  constructor(connectionManager, keyPolicy = new KeyPolicy()) {
+    this.connectionManager = connectionManager;
+    this.keyPolicy = keyPolicy;
+    this.commandInfo = new Map();
+  }
+
+  // Look up (and cache) COMMAND INFO for a command or `command|subcommand`
+  async getCommandInfo(connection, name) {
+    const cacheKey = `${this.connectionManager.resolveName(connection)}:${name.toLowerCase()}`;
+    if (this.commandInfo.has(cacheKey)) {
+      return this.commandInfo.get(cacheKey);
+    }
+
+    const client = await this.connectionManager.getNodeClient(connection);
+    const [entry] = await client.sendCommand(['COMMAND', 'INFO', name.toLowerCase()]);
+    const info = entry ? parseCommandInfo(entry) : null;
+
+    this.commandInfo.set(cacheKey, info);
+    return info;
+  }
+
+  // Classify a command: admin, dangerous, write, readonly or none. A command without flags
+  // counts as a write unless it is known to have no side effects
+  classify(info) {
+    const traits = info.flags.concat(info.categories);
+    if (traits.includes('admin')) {
+      return 'admin';
+    }
+    if (traits.includes('dangerous')) {
+      return 'dangerous';
+    }
+    if (traits.includes('write')) {
+      return 'write';
+    }
+    if (traits.includes('readonly') || traits.includes('read')) {
+      return 'readonly';
+    }
+    const [name] = info.name.split('|');
+    return SIDE_EFFECT_FREE_COMMANDS.includes(name) || SIDE_EFFECT_FREE_COMMANDS.includes(info.name) || info.name.endsWith('|HELP')
+      ? 'none'
+      : 'write';
+  }
+
+  // Permissions a command needs: a raw write may insert, update or delete data
+  requiredPermissions(info) {
+    const traits = info.flags.concat(info.categories);
+    const required = [];
+
+    if (traits.includes('write') || this.classify(info) === 'write') {
+      required.push('insert', 'update', 'delete');
+    }
+    if (traits.includes('admin') || traits.includes('dangerous')) {
+      required.push('admin');
+    }
+
+    return required;
+  }
+
+  // Key arguments of a command, from the COMMAND INFO key positions or COMMAND GETKEYS
+  async getKeys(connection, info, argv) {
+    if (info.flags.includes('movablekeys')) {
+      const client = await this.connectionManager.getNodeClient(connection);
+      try {
+        return await client.sendCommand(['COMMAND', 'GETKEYS', ...argv]);
+      } catch (err) {
+        // "The command has no key arguments"
+        return [];
+      }
+    }
+
+    if (info.firstKey <= 0) {
+      return [];
+    }
+
+    const keys = [];
+    const lastKey = info.lastKey < 0 ? argv.length + info.lastKey : info.lastKey;
+    for (let i = info.firstKey; i <= lastKey && i < argv.length; i += info.step || 1) {
+      keys.push(argv[i]);
+    }
+    return keys;
+  }
+
+  // Execute a raw command
+  async executeCommand(params) {
+    const { command, args = [], connection, db } = params;
+
+    if (!command || typeof command !== 'string' || !command.trim()) {
+      throw new Error('Missing or invalid command parameter');
+    }
+
+    if (!Array.isArray(args) || args.some(arg => typeof arg !== 'string' && typeof arg !== 'number')) {
+      throw new Error('args must be an array of strings or numbers');
+    }
+
+    // "OBJECT ENCODING" may be given as one command string
+    const argv = command.trim().split(/\s+/).concat(args.map(String));
+    const name = argv[0].toUpperCase();
+
+    const subcommandName = argv.length > 1 ? `${name}|${argv[1].toUpperCase()}` : name;
+    if (UNSUPPORTED_COMMANDS.includes(name) || UNSUPPORTED_COMMANDS.includes(subcommandName)) {
+      const unsupported = UNSUPPORTED_COMMANDS.includes(name) ? name : subcommandName.replace('|', ' ');
+      throw new Error(`${unsupported} is not supported by execute_command${name === 'SELECT' ? '; use the db argument or select_database' : ''}`);
+    }
+
+    if (SCRIPT_COMMANDS.includes(name)) {
+      throw new Error(`${name} is not supported by execute_command; use eval_script (ALLOW_EVAL=true) or a script of the library`);
+    }
+
+    let info = await this.getCommandInfo(connection, name);
+    if (!info) {
+      throw new Error(`Unknown Redis command: ${name}`);
+    }
+
+    // Container commands (CONFIG, OBJECT, XINFO ...) are classified by their subcommand
+    let fullName = name;
+    if (info.hasSubcommands && argv.length > 1) {
+      const subcommandInfo = await this.getCommandInfo(connection, `${name}|${argv[1]}`);
+      if (subcommandInfo) {
+        info = subcommandInfo;
+        fullName = `${name}|${argv[1].toUpperCase()}`;
+      }
+    }
+
+    const denylist = getCommandDenylist();
+    if (denylist.includes(name) || denylist.includes(fullName)) {
+      throw new Error(`Command ${fullName} is denied by COMMAND_DENYLIST`);
+    }
+
+    if (info.flags.includes('blocking')) {
+      throw new Error(`Blocking command ${fullName} is not supported by execute_command`);
+    }
+
+    const classification = this.classify(info);
+    const required = this.requiredPermissions(info);
+    const granted = {
+      insert: ALLOW_INSERT,
+      update: ALLOW_UPDATE,
+      delete: ALLOW_DELETE,
+      admin: ALLOW_ADMIN
+    };
+    const missing = required.filter(permission => !granted[permission]);
+    if (missing.length > 0) {
+      throw new Error(`Command ${fullName} (${classification}) requires ${missing.map(permission => `ALLOW_${permission.toUpperCase()}`).join(', ')}`);
+    }
+
+    const keys = await this.getKeys(connection, info, argv);
+    for (const key of keys) {
+      if (required.includes('insert')) {
+        this.keyPolicy.assert('insert', key);
+        this.keyPolicy.assert('update', key);
+        this.keyPolicy.assert('delete', key);
+      } else {
+        this.keyPolicy.assert('read', key);
+      }
+    }
+
+    if (this.keyPolicy.enabled && readsUnnamedKeys(name, argv)) {
+      throw new Error(`${name} is not supported by execute_command while a key policy is configured: it reads keys the policy cannot check`);
+    }
+
+    // FLUSHDB, SWAPDB, FUNCTION FLUSH, PUBLISH ... write without key arguments the policy could check
+    if (this.keyPolicy.enabled && required.includes('insert') && keys.length === 0) {
+      throw new Error(`${fullName.replace('|', ' ')} is not supported by execute_command while a key policy is configured: it writes without key arguments`);
+    }
+
+    const isReadonly = classification === 'readonly';
+    const clusterMode = this.connectionManager.getConnectionInfo(connection).mode === 'cluster';
+
+    try {
+      let reply;
+      if (clusterMode && keys.length > 0) {
+        // Cluster client routes by the first key
+        const client = await this.connectionManager.getClient(connection, db);
+        reply = await client.sendCommand(keys[0], isReadonly, argv);
+      } else if (clusterMode) {
+        const client = await this.connectionManager.getNodeClient(connection);
+        reply = await client.sendCommand(argv);
+      } else {
+        const client = await this.connectionManager.getClient(connection, db);
+        reply = await client.sendCommand(argv);
+      }
+
+      if (KEY_LISTING_COMMANDS[name]) {
+        reply = KEY_LISTING_COMMANDS[name](reply, this.keyPolicy);
+      }
+
+      return {
+        command: fullName.replace('|', ' '),
+        classification: classification,
+        flags: info.flags,
+        keys: keys,
+        reply: toJson(reply)
+      };
+    } catch (err) {
+      throw new Error(`Failed to execute ${fullName.replace('|', ' ')}: ${err.message}`);
+    }
+  }
+}
+
+module.exports = CommandExecutor;
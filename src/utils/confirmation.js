@@ -0,0 +1,75 @@
+const crypto = require('crypto');
+const { stableStringify } = require('./value-codec');
+
+// Two-phase confirmation settings
+const getConfirmationConfig = () => ({
+  enabled: process.env.CONFIRM_DESTRUCTIVE === 'true',
+  ttlSeconds: parseInt(process.env.CONFIRM_TOKEN_TTL_SECONDS) || 60
+});
+
+// Short-lived, single-use confirmation tokens bound to a tool and its arguments
+class ConfirmationManager {
+  constructor(config = getConfirmationConfig()) {
+    this.enabled = config.enabled;
+    this.ttlSeconds = config.ttlSeconds;
+    this.tokens = new Map();
+  }
+
+  // Fingerprint of a call, ignoring arguments that were not set
+  fingerprint(tool, args) {
+    const defined = {};
+    for (const [name, value] of Object.entries(args)) {
+      if (value !== undefined && value !== null) {
+        defined[name] = value;
+      }
+    }
+    return `${tool}:${stableStringify(defined)}`;
+  }
+
+  // Drop expired tokens
+  prune(now = Date.now()) {
+    for (const [token, entry] of this.tokens) {
+      if (entry.expiresAt <= now) {
+        this.tokens.delete(token);
+      }
+    }
+  }
+
+  // Issue a token for a pending call
+  issue(tool, args) {
+    this.prune();
+
+    const token = crypto.randomBytes(8).toString('hex');
+    const expiresAt = Date.now() + this.ttlSeconds * 1000;
+    this.tokens.set(token, {
+      fingerprint: this.fingerprint(tool, args),
+      expiresAt: expiresAt
+    });
+
+    return {
+      token: token,
+      expiresAt: new Date(expiresAt).toISOString()
+    };
+  }
+
+  // Redeem a token; it must match the same tool and arguments and can be used once
+  consume(tool, args, token) {
+    this.prune();
+
+    const entry = this.tokens.get(token);
+    if (!entry) {
+      throw new Error('Invalid or expired confirmation token');
+    }
+
+    if (entry.fingerprint !== this.fingerprint(tool, args)) {
+      throw new Error('Confirmation token does not match this call; the arguments must be unchanged');
+    }
+
+    this.tokens.delete(token);
+  }
+}
+
+module.exports = {
+  ConfirmationManager,
+  getConfirmationConfig
+};
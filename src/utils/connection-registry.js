@@ -0,0 +1,102 @@
+const { RedisConnectionManager, getConnectionConfigs } = require('./redis-connection');
+
+// Named Redis connections, each backed by its own RedisConnectionManager
+class RedisConnectionRegistry {
+  constructor(configs = getConnectionConfigs(), defaultName = process.env.DEFAULT_CONNECTION) {
+    this.managers = new Map();
+
+    for (const [name, config] of Object.entries(configs)) {
+      this.managers.set(name, new RedisConnectionManager(config, name));
+    }
+
+    this.defaultName = defaultName || this.managers.keys().next().value;
+
+    if (!this.managers.has(this.defaultName)) {
+      throw new Error(`Default connection '${this.defaultName}' is not defined`);
+    }
+  }
+
+  // Resolve a connection name, falling back to the default connection
+  resolveName(name) {
+    if (name === undefined || name === null || name === '') {
+      return this.defaultName;
+    }
+
+    if (typeof name !== 'string') {
+      throw new Error('Connection name must be a string');
+    }
+
+    if (!this.managers.has(name)) {
+      throw new Error(`Unknown connection: ${name}. Available connections: ${this.getNames().join(', ')}`);
+    }
+
+    return name;
+  }
+
+  // Get the connection manager for a name
+  get(name) {
+    return this.managers.get(this.resolveName(name));
+  }
+
+  // Get all connection names
+  getNames() {
+    return Array.from(this.managers.keys());
+  }
+
+  // Get Redis client for a connection (ensure connection), optionally for another database
+  async getClient(name, db) {
+    return this.get(name).getClient(db);
+  }
+
+  // Get one client per master node of a connection
+  async getNodeClients(name, db) {
+    return this.get(name).getNodeClients(db);
+  }
+
+  // Set the session default database of a connection
+  selectDatabase(name, db) {
+    return this.get(name).selectDatabase(db);
+  }
+
+  // Get a client for server-level (keyless) commands
+  async getNodeClient(name) {
+    return this.get(name).getNodeClient();
+  }
+
+  // Test a single connection
+  async testConnection(name) {
+    return this.get(name).testConnection();
+  }
+
+  // Get connection info for a single connection
+  getConnectionInfo(name) {
+    return {
+      ...this.get(name).getConnectionInfo(),
+      isDefault: this.resolveName(name) === this.defaultName
+    };
+  }
+
+  // Get lifecycle status (state, retry history, last error) for a connection
+  getStatus(name) {
+    return this.get(name).getStatus();
+  }
+
+  // Get connection info for all connections
+  listConnections() {
+    return this.getNames().map(name => this.getConnectionInfo(name));
+  }
+
+  // Get permission status
+  getPermissions() {
+    return this.get().getPermissions();
+  }
+
+  // Close all connections
+  async close() {
+    for (const manager of this.managers.values()) {
+      await manager.close();
+    }
+  }
+}
+
+module.exports = RedisConnectionRegistry;
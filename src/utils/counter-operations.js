@@ -0,0 +1,187 @@
+const { ALLOW_INSERT, ALLOW_UPDATE } = require('./redis-connection');
+const { KeyPolicy } = require('./key-policy');
+
+// Validate an integer increment (INCRBY / DECRBY)
+const checkInteger = (value, name) => {
+  if (!Number.isSafeInteger(value)) {
+    throw new Error(`${name} must be an integer`);
+  }
+};
+
+// Validate a floating point increment (INCRBYFLOAT / HINCRBYFLOAT / ZINCRBY)
+const checkNumber = (value, name) => {
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    throw new Error(`${name} must be a finite number`);
+  }
+};
+
+// Validate the optional TTL given to keys created by the increment
+const checkTtlIfNew = (ttlIfNew) => {
+  if (ttlIfNew !== undefined && (!Number.isInteger(ttlIfNew) || ttlIfNew < 1)) {
+    throw new Error('ttl_if_new must be a positive integer (seconds)');
+  }
+};
+
+// Hash / sorted set increment (ARGV[1] is HINCRBYFLOAT or ZINCRBY, ARGV[2] and ARGV[3] its
+// arguments) that expires the key after ARGV[4] seconds only if the increment created it
+const MEMBER_INCREMENT_SCRIPT = `
+local created = redis.call('EXISTS', KEYS[1]) == 0
+local value = redis.call(ARGV[1], KEYS[1], ARGV[2], ARGV[3])
+if created then
+  redis.call('EXPIRE', KEYS[1], ARGV[4])
+end
+return {value, created and 1 or 0}
+`;
+
+// EVAL arguments of MEMBER_INCREMENT_SCRIPT for a node-redis increment ['hIncrByFloat', field, increment]
+const memberIncrementArguments = (key, [command, ...args], ttlIfNew) => ({
+  keys: [key],
+  arguments: [command.toUpperCase(), ...args.map(String), String(ttlIfNew)]
+});
+
+// Increment inside a hash or sorted set, e.g. ['zIncrBy', increment, member]. With ttlIfNew
+// the key gets that TTL if this call created it; an existing key keeps its TTL or none
+const incrementMember = async (client, key, increment, ttlIfNew) => {
+  if (ttlIfNew === undefined) {
+    const [command, ...args] = increment;
+    return { value: await client[command](key, ...args) };
+  }
+
+  const [value, created] = await client.eval(MEMBER_INCREMENT_SCRIPT, memberIncrementArguments(key, increment, ttlIfNew));
+  return { value: value, created: created === 1 };
+};
+
+// Message of the first failed command of a MULTI, or of a plain error
+const errorMessage = (err) => (
+  err.replies && err.errorIndexes && err.errorIndexes.length > 0
+    ? err.replies[err.errorIndexes[0]].message
+    : err.message
+);
+
+// Atomic increments that return the new value, optionally expiring keys they create
+class CounterOperations {
+  constructor(connectionManager, keyPolicy = new KeyPolicy()) {
+    this.connectionManager = connectionManager;
+    this.keyPolicy = keyPolicy;
+  }
+
+  // Counters create missing keys, so they need the insert and update permissions;
+  // validate the key and check the key policy
+  checkKey(key) {
+    if (!ALLOW_INSERT || !ALLOW_UPDATE) {
+      throw new Error('Counter operations require insert and update permissions');
+    }
+    if (!key || typeof key !== 'string') {
+      throw new Error('Missing or invalid key parameter');
+    }
+    this.keyPolicy.assert('insert', key);
+    this.keyPolicy.assert('update', key);
+  }
+
+  // Increment a string counter. With ttlIfNew the key is created with that TTL first
+  // (SET key 0 EX ttl NX) in the same MULTI, so an existing key keeps its TTL
+  async incrementString(client, key, command, amount, ttlIfNew) {
+    if (ttlIfNew === undefined) {
+      return { value: await client[command](key, amount) };
+    }
+
+    const [created, value] = await client.multi()
+      .set(key, '0', { EX: ttlIfNew, NX: true })[command](key, amount)
+      .exec();
+
+    return { value: value, created: created === 'OK' };
+  }
+
+  // Format the result of an increment
+  result(key, counter, extra = {}) {
+    return {
+      key: key,
+      ...extra,
+      value: Number(counter.value),
+      ...(counter.created !== undefined ? { created: counter.created } : {})
+    };
+  }
+
+  // Add an integer to a string counter (INCRBY)
+  async incrBy(params) {
+    const { key, increment, ttlIfNew, connection, db } = params;
+
+    this.checkKey(key);
+    checkInteger(increment, 'increment');
+    checkTtlIfNew(ttlIfNew);
+
+    const client = await this.connectionManager.getClient(connection, db);
+
+    try {
+      return this.result(key, await this.incrementString(client, key, 'incrBy', increment, ttlIfNew));
+    } catch (err) {
+      throw new Error(`Failed to increment counter: ${errorMessage(err)}`);
+    }
+  }
+
+  // Subtract an integer from a string counter (DECRBY)
+  async decrBy(params) {
+    const { key, decrement, ttlIfNew, connection, db } = params;
+
+    this.checkKey(key);
+    checkInteger(decrement, 'decrement');
+    checkTtlIfNew(ttlIfNew);
+
+    const client = await this.connectionManager.getClient(connection, db);
+
+    try {
+      return this.result(key, await this.incrementString(client, key, 'decrBy', decrement, ttlIfNew));
+    } catch (err) {
+      throw new Error(`Failed to decrement counter: ${errorMessage(err)}`);
+    }
+  }
+
+  // Add a floating point number to a string counter (INCRBYFLOAT)
+  async incrByFloat(params) {
+    const { key, increment, ttlIfNew, connection, db } = params;
+
+    this.checkKey(key);
+    checkNumber(increment, 'increment');
+    checkTtlIfNew(ttlIfNew);
+
+    const client = await this.connectionManager.getClient(connection, db);
+
+    try {
+      return this.result(key, await this.incrementString(client, key, 'incrByFloat', increment, ttlIfNew));
+    } catch (err) {
+      throw new Error(`Failed to increment counter: ${errorMessage(err)}`);
+    }
+  }
+
+  // Add a floating point number to a hash field (HINCRBYFLOAT)
+  async hIncrByFloat(params) {
+    const { key, field, increment, ttlIfNew, connection, db } = params;
+
+    this.checkKey(key);
+
+    if (!field || typeof field !== 'string') {
+      throw new Error('Missing or invalid field parameter');
+    }
+
+    checkNumber(increment, 'increment');
+    checkTtlIfNew(ttlIfNew);
+
+    const client = await this.connectionManager.getClient(connection, db);
+
+    try {
+      const counter = await incrementMember(client, key, ['hIncrByFloat', field, increment], ttlIfNew);
+      return this.result(key, counter, { field: field });
+    } catch (err) {
+      throw new Error(`Failed to increment hash field: ${errorMessage(err)}`);
+    }
+  }
+}
+
+module.exports = CounterOperations;
+module.exports.checkInteger = checkInteger;
+module.exports.checkNumber = checkNumber;
+module.exports.checkTtlIfNew = checkTtlIfNew;
+module.exports.errorMessage = errorMessage;
+module.exports.incrementMember = incrementMember;
+module.exports.memberIncrementArguments = memberIncrementArguments;
+module.exports.MEMBER_INCREMENT_SCRIPT = MEMBER_INCREMENT_SCRIPT;
@@ -1,19 +1,114 @@
-const { RedisConnectionManager, ALLOW_INSERT, ALLOW_UPDATE, ALLOW_DELETE } = require('./redis-connection');
+const { commandOptions } = require('redis');
+const { ALLOW_INSERT, ALLOW_UPDATE, ALLOW_DELETE } = require('./redis-connection');
+const { KeyPolicy } = require('./key-policy');
+const { normalizeZSetMembers, toMemberScorePairs } = require('./zset-operations');
+const { decodeValue, decodeAs, bytesToText, encodeValue, checkEncoding, checkStringEncoding } = require('./value-codec');
+
+// Default page size of collections and byte window of strings in getData
+const DEFAULT_PAGE_SIZE = 1000;
+const MAX_PAGE_SIZE = 10000;
+const DEFAULT_STRING_WINDOW = 1024 * 1024;
+
+// Key count, default collection page and whole-string size of getMany / setMany
+const MAX_BATCH_KEYS = 1000;
+const DEFAULT_BATCH_SIZE = 100;
+const BATCH_STRING_WINDOW = 64 * 1024;
+
+// Compare a string (or hash field) with an expected value and write only on a match.
+// KEYS[1]: key; ARGV: mode (string / hash), field, expected, value, '1' when the value must not exist yet
+const COMPARE_AND_SET_SCRIPT = `
+local current
+if ARGV[1] == 'hash' then
+  current = redis.call('HGET', KEYS[1], ARGV[2])
+else
+  current = redis.call('GET', KEYS[1])
+end
+if (ARGV[5] == '1' and current ~= false) or (ARGV[5] ~= '1' and current ~= ARGV[3]) then
+  return {0, current}
+end
+if ARGV[1] == 'hash' then
+  redis.call('HSET', KEYS[1], ARGV[2], ARGV[4])
+else
+  redis.call('SET', KEYS[1], ARGV[4], 'KEEPTTL')
+end
+return {1, current}
+`;
+
+// Validate the conditional options of a string write; they only apply to string values
+const checkStringWrite = (type, { ttl, condition, keepTtl, returnPrevious }) => {
+  if (condition !== undefined && condition !== 'nx' && condition !== 'xx') {
+    throw new Error("condition must be 'nx' or 'xx'");
+  }
+
+  if (keepTtl !== undefined && typeof keepTtl !== 'boolean') {
+    throw new Error('keepTtl must be a boolean');
+  }
+
+  if (returnPrevious !== undefined && typeof returnPrevious !== 'boolean') {
+    throw new Error('returnPrevious must be a boolean');
+  }
+
+  if (type !== 'string' && (condition !== undefined || keepTtl || returnPrevious)) {
+    throw new Error(`condition, keepTtl and returnPrevious only apply to string values (key type is ${type})`);
+  }
+
+  if (keepTtl && ttl && ttl > 0) {
+    throw new Error('keepTtl cannot be combined with ttl');
+  }
+};
+
+// Validate the element count of a collection page
+const checkPageSize = (count) => {
+  if (count > MAX_PAGE_SIZE) {
+    throw new Error(`count must be at most ${MAX_PAGE_SIZE} for collections`);
+  }
+};
 
 class DataOperations {
-  constructor(connectionManager) {
+  constructor(connectionManager, keyPolicy = new KeyPolicy()) {
     this.connectionManager = connectionManager;
+    this.keyPolicy = keyPolicy;
   }
 
-  // Get data by key
+  // Get data by key, one page at a time for collections and one byte window for strings.
+  // Strings and hash field values are read as bytes and decoded (see value-codec) unless raw;
+  // a string written with a known encoding is read back with it
   async getData(params) {
-    const { key } = params;
+    const { key, offset = 0, count, cursor, match, raw = false, encoding, connection, db } = params;
 
     if (!key || typeof key !== 'string') {
       throw new Error('Missing or invalid key parameter');
     }
 
-    const client = await this.connectionManager.getClient();
+    this.keyPolicy.assert('read', key);
+
+    if (!Number.isInteger(offset) || offset < 0) {
+      throw new Error('offset must be a non-negative integer');
+    }
+
+    if (count !== undefined && (!Number.isInteger(count) || count < 1)) {
+      throw new Error('count must be a positive integer');
+    }
+
+    // SCAN cursors are numbers, stream cursors are entry IDs
+    if (cursor !== undefined && (typeof cursor !== 'string' || !/^\d+(-\d+)?$/.test(cursor))) {
+      throw new Error('cursor must be a cursor string returned as nextCursor');
+    }
+
+    if (match !== undefined && (typeof match !== 'string' || !match)) {
+      throw new Error('match must be a non-empty glob pattern');
+    }
+
+    if (typeof raw !== 'boolean') {
+      throw new Error('raw must be a boolean');
+    }
+
+    checkEncoding(encoding);
+    if (raw && encoding !== undefined) {
+      throw new Error('raw and encoding cannot be combined');
+    }
+
+    const client = await this.connectionManager.getClient(connection, db);
     
     try {
       const exists = await client.exists(key);
@@ -28,143 +123,345 @@ class DataOperations {
       }
 
       const type = await client.type(key);
-      let value = null;
       let ttl = await client.ttl(key);
 
-      // Get value based on type
-      switch (type) {
-        case 'string':
-          value = await client.get(key);
-          break;
-        case 'list':
-          const listLength = await client.lLen(key);
-          value = await client.lRange(key, 0, -1);
-          break;
-        case 'set':
-          value = await client.sMembers(key);
-          break;
-        case 'zset':
-          value = await client.zRange(key, 0, -1, 'WITHSCORES');
-          break;
-        case 'hash':
-          value = await client.hGetAll(key);
-          break;
-        default:
-          value = await client.get(key);
-      }
+      checkStringEncoding(encoding, type);
+
+      const page = await this.readPage(client, key, type, { offset, count, cursor, match, raw, encoding });
 
       return {
         key: key,
-        value: value,
+        value: page.value,
         exists: true,
         type: type,
-        ttl: ttl > 0 ? ttl : (ttl === -1 ? 'persistent' : 'expired')
+        ttl: ttl > 0 ? ttl : (ttl === -1 ? 'persistent' : 'expired'),
+        total: page.total,
+        nextCursor: page.nextCursor,
+        codec: page.codec || null
       };
     } catch (err) {
       throw new Error(`Failed to get data: ${err.message}`);
     }
   }
 
+  // One page of a value of a known type: a byte window of a string, a page of a collection
+  async readPage(client, key, type, { offset = 0, count, cursor, match, raw = false, encoding }) {
+    switch (type) {
+      case 'string':
+        return this.getStringWindow(client, key, offset, count, raw, encoding);
+      case 'list':
+        return this.getListPage(client, key, offset, count);
+      case 'set':
+        return this.scanSet(client, key, cursor, match, count);
+      case 'zset':
+        // ZSCAN when filtering or continuing a scan, otherwise a rank range in score order
+        return cursor !== undefined || match !== undefined
+          ? this.scanZSet(client, key, cursor, match, count)
+          : this.getZSetPage(client, key, offset, count);
+      case 'hash':
+        return this.scanHash(client, key, cursor, match, count, raw);
+      case 'stream':
+        return this.getStreamPage(client, key, cursor, count);
+      case 'ReJSON-RL':
+        // Whole document; use json_get with a JSONPath to read part of it
+        return { value: await client.json.get(key), total: null, nextCursor: null };
+      default:
+        return { value: await client.get(key), total: null, nextCursor: null };
+    }
+  }
+
+  // Byte window of a string (GETRANGE); total is the length in bytes. Only a whole value
+  // can be decoded, a partial window is returned as text (or base64 when it is binary)
+  async getStringWindow(client, key, offset, count = DEFAULT_STRING_WINDOW, raw = false, encoding) {
+    const total = await client.strLen(key);
+    const options = commandOptions({ returnBuffers: !raw });
+
+    if (offset === 0 && count >= total) {
+      const value = await client.get(options, key);
+      if (raw) {
+        return { value: value, total: total, nextCursor: null };
+      }
+      return { ...(encoding ? decodeAs(value, encoding) : decodeValue(value)), total: total, nextCursor: null };
+    }
+
+    if (encoding === 'json' || encoding === 'number') {
+      throw new Error(`encoding '${encoding}' needs the whole value; raise count to at least ${total}`);
+    }
+
+    const end = Math.min(offset + count, total);
+    const value = offset < total ? await client.getRange(options, key, offset, end - 1) : Buffer.alloc(0);
+    let window;
+    if (raw) {
+      window = { value: String(value) };
+    } else {
+      window = encoding ? decodeAs(value, encoding) : bytesToText(value);
+    }
+    return {
+      ...window,
+      total: total,
+      nextCursor: end < total ? end : null
+    };
+  }
+
+  // Elements of a list by index (LRANGE)
+  async getListPage(client, key, offset, count = DEFAULT_PAGE_SIZE) {
+    checkPageSize(count);
+
+    const total = await client.lLen(key);
+    const value = await client.lRange(key, offset, offset + count - 1);
+
+    return {
+      value: value,
+      total: total,
+      nextCursor: offset + value.length < total ? offset + value.length : null
+    };
+  }
+
+  // Members of a sorted set by rank, lowest score first (ZRANGE)
+  async getZSetPage(client, key, offset, count = DEFAULT_PAGE_SIZE) {
+    checkPageSize(count);
+
+    const total = await client.zCard(key);
+    const value = toMemberScorePairs(await client.zRangeWithScores(key, offset, offset + count - 1));
+
+    return {
+      value: value,
+      total: total,
+      nextCursor: offset + value.length < total ? offset + value.length : null
+    };
+  }
+
+  // Entries of a stream after the cursor ID (XRANGE with an exclusive start)
+  async getStreamPage(client, key, cursor, count = DEFAULT_PAGE_SIZE) {
+    checkPageSize(count);
+
+    // One extra entry tells whether another page follows
+    const entries = await client.xRange(key, cursor ? `(${cursor}` : '-', '+', { COUNT: count + 1 });
+    const value = entries.slice(0, count);
+
+    return {
+      value: value,
+      total: await client.xLen(key),
+      nextCursor: entries.length > count ? value[value.length - 1].id : null
+    };
+  }
+
+  // Run a SCAN-family command until about count items are collected or the scan ends
+  async scanPages(scan, cursor, count, collect) {
+    checkPageSize(count);
+
+    let next = cursor === undefined ? 0 : Number(cursor);
+    let collected = 0;
+    do {
+      const reply = await scan(next, count - collected);
+      collected += collect(reply);
+      next = reply.cursor;
+    } while (next !== 0 && collected < count);
+
+    return next === 0 ? null : String(next);
+  }
+
+  // Fields of a hash (HSCAN with MATCH); codec maps each decoded field to its codecs
+  async scanHash(client, key, cursor, match, count = DEFAULT_PAGE_SIZE, raw = false) {
+    const value = {};
+    const codec = {};
+    const nextCursor = await this.scanPages(
+      (next, remaining) => client.hScan(commandOptions({ returnBuffers: !raw }), key, next, { MATCH: match, COUNT: remaining }),
+      cursor,
+      count,
+      (reply) => {
+        reply.tuples.forEach((tuple) => {
+          const field = String(tuple.field);
+          if (raw) {
+            value[field] = tuple.value;
+            return;
+          }
+          const decoded = decodeValue(tuple.value);
+          value[field] = decoded.value;
+          if (decoded.codec) {
+            codec[field] = decoded.codec;
+          }
+        });
+        return reply.tuples.length;
+      }
+    );
+
+    return {
+      value: value,
+      total: await client.hLen(key),
+      nextCursor: nextCursor,
+      codec: Object.keys(codec).length > 0 ? codec : null
+    };
+  }
+
+  // Members of a set (SSCAN with MATCH)
+  async scanSet(client, key, cursor, match, count = DEFAULT_PAGE_SIZE) {
+    const value = [];
+    const nextCursor = await this.scanPages(
+      (next, remaining) => client.sScan(key, next, { MATCH: match, COUNT: remaining }),
+      cursor,
+      count,
+      (reply) => value.push(...reply.members)
+    );
+
+    return { value: value, total: await client.sCard(key), nextCursor: nextCursor };
+  }
+
+  // Members of a sorted set in scan order (ZSCAN with MATCH)
+  async scanZSet(client, key, cursor, match, count = DEFAULT_PAGE_SIZE) {
+    const value = [];
+    const nextCursor = await this.scanPages(
+      (next, remaining) => client.zScan(key, next, { MATCH: match, COUNT: remaining }),
+      cursor,
+      count,
+      (reply) => value.push(...toMemberScorePairs(reply.members))
+    );
+
+    return { value: value, total: await client.zCard(key), nextCursor: nextCursor };
+  }
+
   // Set/Insert data
   async setData(params) {
     if (!ALLOW_INSERT) {
       throw new Error('Insert operations are not allowed');
     }
 
-    const { key, value, ttl, type = 'string' } = params;
+    const { key, value, ttl, type = 'string', encoding, condition, keepTtl, returnPrevious, connection, db } = params;
 
     if (!key || typeof key !== 'string') {
       throw new Error('Missing or invalid key parameter');
     }
 
+    this.keyPolicy.assert('insert', key);
+
     if (value === undefined || value === null) {
       throw new Error('Missing value parameter');
     }
 
-    const client = await this.connectionManager.getClient();
+    checkStringEncoding(encoding, type);
+    checkStringWrite(type, { ttl, condition, keepTtl, returnPrevious });
+    const stored = type === 'string' ? encodeValue(value, encoding) : value;
+
+    const client = await this.connectionManager.getClient(connection, db);
     
     try {
-      let result;
-      
-      switch (type) {
-        case 'string':
-          if (ttl && ttl > 0) {
-            result = await client.setEx(key, ttl, value);
-          } else {
-            result = await client.set(key, value);
-          }
-          break;
-        case 'list':
-          if (Array.isArray(value)) {
-            await client.del(key); // Clear existing list
-            if (value.length > 0) {
-              result = await client.lPush(key, ...value);
-            } else {
-              result = await client.lPush(key, '');
-            }
-          } else {
-            result = await client.lPush(key, value);
-          }
-          break;
-        case 'set':
-          if (Array.isArray(value)) {
-            await client.del(key); // Clear existing set
-            if (value.length > 0) {
-              result = await client.sAdd(key, ...value);
-            }
-          } else {
-            result = await client.sAdd(key, value);
-          }
-          break;
-        case 'hash':
-          if (typeof value === 'object' && value !== null) {
-            await client.del(key); // Clear existing hash
-            const entries = Object.entries(value);
-            if (entries.length > 0) {
-              result = await client.hSet(key, entries.flat());
-            }
-          } else {
-            throw new Error('Hash value must be an object');
-          }
-          break;
-        default:
-          throw new Error(`Unsupported data type: ${type}`);
-      }
-
-      // Set TTL if specified and not already set by setEx
-      if (ttl && ttl > 0 && type !== 'string') {
-        await client.expire(key, ttl);
-      }
+      const { result, write } = await this.writeValue(client, key, type, value, stored, { ttl, condition, keepTtl, returnPrevious });
 
       return {
         key: key,
         value: value,
         type: type,
         ttl: ttl || null,
-        result: result
+        result: result,
+        ...(type === 'string' ? { written: write.written } : {}),
+        ...(returnPrevious ? { previous: write.previous } : {})
       };
     } catch (err) {
       throw new Error(`Failed to set data: ${err.message}`);
     }
   }
 
+  // Write a whole value of a type: a string SET, or a collection replaced with DEL and a
+  // rewrite; stored is the encoded string value
+  async writeValue(client, key, type, value, stored, { ttl, condition, keepTtl, returnPrevious } = {}) {
+    let result;
+    let write = {};
+
+    switch (type) {
+      case 'string':
+        write = await this.setString(client, key, stored, { ttl, condition, keepTtl, returnPrevious });
+        result = write.result;
+        break;
+      case 'list':
+        if (Array.isArray(value)) {
+          await client.del(key); // Clear existing list
+          if (value.length > 0) {
+            result = await client.rPush(key, value);
+          } else {
+            result = await client.rPush(key, '');
+          }
+        } else {
+          result = await client.rPush(key, value);
+        }
+        break;
+      case 'set':
+        if (Array.isArray(value)) {
+          await client.del(key); // Clear existing set
+          if (value.length > 0) {
+            result = await client.sAdd(key, value);
+          }
+        } else {
+          result = await client.sAdd(key, value);
+        }
+        break;
+      case 'hash':
+        if (typeof value === 'object' && value !== null) {
+          await client.del(key); // Clear existing hash
+          const entries = Object.entries(value);
+          if (entries.length > 0) {
+            result = await client.hSet(key, entries.flat());
+          }
+        } else {
+          throw new Error('Hash value must be an object');
+        }
+        break;
+      case 'zset': {
+        const members = normalizeZSetMembers(value);
+        await client.del(key); // Clear existing sorted set
+        result = await client.zAdd(key, members);
+        break;
+      }
+      default:
+        throw new Error(`Unsupported data type: ${type}`);
+    }
+
+    // Set TTL if specified and not already set by setEx
+    if (ttl && ttl > 0 && type !== 'string') {
+      await client.expire(key, ttl);
+    }
+
+    return { result: result, write: write };
+  }
+
+  // SET a string with an optional TTL, NX / XX condition, KEEPTTL and GET
+  async setString(client, key, value, { ttl, condition, keepTtl, returnPrevious }) {
+    const reply = await client.set(key, value, {
+      EX: ttl && ttl > 0 ? ttl : undefined,
+      KEEPTTL: keepTtl,
+      NX: condition === 'nx',
+      XX: condition === 'xx',
+      GET: returnPrevious
+    });
+
+    if (!returnPrevious) {
+      return { written: reply === 'OK', result: reply };
+    }
+
+    // With GET the reply is the previous value; whether it was written follows from the condition
+    const written = condition === 'nx' ? reply === null : (condition === 'xx' ? reply !== null : true);
+    return { written: written, previous: reply, result: written ? 'OK' : null };
+  }
+
   // Update data
   async updateData(params) {
     if (!ALLOW_UPDATE) {
       throw new Error('Update operations are not allowed');
     }
 
-    const { key, value, ttl } = params;
+    const { key, value, ttl, encoding, keepTtl, returnPrevious, connection, db } = params;
 
     if (!key || typeof key !== 'string') {
       throw new Error('Missing or invalid key parameter');
     }
 
+    this.keyPolicy.assert('update', key);
+    checkEncoding(encoding);
+
     if (value === undefined || value === null) {
       throw new Error('Missing value parameter');
     }
 
-    const client = await this.connectionManager.getClient();
+    const client = await this.connectionManager.getClient(connection, db);
     
     try {
       const exists = await client.exists(key);
@@ -174,24 +471,30 @@ class DataOperations {
 
       const type = await client.type(key);
       let result;
+      let write = {};
+
+      checkStringEncoding(encoding, type);
+      checkStringWrite(type, { ttl, keepTtl, returnPrevious });
 
       switch (type) {
-        case 'string':
-          if (ttl && ttl > 0) {
-            result = await client.setEx(key, ttl, value);
-          } else {
-            result = await client.set(key, value);
+        case 'string': {
+          // XX: the key may have been deleted since the exists check
+          write = await this.setString(client, key, encodeValue(value, encoding), { ttl, condition: 'xx', keepTtl, returnPrevious });
+          if (!write.written) {
+            throw new Error(`Key '${key}' does not exist`);
           }
+          result = write.result;
           break;
+        }
         case 'list':
           // For list, we'll replace the entire list
           await client.del(key);
           if (Array.isArray(value)) {
             if (value.length > 0) {
-              result = await client.lpush(key, ...value);
+              result = await client.rPush(key, value);
             }
           } else {
-            result = await client.lpush(key, value);
+            result = await client.rPush(key, value);
           }
           break;
         case 'set':
@@ -199,7 +502,7 @@ class DataOperations {
           await client.del(key);
           if (Array.isArray(value)) {
             if (value.length > 0) {
-              result = await client.sAdd(key, ...value);
+              result = await client.sAdd(key, value);
             }
           } else {
             result = await client.sAdd(key, value);
@@ -217,6 +520,13 @@ class DataOperations {
             throw new Error('Hash value must be an object');
           }
           break;
+        case 'zset': {
+          // For zset, we'll replace the entire sorted set
+          const members = normalizeZSetMembers(value);
+          await client.del(key);
+          result = await client.zAdd(key, members);
+          break;
+        }
         default:
           throw new Error(`Cannot update unsupported data type: ${type}`);
       }
@@ -231,26 +541,84 @@ class DataOperations {
         value: value,
         type: type,
         ttl: ttl || null,
-        result: result
+        result: result,
+        ...(returnPrevious ? { previous: write.previous } : {})
       };
     } catch (err) {
       throw new Error(`Failed to update data: ${err.message}`);
     }
   }
 
+  // Write a string or hash field only if its current value equals expected (Lua, atomic).
+  // Without expected (or with null) the value must not exist yet; a string keeps its TTL
+  async compareAndSet(params) {
+    if (!ALLOW_UPDATE) {
+      throw new Error('Update operations are not allowed');
+    }
+
+    const { key, field, expected, value, encoding, connection, db } = params;
+
+    if (!key || typeof key !== 'string') {
+      throw new Error('Missing or invalid key parameter');
+    }
+
+    this.keyPolicy.assert('update', key);
+
+    if (field !== undefined && (typeof field !== 'string' || !field)) {
+      throw new Error('field must be a non-empty string');
+    }
+
+    if (value === undefined || value === null) {
+      throw new Error('Missing value parameter');
+    }
+
+    // Creating the value is an insert as well
+    const create = expected === undefined || expected === null;
+    if (create) {
+      if (!ALLOW_INSERT) {
+        throw new Error('Insert operations are not allowed; creating a value without expected requires ALLOW_INSERT');
+      }
+      this.keyPolicy.assert('insert', key);
+    }
+
+    // Both sides are encoded the same way so they compare as stored bytes
+    const expectedBytes = create ? '' : encodeValue(expected, encoding);
+    const stored = encodeValue(value, encoding);
+
+    const client = await this.connectionManager.getClient(connection, db);
+
+    try {
+      const [swapped, current] = await client.eval(COMPARE_AND_SET_SCRIPT, {
+        keys: [key],
+        arguments: [field === undefined ? 'string' : 'hash', field || '', expectedBytes, stored, create ? '1' : '0']
+      });
+
+      return {
+        key: key,
+        ...(field !== undefined ? { field: field } : {}),
+        swapped: swapped === 1,
+        previous: current === undefined ? null : current
+      };
+    } catch (err) {
+      throw new Error(`Failed to compare and set: ${err.message}`);
+    }
+  }
+
   // Delete data
   async deleteData(params) {
     if (!ALLOW_DELETE) {
       throw new Error('Delete operations are not allowed');
     }
 
-    const { key } = params;
+    const { key, connection, db } = params;
 
     if (!key || typeof key !== 'string') {
       throw new Error('Missing or invalid key parameter');
     }
 
-    const client = await this.connectionManager.getClient();
+    this.keyPolicy.assert('delete', key);
+
+    const client = await this.connectionManager.getClient(connection, db);
     
     try {
       const exists = await client.exists(key);
@@ -276,7 +644,7 @@ class DataOperations {
 
   // List keys with pattern matching
   async listKeys(params) {
-    const { pattern = '*', limit = 100, offset = 0 } = params || {};
+    const { pattern = '*', limit = 100, offset = 0, connection, db } = params || {};
 
     if (typeof pattern !== 'string') {
       throw new Error('Pattern must be a string');
@@ -290,10 +658,19 @@ class DataOperations {
       throw new Error('Offset must be >= 0');
     }
 
-    const client = await this.connectionManager.getClient();
+    const client = await this.connectionManager.getClient(connection, db);
     
     try {
-      const keys = await client.keys(pattern);
+      // SCAN every master node: a cluster spreads the keyspace across them
+      const nodes = await this.connectionManager.getNodeClients(connection, db);
+      const found = new Set();
+      for (const node of nodes) {
+        for await (const key of node.client.scanIterator({ MATCH: pattern, COUNT: 1000 })) {
+          found.add(key);
+        }
+      }
+      // Keys the key policy hides from reads are left out of the listing
+      const keys = this.keyPolicy.filter('read', Array.from(found));
       const totalKeys = keys.length;
       const paginatedKeys = keys.slice(offset, offset + limit);
 
@@ -322,6 +699,242 @@ class DataOperations {
       throw new Error(`Failed to list keys: ${err.message}`);
     }
   }
+
+  // Read many keys at once, given as a list or matched by a pattern (SCAN, up to limit).
+  // Types and TTLs are read together, whole strings with one MGET and collections one page
+  // each; commands sent together are pipelined by node-redis. A key that cannot be read is
+  // reported with its error instead of failing the batch
+  async getMany(params) {
+    const { keys, pattern, limit = DEFAULT_BATCH_SIZE, count = DEFAULT_BATCH_SIZE, raw = false, connection, db } = params;
+
+    if ((keys === undefined) === (pattern === undefined)) {
+      throw new Error('Pass either keys or pattern');
+    }
+
+    if (keys !== undefined && (!Array.isArray(keys) || keys.length === 0 || keys.length > MAX_BATCH_KEYS || keys.some(key => !key || typeof key !== 'string'))) {
+      throw new Error(`keys must be an array of 1 to ${MAX_BATCH_KEYS} keys`);
+    }
+
+    if (pattern !== undefined && (typeof pattern !== 'string' || !pattern)) {
+      throw new Error('pattern must be a non-empty glob pattern');
+    }
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_BATCH_KEYS) {
+      throw new Error(`limit must be between 1 and ${MAX_BATCH_KEYS}`);
+    }
+
+    if (!Number.isInteger(count) || count < 1) {
+      throw new Error('count must be a positive integer');
+    }
+    checkPageSize(count);
+
+    if (typeof raw !== 'boolean') {
+      throw new Error('raw must be a boolean');
+    }
+
+    const client = await this.connectionManager.getClient(connection, db);
+    const cluster = this.connectionManager.getConnectionInfo(connection).mode === 'cluster';
+
+    try {
+      const found = pattern !== undefined
+        ? await this.scanKeys(connection, db, pattern, limit)
+        : { keys: keys, truncated: false };
+      const results = await this.readMany(client, cluster, found.keys, count, raw);
+
+      return {
+        ...(pattern !== undefined ? { pattern: pattern } : {}),
+        results: results,
+        failed: results.filter(result => !result.ok).length,
+        truncated: found.truncated
+      };
+    } catch (err) {
+      throw new Error(`Failed to get keys: ${err.message}`);
+    }
+  }
+
+  // Keys matching a pattern on every master node that the key policy lets us read, at most limit
+  async scanKeys(connection, db, pattern, limit) {
+    const nodes = await this.connectionManager.getNodeClients(connection, db);
+    const found = new Set();
+    for (const node of nodes) {
+      for await (const key of node.client.scanIterator({ MATCH: pattern, COUNT: 1000 })) {
+        if (this.keyPolicy.isAllowed('read', key)) {
+          found.add(key);
+        }
+        if (found.size > limit) {
+          return { keys: Array.from(found).slice(0, limit), truncated: true };
+        }
+      }
+    }
+    return { keys: Array.from(found), truncated: false };
+  }
+
+  // Per-key results of getMany, in the order of the keys
+  async readMany(client, cluster, keys, count, raw) {
+    const entries = await Promise.all(keys.map(async (key) => {
+      try {
+        this.keyPolicy.assert('read', key);
+        const [type, ttl] = await Promise.all([client.type(key), client.ttl(key)]);
+        return { key: key, type: type, ttl: ttl, length: type === 'string' ? await client.strLen(key) : null };
+      } catch (err) {
+        return { key: key, error: err.message };
+      }
+    }));
+
+    // Strings up to BATCH_STRING_WINDOW bytes are read whole; longer ones return their first window
+    const whole = entries.filter(entry => entry.type === 'string' && entry.length <= BATCH_STRING_WINDOW);
+    const values = whole.length > 0 ? await this.getStrings(client, cluster, whole.map(entry => entry.key), raw) : [];
+    const wholeValues = new Map(whole.map((entry, i) => [entry, values[i]]));
+
+    return Promise.all(entries.map(async (entry) => {
+      if (entry.error) {
+        return { key: entry.key, ok: false, error: entry.error };
+      }
+
+      // TYPE is none for a missing key; a string deleted before the MGET reads as null
+      if (entry.type === 'none' || (wholeValues.has(entry) && wholeValues.get(entry) === null)) {
+        return { key: entry.key, ok: true, exists: false, value: null, type: null, ttl: null };
+      }
+
+      try {
+        let page;
+        if (wholeValues.has(entry)) {
+          const value = wholeValues.get(entry);
+          page = { ...(raw ? { value: value } : decodeValue(value)), total: entry.length, nextCursor: null };
+        } else {
+          page = await this.readPage(client, entry.key, entry.type, {
+            count: entry.type === 'string' ? BATCH_STRING_WINDOW : count,
+            raw: raw
+          });
+        }
+
+        return {
+          key: entry.key,
+          ok: true,
+          exists: true,
+          type: entry.type,
+          ttl: entry.ttl > 0 ? entry.ttl : (entry.ttl === -1 ? 'persistent' : 'expired'),
+          value: page.value,
+          total: page.total,
+          nextCursor: page.nextCursor,
+          codec: page.codec || null
+        };
+      } catch (err) {
+        return { key: entry.key, ok: false, error: err.message };
+      }
+    }));
+  }
+
+  // Values of several strings: one MGET, or one GET per key in a cluster, where the keys
+  // may hash to different slots
+  async getStrings(client, cluster, keys, raw) {
+    const options = commandOptions({ returnBuffers: !raw });
+    return cluster
+      ? Promise.all(keys.map(key => client.get(options, key)))
+      : client.mGet(options, keys);
+  }
+
+  // Write many keys at once: strings without a TTL in one MSET, everything else with one
+  // write per key sent together (pipelined by node-redis). A rejected or failed entry is
+  // reported with its error instead of failing the batch
+  async setMany(params) {
+    if (!ALLOW_INSERT) {
+      throw new Error('Insert operations are not allowed');
+    }
+
+    const { entries, connection, db } = params;
+
+    if (!Array.isArray(entries) || entries.length === 0 || entries.length > MAX_BATCH_KEYS) {
+      throw new Error(`entries must be an array of 1 to ${MAX_BATCH_KEYS} entries`);
+    }
+
+    const seen = new Set();
+    const prepared = entries.map(entry => this.prepareEntry(entry, seen));
+
+    const client = await this.connectionManager.getClient(connection, db);
+    const cluster = this.connectionManager.getConnectionInfo(connection).mode === 'cluster';
+
+    try {
+      // MSET needs every key in one slot, so a cluster writes its strings one by one
+      const plain = new Set(cluster ? [] : prepared.filter(entry => !entry.error && entry.type === 'string' && !entry.ttl));
+      let plainError = null;
+      if (plain.size > 0) {
+        try {
+          await client.mSet(Array.from(plain, entry => [entry.key, entry.stored]));
+        } catch (err) {
+          plainError = err.message;
+        }
+      }
+
+      const results = await Promise.all(prepared.map(async (entry) => {
+        if (entry.error) {
+          return { key: entry.key, ok: false, error: entry.error };
+        }
+
+        if (plain.has(entry)) {
+          return plainError
+            ? { key: entry.key, ok: false, error: plainError }
+            : { key: entry.key, ok: true, type: entry.type };
+        }
+
+        try {
+          await this.writeValue(client, entry.key, entry.type, entry.value, entry.stored, { ttl: entry.ttl });
+          return { key: entry.key, ok: true, type: entry.type };
+        } catch (err) {
+          return { key: entry.key, ok: false, error: err.message };
+        }
+      }));
+
+      return {
+        written: results.filter(result => result.ok).length,
+        failed: results.filter(result => !result.ok).length,
+        results: results
+      };
+    } catch (err) {
+      throw new Error(`Failed to set keys: ${err.message}`);
+    }
+  }
+
+  // Check one setMany entry and encode its value; a problem becomes the entry's error
+  prepareEntry(entry, seen) {
+    const key = entry && typeof entry === 'object' ? entry.key : undefined;
+
+    try {
+      if (!key || typeof key !== 'string') {
+        throw new Error('Missing or invalid key parameter');
+      }
+
+      if (seen.has(key)) {
+        throw new Error('Duplicate key in entries');
+      }
+      seen.add(key);
+
+      this.keyPolicy.assert('insert', key);
+
+      const { value, type = 'string', ttl, encoding } = entry;
+
+      if (value === undefined || value === null) {
+        throw new Error('Missing value parameter');
+      }
+
+      if (ttl !== undefined && (!Number.isInteger(ttl) || ttl < 1)) {
+        throw new Error('ttl must be a positive integer (seconds)');
+      }
+
+      checkStringEncoding(encoding, type);
+
+      return {
+        key: key,
+        value: value,
+        type: type,
+        ttl: ttl,
+        stored: type === 'string' ? encodeValue(value, encoding) : value
+      };
+    } catch (err) {
+      return { key: key, error: err.message };
+    }
+  }
 }
 
 module.exports = DataOperations;
+module.exports.checkStringWrite = checkStringWrite;
@@ -0,0 +1,326 @@
+const { ALLOW_INSERT, ALLOW_UPDATE, ALLOW_DELETE } = require('./redis-connection');
+const { KeyPolicy } = require('./key-policy');
+
+// Hash values must be strings; other values are stored as JSON
+const toFieldValues = (fields) => {
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields) || Object.keys(fields).length === 0) {
+    throw new Error('fields must be a non-empty object of field/value pairs');
+  }
+  const values = {};
+  for (const [field, value] of Object.entries(fields)) {
+    values[field] = typeof value === 'string' ? value : JSON.stringify(value);
+  }
+  return values;
+};
+
+// Hash field expiration (HEXPIRE / HTTL / HPERSIST) was added in Redis 7.4
+const FIELD_TTL_MIN_VERSION = [7, 4];
+
+// Compare a "major.minor.patch" version against [major, minor]
+const isVersionAtLeast = (version, [major, minor]) => {
+  const [actualMajor = 0, actualMinor = 0] = String(version || '').split('.').map(Number);
+  return actualMajor > major || (actualMajor === major && actualMinor >= minor);
+};
+
+// Validate a non-empty list of field names
+const normalizeFieldNames = (fields) => {
+  if (!Array.isArray(fields) || fields.length === 0 || fields.some(field => typeof field !== 'string' || !field)) {
+    throw new Error('fields must be a non-empty array of field names');
+  }
+  return fields;
+};
+
+// Map each field to its per-field reply code
+const byField = (fields, replies, describe) => {
+  const result = {};
+  fields.forEach((field, i) => {
+    result[field] = describe(replies[i]);
+  });
+  return result;
+};
+
+class HashOperations {
+  constructor(connectionManager, keyPolicy = new KeyPolicy(), redisInfo = null) {
+    this.connectionManager = connectionManager;
+    this.keyPolicy = keyPolicy;
+    this.redisInfo = redisInfo;
+    this.serverVersions = new Map();
+  }
+
+  // Validate the key parameter and check it against the key policy
+  checkKey(key, ...operations) {
+    if (!key || typeof key !== 'string') {
+      throw new Error('Missing or invalid key parameter');
+    }
+    for (const operation of operations) {
+      this.keyPolicy.assert(operation, key);
+    }
+  }
+
+  // Server version of a connection (cached), as reported by getRedisInfo()
+  async getServerVersion(connection) {
+    const name = this.connectionManager.resolveName(connection);
+    if (!this.serverVersions.has(name)) {
+      const info = await this.redisInfo.getRedisInfo(connection);
+      this.serverVersions.set(name, info.server.version);
+    }
+    return this.serverVersions.get(name);
+  }
+
+  // Hash field TTLs need Redis 7.4 or later
+  async assertFieldTtlSupport(connection) {
+    const version = await this.getServerVersion(connection);
+    if (!isVersionAtLeast(version, FIELD_TTL_MIN_VERSION)) {
+      throw new Error(`Hash field expiration requires Redis ${FIELD_TTL_MIN_VERSION.join('.')} or later (server is ${version || 'unknown'})`);
+    }
+  }
+
+  // Get one field (HGET)
+  async hGet(params) {
+    const { key, field, connection, db } = params;
+
+    this.checkKey(key, 'read');
+
+    if (!field || typeof field !== 'string') {
+      throw new Error('Missing or invalid field parameter');
+    }
+
+    const client = await this.connectionManager.getClient(connection, db);
+
+    try {
+      const value = await client.hGet(key, field);
+
+      return {
+        key: key,
+        field: field,
+        value: value === undefined ? null : value,
+        exists: value !== undefined && value !== null
+      };
+    } catch (err) {
+      throw new Error(`Failed to get hash field: ${err.message}`);
+    }
+  }
+
+  // Get several fields (HMGET); missing fields are null
+  async hmGet(params) {
+    const { key, fields, connection, db } = params;
+
+    this.checkKey(key, 'read');
+    normalizeFieldNames(fields);
+
+    const client = await this.connectionManager.getClient(connection, db);
+
+    try {
+      const values = await client.hmGet(key, fields);
+
+      return {
+        key: key,
+        values: byField(fields, values, value => (value === undefined ? null : value))
+      };
+    } catch (err) {
+      throw new Error(`Failed to get hash fields: ${err.message}`);
+    }
+  }
+
+  // Check whether a field exists (HEXISTS)
+  async hExists(params) {
+    const { key, field, connection, db } = params;
+
+    this.checkKey(key, 'read');
+
+    if (!field || typeof field !== 'string') {
+      throw new Error('Missing or invalid field parameter');
+    }
+
+    const client = await this.connectionManager.getClient(connection, db);
+
+    try {
+      return {
+        key: key,
+        field: field,
+        exists: await client.hExists(key, field)
+      };
+    } catch (err) {
+      throw new Error(`Failed to check hash field: ${err.message}`);
+    }
+  }
+
+  // Merge fields into a hash (HSET); other fields and the key's TTL are kept
+  async hSetFields(params) {
+    if (!ALLOW_INSERT || !ALLOW_UPDATE) {
+      throw new Error('Insert and update operations must both be allowed to set hash fields');
+    }
+
+    const { key, fields, connection, db } = params;
+
+    this.checkKey(key, 'insert', 'update');
+
+    const values = toFieldValues(fields);
+
+    const client = await this.connectionManager.getClient(connection, db);
+
+    try {
+      const added = await client.hSet(key, values);
+
+      return {
+        key: key,
+        added: added,
+        updated: Object.keys(values).length - added,
+        size: await client.hLen(key)
+      };
+    } catch (err) {
+      throw new Error(`Failed to set hash fields: ${err.message}`);
+    }
+  }
+
+  // Remove fields from a hash (HDEL)
+  async hDelFields(params) {
+    if (!ALLOW_DELETE) {
+      throw new Error('Delete operations are not allowed');
+    }
+
+    const { key, fields, connection, db } = params;
+
+    this.checkKey(key, 'delete');
+    normalizeFieldNames(fields);
+
+    const client = await this.connectionManager.getClient(connection, db);
+
+    try {
+      return {
+        key: key,
+        removed: await client.hDel(key, fields),
+        size: await client.hLen(key)
+      };
+    } catch (err) {
+      throw new Error(`Failed to delete hash fields: ${err.message}`);
+    }
+  }
+
+  // Increment an integer field (HINCRBY)
+  async hIncrBy(params) {
+    if (!ALLOW_UPDATE) {
+      throw new Error('Update operations are not allowed');
+    }
+
+    const { key, field, increment, connection, db } = params;
+
+    this.checkKey(key, 'update');
+
+    if (!field || typeof field !== 'string') {
+      throw new Error('Missing or invalid field parameter');
+    }
+
+    if (!Number.isSafeInteger(increment)) {
+      throw new Error('increment must be an integer');
+    }
+
+    const client = await this.connectionManager.getClient(connection, db);
+
+    try {
+      return {
+        key: key,
+        field: field,
+        value: await client.hIncrBy(key, field, increment)
+      };
+    } catch (err) {
+      throw new Error(`Failed to increment hash field: ${err.message}`);
+    }
+  }
+
+  // Set a TTL on fields (HEXPIRE), optionally only under an NX / XX / GT / LT condition
+  async hExpire(params) {
+    if (!ALLOW_UPDATE) {
+      throw new Error('Update operations are not allowed');
+    }
+
+    const { key, fields, seconds, condition, connection, db } = params;
+
+    this.checkKey(key, 'update');
+    normalizeFieldNames(fields);
+
+    if (!Number.isInteger(seconds) || seconds < 0) {
+      throw new Error('seconds must be a non-negative integer');
+    }
+
+    if (condition !== undefined && !['nx', 'xx', 'gt', 'lt'].includes(condition)) {
+      throw new Error("condition must be one of 'nx', 'xx', 'gt', 'lt'");
+    }
+
+    await this.assertFieldTtlSupport(connection);
+    const client = await this.connectionManager.getClient(connection, db);
+
+    try {
+      const replies = await client.hExpire(key, fields, seconds, condition ? condition.toUpperCase() : undefined);
+
+      return {
+        key: key,
+        seconds: seconds,
+        fields: byField(fields, replies, reply => ({
+          '-2': 'not_found',
+          0: 'condition_not_met',
+          1: 'set',
+          2: 'deleted'
+        })[reply])
+      };
+    } catch (err) {
+      throw new Error(`Failed to set hash field TTL: ${err.message}`);
+    }
+  }
+
+  // Remaining TTL of fields in seconds (HTTL)
+  async hTtl(params) {
+    const { key, fields, connection, db } = params;
+
+    this.checkKey(key, 'read');
+    normalizeFieldNames(fields);
+
+    await this.assertFieldTtlSupport(connection);
+    const client = await this.connectionManager.getClient(connection, db);
+
+    try {
+      const replies = await client.hTTL(key, fields);
+
+      // -1: no TTL, -2 (or no reply for a missing key): no such field
+      return {
+        key: key,
+        fields: byField(fields, replies || [], reply => (reply === -1 ? 'persistent' : (reply >= 0 ? reply : null)))
+      };
+    } catch (err) {
+      throw new Error(`Failed to get hash field TTL: ${err.message}`);
+    }
+  }
+
+  // Remove the TTL from fields (HPERSIST)
+  async hPersist(params) {
+    if (!ALLOW_UPDATE) {
+      throw new Error('Update operations are not allowed');
+    }
+
+    const { key, fields, connection, db } = params;
+
+    this.checkKey(key, 'update');
+    normalizeFieldNames(fields);
+
+    await this.assertFieldTtlSupport(connection);
+    const client = await this.connectionManager.getClient(connection, db);
+
+    try {
+      const replies = await client.hPersist(key, fields);
+
+      return {
+        key: key,
+        fields: byField(fields, replies || [], reply => ({
+          '-2': 'not_found',
+          '-1': 'persistent',
+          1: 'persisted'
+        })[reply] || 'not_found')
+      };
+    } catch (err) {
+      throw new Error(`Failed to remove hash field TTL: ${err.message}`);
+    }
+  }
+}
+
+module.exports = HashOperations;
+module.exports.toFieldValues = toFieldValues;
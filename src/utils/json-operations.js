@@ -0,0 +1,229 @@
+const { ALLOW_INSERT, ALLOW_UPDATE, ALLOW_DELETE } = require('./redis-connection');
+const { KeyPolicy } = require('./key-policy');
+
+// Validate a JSONPath argument; "$" is the document root
+const normalizePath = (path = '$') => {
+  if (typeof path !== 'string' || !path) {
+    throw new Error('path must be a JSONPath string such as $ or $.items[0]');
+  }
+  return path;
+};
+
+// RedisJSON documents (ReJSON-RL keys) read and written by JSONPath
+class JsonOperations {
+  constructor(connectionManager, keyPolicy = new KeyPolicy()) {
+    this.connectionManager = connectionManager;
+    this.keyPolicy = keyPolicy;
+    this.jsonModule = new Map();
+  }
+
+  // Validate the key parameter and check it against the key policy
+  checkKey(key, ...operations) {
+    if (!key || typeof key !== 'string') {
+      throw new Error('Missing or invalid key parameter');
+    }
+    for (const operation of operations) {
+      this.keyPolicy.assert(operation, key);
+    }
+  }
+
+  // Whether the server has the JSON module loaded (MODULE LIST, cached per connection);
+  // null when MODULE LIST is not permitted for the ACL user
+  async hasJsonModule(connection) {
+    const name = this.connectionManager.resolveName(connection);
+    if (!this.jsonModule.has(name)) {
+      const client = await this.connectionManager.getNodeClient(connection);
+      let loaded = null;
+      try {
+        const modules = await client.sendCommand(['MODULE', 'LIST']);
+        loaded = modules.some((module) => {
+          const index = module.findIndex(item => String(item).toLowerCase() === 'name');
+          return index >= 0 && String(module[index + 1]).toLowerCase() === 'rejson';
+        });
+      } catch (err) {
+        // NOPERM: let the JSON commands report their own errors
+      }
+      this.jsonModule.set(name, loaded);
+    }
+    return this.jsonModule.get(name);
+  }
+
+  // JSON tools need the RedisJSON module (or Redis 8, where it is built in)
+  async assertJsonModule(connection) {
+    if (await this.hasJsonModule(connection) === false) {
+      throw new Error('The RedisJSON module is not loaded on this server');
+    }
+  }
+
+  // Get the values at a path (JSON.GET)
+  async jsonGet(params) {
+    const { key, path, connection, db } = params;
+
+    this.checkKey(key, 'read');
+    const jsonPath = normalizePath(path);
+
+    await this.assertJsonModule(connection);
+    const client = await this.connectionManager.getClient(connection, db);
+
+    try {
+      const value = await client.json.get(key, { path: jsonPath });
+
+      return {
+        key: key,
+        path: jsonPath,
+        exists: value !== null,
+        value: value
+      };
+    } catch (err) {
+      throw new Error(`Failed to get JSON value: ${err.message}`);
+    }
+  }
+
+  // Set the value at a path (JSON.SET), optionally only if it does (xx) or does not (nx) exist
+  async jsonSet(params) {
+    if (!ALLOW_INSERT || !ALLOW_UPDATE) {
+      throw new Error('Insert and update operations must both be allowed to set JSON values');
+    }
+
+    const { key, path, value, condition, connection, db } = params;
+
+    this.checkKey(key, 'insert', 'update');
+    const jsonPath = normalizePath(path);
+
+    if (value === undefined) {
+      throw new Error('Missing value parameter');
+    }
+
+    if (condition !== undefined && condition !== 'nx' && condition !== 'xx') {
+      throw new Error("condition must be 'nx' or 'xx'");
+    }
+
+    await this.assertJsonModule(connection);
+    const client = await this.connectionManager.getClient(connection, db);
+
+    try {
+      // null reply: the nx / xx condition was not met
+      const reply = await client.json.set(key, jsonPath, value, {
+        NX: condition === 'nx',
+        XX: condition === 'xx'
+      });
+
+      return {
+        key: key,
+        path: jsonPath,
+        set: reply === 'OK'
+      };
+    } catch (err) {
+      throw new Error(`Failed to set JSON value: ${err.message}`);
+    }
+  }
+
+  // Merge a value into a path with RFC 7396 semantics; null removes a field (JSON.MERGE)
+  async jsonMerge(params) {
+    if (!ALLOW_UPDATE) {
+      throw new Error('Update operations are not allowed');
+    }
+
+    const { key, path, value, connection, db } = params;
+
+    this.checkKey(key, 'update');
+    const jsonPath = normalizePath(path);
+
+    if (value === undefined) {
+      throw new Error('Missing value parameter');
+    }
+
+    await this.assertJsonModule(connection);
+    const client = await this.connectionManager.getClient(connection, db);
+
+    try {
+      await client.json.merge(key, jsonPath, value);
+
+      return {
+        key: key,
+        path: jsonPath,
+        merged: true
+      };
+    } catch (err) {
+      throw new Error(`Failed to merge JSON value: ${err.message}`);
+    }
+  }
+
+  // Delete the values at a path (JSON.DEL); the root path deletes the key
+  async jsonDel(params) {
+    if (!ALLOW_DELETE) {
+      throw new Error('Delete operations are not allowed');
+    }
+
+    const { key, path, connection, db } = params;
+
+    this.checkKey(key, 'delete');
+    const jsonPath = normalizePath(path);
+
+    await this.assertJsonModule(connection);
+    const client = await this.connectionManager.getClient(connection, db);
+
+    try {
+      return {
+        key: key,
+        path: jsonPath,
+        deleted: await client.json.del(key, jsonPath)
+      };
+    } catch (err) {
+      throw new Error(`Failed to delete JSON value: ${err.message}`);
+    }
+  }
+
+  // Append values to the arrays at a path (JSON.ARRAPPEND)
+  async jsonArrAppend(params) {
+    if (!ALLOW_INSERT) {
+      throw new Error('Insert operations are not allowed');
+    }
+
+    const { key, path, values, connection, db } = params;
+
+    this.checkKey(key, 'insert');
+    const jsonPath = normalizePath(path);
+
+    if (!Array.isArray(values) || values.length === 0) {
+      throw new Error('values must be a non-empty array');
+    }
+
+    await this.assertJsonModule(connection);
+    const client = await this.connectionManager.getClient(connection, db);
+
+    try {
+      // One new length per matching array (null where the match is not an array)
+      return {
+        key: key,
+        path: jsonPath,
+        lengths: await client.json.arrAppend(key, jsonPath, ...values)
+      };
+    } catch (err) {
+      throw new Error(`Failed to append to JSON array: ${err.message}`);
+    }
+  }
+
+  // Types of the values at a path (JSON.TYPE)
+  async jsonType(params) {
+    const { key, path, connection, db } = params;
+
+    this.checkKey(key, 'read');
+    const jsonPath = normalizePath(path);
+
+    await this.assertJsonModule(connection);
+    const client = await this.connectionManager.getClient(connection, db);
+
+    try {
+      return {
+        key: key,
+        path: jsonPath,
+        types: await client.json.type(key, jsonPath)
+      };
+    } catch (err) {
+      throw new Error(`Failed to get JSON type: ${err.message}`);
+    }
+  }
+}
+
+module.exports = JsonOperations;
@@ -1,8 +1,12 @@
-const { RedisConnectionManager, ALLOW_CREATE, ALLOW_DROP } = require('./redis-connection');
+const { ALLOW_CREATE, ALLOW_DROP } = require('./redis-connection');
+const { KeyPolicy } = require('./key-policy');
+const { normalizeZSetMembers } = require('./zset-operations');
+const { encodeValue, checkStringEncoding } = require('./value-codec');
 
 class KeyOperations {
-  constructor(connectionManager) {
+  constructor(connectionManager, keyPolicy = new KeyPolicy()) {
     this.connectionManager = connectionManager;
+    this.keyPolicy = keyPolicy;
   }
 
   // Create a new key
@@ -11,13 +15,18 @@ class KeyOperations {
       throw new Error('Create key operations are not allowed');
     }
 
-    const { key, value = '', type = 'string', ttl } = params;
+    const { key, value = '', type = 'string', ttl, encoding, connection, db } = params;
 
     if (!key || typeof key !== 'string') {
       throw new Error('Missing or invalid key parameter');
     }
 
-    const client = await this.connectionManager.getClient();
+    this.keyPolicy.assert('create', key);
+
+    checkStringEncoding(encoding, type);
+    const stored = type === 'string' ? encodeValue(value, encoding) : value;
+
+    const client = await this.connectionManager.getClient(connection, db);
     
     try {
       // Check if key already exists
@@ -31,21 +40,21 @@ class KeyOperations {
       switch (type) {
         case 'string':
           if (ttl && ttl > 0) {
-            result = await client.setEx(key, ttl, value);
+            result = await client.setEx(key, ttl, stored);
           } else {
-            result = await client.set(key, value);
+            result = await client.set(key, stored);
           }
           break;
         case 'list':
           if (Array.isArray(value)) {
-            result = await client.lPush(key, ...value);
+            result = await client.rPush(key, value);
           } else {
-            result = await client.lPush(key, value);
+            result = await client.rPush(key, value);
           }
           break;
         case 'set':
           if (Array.isArray(value)) {
-            result = await client.sAdd(key, ...value);
+            result = await client.sAdd(key, value);
           } else {
             result = await client.sAdd(key, value);
           }
@@ -62,6 +71,9 @@ class KeyOperations {
             throw new Error('Hash value must be an object');
           }
           break;
+        case 'zset':
+          result = await client.zAdd(key, normalizeZSetMembers(value));
+          break;
         default:
           throw new Error(`Unsupported key type: ${type}`);
       }
@@ -90,13 +102,15 @@ class KeyOperations {
       throw new Error('Drop key operations are not allowed');
     }
 
-    const { key } = params;
+    const { key, connection, db } = params;
 
     if (!key || typeof key !== 'string') {
       throw new Error('Missing or invalid key parameter');
     }
 
-    const client = await this.connectionManager.getClient();
+    this.keyPolicy.assert('drop', key);
+
+    const client = await this.connectionManager.getClient(connection, db);
     
     try {
       const exists = await client.exists(key);
@@ -122,13 +136,15 @@ class KeyOperations {
 
   // Check if key exists
   async existsKey(params) {
-    const { key } = params;
+    const { key, connection, db } = params;
 
     if (!key || typeof key !== 'string') {
       throw new Error('Missing or invalid key parameter');
     }
 
-    const client = await this.connectionManager.getClient();
+    this.keyPolicy.assert('read', key);
+
+    const client = await this.connectionManager.getClient(connection, db);
     
     try {
       const exists = await client.exists(key);
@@ -148,13 +164,15 @@ class KeyOperations {
 
   // Get key information
   async getKeyInfo(params) {
-    const { key } = params;
+    const { key, connection, db } = params;
 
     if (!key || typeof key !== 'string') {
       throw new Error('Missing or invalid key parameter');
     }
 
-    const client = await this.connectionManager.getClient();
+    this.keyPolicy.assert('read', key);
+
+    const client = await this.connectionManager.getClient(connection, db);
     
     try {
       const exists = await client.exists(key);
@@ -189,6 +207,21 @@ class KeyOperations {
         case 'hash':
           size = await client.hLen(key);
           break;
+        case 'stream':
+          size = await client.xLen(key);
+          break;
+        case 'ReJSON-RL': {
+          // Keys of a root object, elements of a root array or length of a root string
+          const rootType = await client.json.type(key);
+          if (rootType === 'object') {
+            size = await client.json.objLen(key);
+          } else if (rootType === 'array') {
+            size = await client.json.arrLen(key);
+          } else if (rootType === 'string') {
+            size = await client.json.strLen(key);
+          }
+          break;
+        }
       }
 
       return {
@@ -209,7 +242,7 @@ class KeyOperations {
       throw new Error('Rename operations require both create and drop permissions');
     }
 
-    const { oldKey, newKey } = params;
+    const { oldKey, newKey, connection, db } = params;
 
     if (!oldKey || typeof oldKey !== 'string') {
       throw new Error('Missing or invalid oldKey parameter');
@@ -219,7 +252,11 @@ class KeyOperations {
       throw new Error('Missing or invalid newKey parameter');
     }
 
-    const client = await this.connectionManager.getClient();
+    // Renaming drops the old key and creates the new one
+    this.keyPolicy.assert('drop', oldKey);
+    this.keyPolicy.assert('create', newKey);
+
+    const client = await this.connectionManager.getClient(connection, db);
     
     try {
       const exists = await client.exists(oldKey);
@@ -244,19 +281,73 @@ class KeyOperations {
     }
   }
 
+  // Move key to another logical database
+  async moveKey(params) {
+    if (!ALLOW_CREATE || !ALLOW_DROP) {
+      throw new Error('Move operations require both create and drop permissions');
+    }
+
+    const { key, targetDb, connection, db } = params;
+
+    if (!key || typeof key !== 'string') {
+      throw new Error('Missing or invalid key parameter');
+    }
+
+    // Moving drops the key from the source database and creates it in the target
+    this.keyPolicy.assert('drop', key);
+    this.keyPolicy.assert('create', key);
+
+    if (targetDb === undefined || targetDb === null) {
+      throw new Error('Missing targetDb parameter');
+    }
+
+    const manager = this.connectionManager.get(connection);
+    const sourceDb = manager.resolveDb(db);
+    const destinationDb = manager.resolveDb(targetDb);
+
+    if (sourceDb === destinationDb) {
+      throw new Error('Source and target databases are the same');
+    }
+
+    const client = await this.connectionManager.getClient(connection, db);
+    
+    try {
+      const exists = await client.exists(key);
+      if (!exists) {
+        throw new Error(`Key '${key}' does not exist in database ${sourceDb}`);
+      }
+
+      const moved = await client.move(key, destinationDb);
+      if (!moved) {
+        throw new Error(`Key '${key}' already exists in database ${destinationDb}`);
+      }
+
+      return {
+        key: key,
+        sourceDb: sourceDb,
+        targetDb: destinationDb,
+        moved: true
+      };
+    } catch (err) {
+      throw new Error(`Failed to move key: ${err.message}`);
+    }
+  }
+
   // Set TTL for key
   async setTTL(params) {
-    const { key, ttl } = params;
+    const { key, ttl, connection, db } = params;
 
     if (!key || typeof key !== 'string') {
       throw new Error('Missing or invalid key parameter');
     }
 
+    this.keyPolicy.assert('update', key);
+
     if (typeof ttl !== 'number' || ttl <= 0) {
       throw new Error('TTL must be a positive number');
     }
 
-    const client = await this.connectionManager.getClient();
+    const client = await this.connectionManager.getClient(connection, db);
     
     try {
       const exists = await client.exists(key);
@@ -278,13 +369,15 @@ class KeyOperations {
 
   // Remove TTL from key
   async removeTTL(params) {
-    const { key } = params;
+    const { key, connection, db } = params;
 
     if (!key || typeof key !== 'string') {
       throw new Error('Missing or invalid key parameter');
     }
 
-    const client = await this.connectionManager.getClient();
+    this.keyPolicy.assert('update', key);
+
+    const client = await this.connectionManager.getClient(connection, db);
     
     try {
       const exists = await client.exists(key);
@@ -0,0 +1,195 @@
+const fs = require('fs');
+
+// Operation categories a key policy rule can target
+const OPERATIONS = ['read', 'insert', 'update', 'delete', 'create', 'drop'];
+
+// Convert a Redis-style glob (*, ?, [abc], [^a], [a-z], \x) into a RegExp
+const globToRegExp = (glob) => {
+  let source = '';
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+
+    if (char === '\\' && i + 1 < glob.length) {
+      source += glob[++i].replace(/[.*+?^${}()|[\]\\\/-]/g, '\\$&');
+    } else if (char === '*') {
+      source += '[\\s\\S]*';
+    } else if (char === '?') {
+      source += '[\\s\\S]';
+    } else if (char === '[') {
+      const end = glob.indexOf(']', i + 2);
+      if (end === -1) {
+        source += '\\[';
+        continue;
+      }
+      let body = glob.slice(i + 1, end);
+      const negate = body.startsWith('^');
+      if (negate) {
+        body = body.slice(1);
+      }
+      source += `[${negate ? '^' : ''}${body.replace(/[\]\\]/g, '\\$&')}]`;
+      i = end;
+    } else {
+      source += char.replace(/[.*+?^${}()|[\]\\\/-]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+};
+
+// Accept a single value or an array of values
+const toList = (value) => (Array.isArray(value) ? value : [value]);
+
+// Validate and compile one policy rule
+const normalizeRule = (rule, index) => {
+  if (!rule || typeof rule !== 'object') {
+    throw new Error(`Key policy rule ${index} must be an object`);
+  }
+
+  const effect = rule.effect || 'allow';
+  if (effect !== 'allow' && effect !== 'deny') {
+    throw new Error(`Key policy rule ${index}: effect must be 'allow' or 'deny'`);
+  }
+
+  const operations = toList(rule.operations || '*');
+  for (const operation of operations) {
+    if (operation !== '*' && !OPERATIONS.includes(operation)) {
+      throw new Error(`Key policy rule ${index}: unknown operation '${operation}' (expected ${OPERATIONS.join(', ')} or *)`);
+    }
+  }
+
+  const keys = toList(rule.keys || '*');
+  for (const pattern of keys) {
+    if (typeof pattern !== 'string' || pattern === '') {
+      throw new Error(`Key policy rule ${index}: keys must be non-empty glob strings`);
+    }
+  }
+
+  return {
+    index: index,
+    effect: effect,
+    operations: operations.includes('*') ? OPERATIONS.slice() : operations,
+    keys: keys,
+    matchers: keys.map(globToRegExp)
+  };
+};
+
+// Read the key policy from KEY_POLICY or KEY_POLICY_FILE
+const getKeyPolicyConfig = () => {
+  let raw = process.env.KEY_POLICY;
+  let source = 'KEY_POLICY';
+
+  if (!raw && process.env.KEY_POLICY_FILE) {
+    source = process.env.KEY_POLICY_FILE;
+    try {
+      raw = fs.readFileSync(process.env.KEY_POLICY_FILE, 'utf8');
+    } catch (err) {
+      throw new Error(`Failed to read ${source}: ${err.message}`);
+    }
+  }
+
+  if (!raw) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(raw);
+  } catch (err) {
+    throw new Error(`Invalid JSON in ${source}: ${err.message}`);
+  }
+};
+
+// Ordered allow/deny rules per operation category and key glob.
+// The first matching rule decides; keys matching no rule use the default effect.
+// The policy only narrows what the ALLOW_* flags permit, it never widens it.
+class KeyPolicy {
+  constructor(config = getKeyPolicyConfig()) {
+    // An array is shorthand for { rules: [...] }
+    const policy = Array.isArray(config) ? { rules: config } : config;
+
+    if (policy !== null && policy !== undefined && typeof policy !== 'object') {
+      throw new Error('Key policy must be an object or an array of rules');
+    }
+
+    this.enabled = !!policy;
+    this.defaultEffect = (policy && policy.default) || 'allow';
+    if (this.defaultEffect !== 'allow' && this.defaultEffect !== 'deny') {
+      throw new Error(`Key policy default must be 'allow' or 'deny'`);
+    }
+
+    this.rules = ((policy && policy.rules) || []).map(normalizeRule);
+  }
+
+  // Evaluate an operation on a key; reports the deciding rule (null for the default)
+  evaluate(operation, key) {
+    if (!OPERATIONS.includes(operation)) {
+      throw new Error(`Unknown key policy operation: ${operation}`);
+    }
+
+    for (const rule of this.rules) {
+      if (rule.operations.includes(operation) && rule.matchers.some(matcher => matcher.test(key))) {
+        return {
+          allowed: rule.effect === 'allow',
+          effect: rule.effect,
+          rule: rule.index
+        };
+      }
+    }
+
+    return {
+      allowed: this.defaultEffect === 'allow',
+      effect: this.defaultEffect,
+      rule: null
+    };
+  }
+
+  // Whether an operation on a key is allowed
+  isAllowed(operation, key) {
+    return this.evaluate(operation, key).allowed;
+  }
+
+  // Throw when an operation on a key is denied
+  assert(operation, key) {
+    const { allowed, rule } = this.evaluate(operation, key);
+    if (!allowed) {
+      const reason = rule === null ? 'default policy' : `key policy rule ${rule}`;
+      throw new Error(`Key '${key}' is not allowed for ${operation} operations (${reason})`);
+    }
+  }
+
+  // Keep only the keys an operation may touch
+  filter(operation, keys) {
+    if (!this.enabled) {
+      return keys;
+    }
+    return keys.filter(key => this.isAllowed(operation, key));
+  }
+
+  // Evaluate every operation category for a key
+  evaluateKey(key) {
+    const operations = {};
+    for (const operation of OPERATIONS) {
+      operations[operation] = this.evaluate(operation, key);
+    }
+    return operations;
+  }
+
+  // Policy summary for check_permissions
+  describe() {
+    return {
+      enabled: this.enabled,
+      default: this.defaultEffect,
+      rules: this.rules.map(rule => ({
+        effect: rule.effect,
+        operations: rule.operations,
+        keys: rule.keys
+      }))
+    };
+  }
+}
+
+module.exports = {
+  KeyPolicy,
+  getKeyPolicyConfig,
+  KEY_POLICY_OPERATIONS: OPERATIONS
+};
@@ -0,0 +1,262 @@
+const { ALLOW_INSERT, ALLOW_UPDATE, ALLOW_DELETE } = require('./redis-connection');
+const { KeyPolicy } = require('./key-policy');
+
+// Validate a list element
+const checkElement = (value, name = 'value') => {
+  if (typeof value !== 'string') {
+    throw new Error(`${name} must be a string`);
+  }
+};
+
+// Validate a list index; negative indexes count from the tail
+const checkIndex = (index, name = 'index') => {
+  if (!Number.isInteger(index)) {
+    throw new Error(`${name} must be an integer`);
+  }
+};
+
+class ListOperations {
+  constructor(connectionManager, keyPolicy = new KeyPolicy()) {
+    this.connectionManager = connectionManager;
+    this.keyPolicy = keyPolicy;
+  }
+
+  // Validate the key parameter and check it against the key policy
+  checkKey(key, operation) {
+    if (!key || typeof key !== 'string') {
+      throw new Error('Missing or invalid key parameter');
+    }
+    this.keyPolicy.assert(operation, key);
+  }
+
+  // Push elements to the head (LPUSH) or tail (RPUSH), keeping their given order
+  async push(params) {
+    if (!ALLOW_INSERT) {
+      throw new Error('Insert operations are not allowed');
+    }
+
+    const { key, values, tail = true, connection, db } = params;
+
+    this.checkKey(key, 'insert');
+
+    if (!Array.isArray(values) || values.length === 0) {
+      throw new Error('values must be a non-empty array');
+    }
+    values.forEach(value => checkElement(value, 'values'));
+
+    const client = await this.connectionManager.getClient(connection, db);
+
+    try {
+      // LPUSH inserts one element at a time, so reverse to keep the given order at the head
+      const length = tail
+        ? await client.rPush(key, values)
+        : await client.lPush(key, values.slice().reverse());
+
+      return {
+        key: key,
+        pushed: values.length,
+        length: length
+      };
+    } catch (err) {
+      throw new Error(`Failed to push list elements: ${err.message}`);
+    }
+  }
+
+  // Pop elements from the head (LPOP) or tail (RPOP)
+  async pop(params) {
+    if (!ALLOW_DELETE) {
+      throw new Error('Delete operations are not allowed');
+    }
+
+    const { key, count = 1, tail = false, connection, db } = params;
+
+    this.checkKey(key, 'delete');
+
+    if (!Number.isInteger(count) || count < 1 || count > 10000) {
+      throw new Error('count must be between 1 and 10000');
+    }
+
+    const client = await this.connectionManager.getClient(connection, db);
+
+    try {
+      const values = tail ? await client.rPopCount(key, count) : await client.lPopCount(key, count);
+
+      return {
+        key: key,
+        values: values || [],
+        length: await client.lLen(key)
+      };
+    } catch (err) {
+      throw new Error(`Failed to pop list elements: ${err.message}`);
+    }
+  }
+
+  // Replace the element at an index (LSET)
+  async lSet(params) {
+    if (!ALLOW_UPDATE) {
+      throw new Error('Update operations are not allowed');
+    }
+
+    const { key, index, value, connection, db } = params;
+
+    this.checkKey(key, 'update');
+    checkIndex(index);
+    checkElement(value);
+
+    const client = await this.connectionManager.getClient(connection, db);
+
+    try {
+      await client.lSet(key, index, value);
+
+      return {
+        key: key,
+        index: index,
+        value: value
+      };
+    } catch (err) {
+      throw new Error(`Failed to set list element: ${err.message}`);
+    }
+  }
+
+  // Insert an element before or after the first occurrence of a pivot (LINSERT)
+  async lInsert(params) {
+    if (!ALLOW_INSERT) {
+      throw new Error('Insert operations are not allowed');
+    }
+
+    const { key, position, pivot, value, connection, db } = params;
+
+    this.checkKey(key, 'insert');
+
+    if (position !== 'before' && position !== 'after') {
+      throw new Error("position must be 'before' or 'after'");
+    }
+    checkElement(pivot, 'pivot');
+    checkElement(value);
+
+    const client = await this.connectionManager.getClient(connection, db);
+
+    try {
+      // -1: pivot not found, 0: no such key
+      const length = await client.lInsert(key, position.toUpperCase(), pivot, value);
+
+      return {
+        key: key,
+        inserted: length > 0,
+        length: length > 0 ? length : await client.lLen(key)
+      };
+    } catch (err) {
+      throw new Error(`Failed to insert list element: ${err.message}`);
+    }
+  }
+
+  // Remove occurrences of an element (LREM); count > 0 from the head, < 0 from the tail, 0 all
+  async lRem(params) {
+    if (!ALLOW_DELETE) {
+      throw new Error('Delete operations are not allowed');
+    }
+
+    const { key, value, count = 0, connection, db } = params;
+
+    this.checkKey(key, 'delete');
+    checkElement(value);
+    checkIndex(count, 'count');
+
+    const client = await this.connectionManager.getClient(connection, db);
+
+    try {
+      return {
+        key: key,
+        removed: await client.lRem(key, count, value),
+        length: await client.lLen(key)
+      };
+    } catch (err) {
+      throw new Error(`Failed to remove list elements: ${err.message}`);
+    }
+  }
+
+  // Keep only the elements between start and stop, inclusive (LTRIM)
+  async lTrim(params) {
+    if (!ALLOW_DELETE) {
+      throw new Error('Delete operations are not allowed');
+    }
+
+    const { key, start, stop, connection, db } = params;
+
+    this.checkKey(key, 'delete');
+    checkIndex(start, 'start');
+    checkIndex(stop, 'stop');
+
+    const client = await this.connectionManager.getClient(connection, db);
+
+    try {
+      const before = await client.lLen(key);
+      await client.lTrim(key, start, stop);
+      const length = await client.lLen(key);
+
+      return {
+        key: key,
+        removed: before - length,
+        length: length
+      };
+    } catch (err) {
+      throw new Error(`Failed to trim list: ${err.message}`);
+    }
+  }
+
+  // Element at an index (LINDEX)
+  async lIndex(params) {
+    const { key, index, connection, db } = params;
+
+    this.checkKey(key, 'read');
+    checkIndex(index);
+
+    const client = await this.connectionManager.getClient(connection, db);
+
+    try {
+      const value = await client.lIndex(key, index);
+
+      return {
+        key: key,
+        index: index,
+        value: value === undefined ? null : value
+      };
+    } catch (err) {
+      throw new Error(`Failed to get list element: ${err.message}`);
+    }
+  }
+
+  // Indexes of matching elements (LPOS with RANK / COUNT / MAXLEN)
+  async lPos(params) {
+    const { key, value, rank, count = 1, maxlen, connection, db } = params;
+
+    this.checkKey(key, 'read');
+    checkElement(value);
+
+    if (rank !== undefined && (!Number.isInteger(rank) || rank === 0)) {
+      throw new Error('rank must be a non-zero integer (negative searches from the tail)');
+    }
+
+    if (!Number.isInteger(count) || count < 0 || count > 10000) {
+      throw new Error('count must be between 0 (all matches) and 10000');
+    }
+
+    if (maxlen !== undefined && (!Number.isInteger(maxlen) || maxlen < 0)) {
+      throw new Error('maxlen must be a non-negative integer');
+    }
+
+    const client = await this.connectionManager.getClient(connection, db);
+
+    try {
+      return {
+        key: key,
+        value: value,
+        positions: await client.lPosCount(key, value, count, { RANK: rank, MAXLEN: maxlen })
+      };
+    } catch (err) {
+      throw new Error(`Failed to find list element: ${err.message}`);
+    }
+  }
+}
+
+module.exports = ListOperations;
@@ -1,120 +1,939 @@
-const { createClient } = require('redis');
+const fs = require('fs');
+const { createClient, createCluster } = require('redis');
+
+// Normalize TLS options: `true` or an object of file paths and flags
+const normalizeTlsConfig = (tls) => {
+  if (!tls) {
+    return null;
+  }
+
+  const options = tls === true ? {} : tls;
+  if (typeof options !== 'object') {
+    throw new Error('TLS configuration must be true or an object');
+  }
+
+  if (!!options.certFile !== !!options.keyFile) {
+    throw new Error('TLS client certificate requires both certFile and keyFile');
+  }
+
+  return {
+    caFile: options.caFile || undefined,
+    certFile: options.certFile || undefined,
+    keyFile: options.keyFile || undefined,
+    servername: options.servername || undefined,
+    rejectUnauthorized: options.rejectUnauthorized !== false && options.rejectUnauthorized !== 'false'
+  };
+};
+
+// Parse a redis:// or rediss:// URL into connection fields
+const parseRedisUrl = (value) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (err) {
+    // Do not echo the URL back, it may contain a password
+    throw new Error('Invalid Redis URL');
+  }
+
+  if (url.protocol !== 'redis:' && url.protocol !== 'rediss:') {
+    throw new Error(`Unsupported Redis URL scheme: ${url.protocol}`);
+  }
+
+  const dbPath = url.pathname.replace(/^\//, '');
+
+  return {
+    host: url.hostname ? url.hostname.replace(/^\[|\]$/g, '') : undefined,
+    port: url.port ? parseInt(url.port) : undefined,
+    username: url.username ? decodeURIComponent(url.username) : undefined,
+    password: url.password ? decodeURIComponent(url.password) : undefined,
+    db: dbPath !== '' ? dbPath : undefined,
+    tls: url.protocol === 'rediss:' ? true : undefined
+  };
+};
+
+// Read a password from a file so secrets stay out of editor configuration
+const readPasswordFile = (filePath) => {
+  if (!filePath) {
+    return undefined;
+  }
+
+  try {
+    return fs.readFileSync(filePath, 'utf8').replace(/\r?\n$/, '');
+  } catch (err) {
+    throw new Error(`Failed to read password file '${filePath}': ${err.message}`);
+  }
+};
+
+// Validate a logical database number
+const normalizeDb = (db) => {
+  if (db === undefined || db === null || db === '') {
+    return 0;
+  }
+
+  const value = Number(db);
+  if (!Number.isInteger(value) || value < 0) {
+    throw new Error(`Invalid database number: ${db}`);
+  }
+
+  return value;
+};
+
+// Parse "host:port" (or "[ipv6]:port") into an address object
+const parseHostPort = (value, defaultPort) => {
+  if (value && typeof value === 'object') {
+    return {
+      host: value.host || 'localhost',
+      port: value.port ? parseInt(value.port) : defaultPort
+    };
+  }
+
+  const match = String(value).trim().match(/^\[?([^\]]+?)\]?(?::(\d+))?$/);
+  if (!match) {
+    throw new Error(`Invalid address: ${value}`);
+  }
+
+  return {
+    host: match[1],
+    port: match[2] ? parseInt(match[2]) : defaultPort
+  };
+};
+
+// Normalize Sentinel options: sentinel addresses plus the monitored master name
+const normalizeSentinelConfig = (sentinel) => {
+  if (!sentinel) {
+    return null;
+  }
+
+  const list = Array.isArray(sentinel.sentinels)
+    ? sentinel.sentinels
+    : String(sentinel.sentinels || '').split(',').filter(item => item.trim());
+
+  if (list.length === 0) {
+    throw new Error('Sentinel mode requires at least one sentinel address');
+  }
+
+  if (!sentinel.masterName) {
+    throw new Error('Sentinel mode requires a master name');
+  }
+
+  return {
+    sentinels: list.map(item => parseHostPort(item, 26379)),
+    masterName: sentinel.masterName,
+    username: sentinel.username || undefined,
+    password: sentinel.password || undefined
+  };
+};
+
+// Normalize Cluster options: the seed nodes used to discover the topology
+const normalizeClusterConfig = (cluster) => {
+  if (!cluster) {
+    return null;
+  }
+
+  const list = Array.isArray(cluster.nodes)
+    ? cluster.nodes
+    : String(cluster.nodes || '').split(',').filter(item => item.trim());
+
+  if (list.length === 0) {
+    throw new Error('Cluster mode requires at least one seed node');
+  }
+
+  return {
+    nodes: list.map(item => parseHostPort(item, 6379))
+  };
+};
+
+// Normalize a single connection entry (env or REDIS_CONNECTIONS item)
+// Explicit fields take precedence over the ones embedded in `url`
+const normalizeConnectionConfig = (entry = {}) => {
+  const fromUrl = entry.url ? parseRedisUrl(entry.url) : {};
+
+  const config = {
+    host: entry.host || fromUrl.host || 'localhost',
+    port: entry.port ? parseInt(entry.port) : (fromUrl.port || 6379),
+    username: entry.username || fromUrl.username || undefined,
+    password: entry.password || readPasswordFile(entry.passwordFile) || fromUrl.password || undefined,
+    db: normalizeDb(entry.db !== undefined ? entry.db : fromUrl.db),
+    tls: normalizeTlsConfig(entry.tls || fromUrl.tls),
+    sentinel: normalizeSentinelConfig(entry.sentinel),
+    cluster: normalizeClusterConfig(entry.cluster),
+  };
+
+  if (config.cluster && config.sentinel) {
+    throw new Error('Cluster and Sentinel modes cannot be combined');
+  }
+
+  if (config.cluster && config.db !== 0) {
+    throw new Error('Redis Cluster only supports database 0');
+  }
+
+  return config;
+};
+
+// TLS configuration from environment variables
+const getTlsEnvConfig = () => {
+  const enabled = process.env.TLS === 'true'
+    || !!process.env.TLS_CA_FILE
+    || !!process.env.TLS_CERT_FILE
+    || !!process.env.TLS_KEY_FILE;
+
+  if (!enabled) {
+    return null;
+  }
+
+  return {
+    caFile: process.env.TLS_CA_FILE,
+    certFile: process.env.TLS_CERT_FILE,
+    keyFile: process.env.TLS_KEY_FILE,
+    servername: process.env.TLS_SERVERNAME,
+    rejectUnauthorized: process.env.TLS_REJECT_UNAUTHORIZED !== 'false'
+  };
+};
+
+// Sentinel configuration from environment variables
+const getSentinelEnvConfig = () => {
+  if (!process.env.SENTINELS) {
+    return null;
+  }
+
+  return {
+    sentinels: process.env.SENTINELS,
+    masterName: process.env.SENTINEL_MASTER,
+    username: process.env.SENTINEL_USERNAME,
+    password: process.env.SENTINEL_PASSWORD
+  };
+};
+
+// Cluster configuration from environment variables
+const getClusterEnvConfig = () => {
+  if (!process.env.CLUSTER_NODES) {
+    return null;
+  }
+
+  return {
+    nodes: process.env.CLUSTER_NODES
+  };
+};
 
 // Redis connection configuration
-const getRedisConfig = () => ({
-  host: process.env.HOST || 'localhost',
-  port: process.env.PORT ? parseInt(process.env.PORT) : 6379,
-  password: process.env.PASSWORD || undefined,
+const getRedisConfig = () => normalizeConnectionConfig({
+  url: process.env.REDIS_URL,
+  host: process.env.HOST,
+  port: process.env.PORT,
+  // Not USERNAME: Windows always sets it to the OS login
+  username: process.env.REDIS_USERNAME,
+  password: process.env.PASSWORD,
+  passwordFile: process.env.PASSWORD_FILE,
+  db: process.env.DB,
+  tls: getTlsEnvConfig(),
+  sentinel: getSentinelEnvConfig(),
+  cluster: getClusterEnvConfig()
 });
 
+// Read a TLS file (CA bundle, client cert or key)
+const readTlsFile = (filePath, label) => {
+  try {
+    return fs.readFileSync(filePath);
+  } catch (err) {
+    throw new Error(`Failed to read TLS ${label} file '${filePath}': ${err.message}`);
+  }
+};
+
+// Build node-redis socket options for a TLS connection
+const buildTlsSocketOptions = (tls) => {
+  const options = {
+    tls: true,
+    rejectUnauthorized: tls.rejectUnauthorized
+  };
+
+  if (tls.caFile) {
+    options.ca = readTlsFile(tls.caFile, 'CA');
+  }
+  if (tls.certFile) {
+    options.cert = readTlsFile(tls.certFile, 'certificate');
+    options.key = readTlsFile(tls.keyFile, 'key');
+  }
+  if (tls.servername) {
+    options.servername = tls.servername;
+  }
+
+  return options;
+};
+
+// Read named connection definitions from REDIS_CONNECTIONS or REDIS_CONNECTIONS_FILE
+const readNamedConnections = () => {
+  let raw = process.env.REDIS_CONNECTIONS;
+  let source = 'REDIS_CONNECTIONS';
+
+  if (!raw && process.env.REDIS_CONNECTIONS_FILE) {
+    source = process.env.REDIS_CONNECTIONS_FILE;
+    try {
+      raw = fs.readFileSync(process.env.REDIS_CONNECTIONS_FILE, 'utf8');
+    } catch (err) {
+      throw new Error(`Failed to read ${source}: ${err.message}`);
+    }
+  }
+
+  if (!raw) {
+    return null;
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (err) {
+    throw new Error(`Invalid JSON in ${source}: ${err.message}`);
+  }
+
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error(`${source} must be an object of named connections`);
+  }
+
+  return parsed;
+};
+
+// All connection configurations keyed by name
+const getConnectionConfigs = () => {
+  const named = readNamedConnections();
+  if (!named) {
+    return { default: getRedisConfig() };
+  }
+
+  const configs = {};
+  for (const [name, entry] of Object.entries(named)) {
+    if (!entry || typeof entry !== 'object') {
+      throw new Error(`Connection '${name}' must be an object`);
+    }
+    configs[name] = normalizeConnectionConfig(entry);
+  }
+
+  if (Object.keys(configs).length === 0) {
+    throw new Error('At least one named connection must be defined');
+  }
+
+  return configs;
+};
+
+// Reconnect backoff and circuit breaker settings
+const getReconnectConfig = () => ({
+  baseDelay: parseInt(process.env.RECONNECT_BASE_DELAY_MS) || 100,
+  maxDelay: parseInt(process.env.RECONNECT_MAX_DELAY_MS) || 10000,
+  failureThreshold: parseInt(process.env.CIRCUIT_BREAKER_THRESHOLD) || 5,
+  resetTimeout: parseInt(process.env.CIRCUIT_BREAKER_RESET_MS) || 30000
+});
+
+// Number of lifecycle events kept per connection
+const MAX_CONNECTION_HISTORY = 50;
+
 // Permission control environment variables
 const ALLOW_INSERT = process.env.ALLOW_INSERT !== 'false';
 const ALLOW_UPDATE = process.env.ALLOW_UPDATE !== 'false';
 const ALLOW_DELETE = process.env.ALLOW_DELETE !== 'false';
 const ALLOW_CREATE = process.env.ALLOW_CREATE !== 'false';
 const ALLOW_DROP = process.env.ALLOW_DROP !== 'false';
+// Admin and dangerous raw commands are opt-in
+const ALLOW_ADMIN = process.env.ALLOW_ADMIN === 'true';
+// Ad-hoc Lua scripts (eval_script) are opt-in
+const ALLOW_EVAL = process.env.ALLOW_EVAL === 'true';
 
 class RedisConnectionManager {
-  constructor() {
+  constructor(config = getRedisConfig(), name = 'default') {
+    this.name = name;
+    this.client = null;
+    this.isConnected = false;
+    this.connectionConfig = config;
+    this.resolvedMaster = null;
+    this.sentinelSubscriber = null;
+    this.lastFailover = null;
+    this.dbClients = new Map();
+    this.selectedDb = null;
+
+    // Lifecycle: idle -> connecting -> ready <-> degraded -> open-circuit -> connecting ...
+    this.state = 'idle';
+    this.history = [];
+    this.lastError = null;
+    this.lastReadyAt = null;
+    this.consecutiveFailures = 0;
+    this.circuitRetryAt = null;
+    this.connecting = null;
+    this.reconnectConfig = getReconnectConfig();
+  }
+
+  // Record a lifecycle transition
+  transition(state, event, details = {}) {
+    this.state = state;
+    this.isConnected = state === 'ready';
+    this.history.unshift({
+      at: new Date().toISOString(),
+      event: event,
+      state: state,
+      ...details
+    });
+    if (this.history.length > MAX_CONNECTION_HISTORY) {
+      this.history.splice(MAX_CONNECTION_HISTORY);
+    }
+  }
+
+  // Mark the connection usable and reset the failure counters
+  markReady() {
+    this.consecutiveFailures = 0;
+    this.circuitRetryAt = null;
+    this.lastReadyAt = new Date().toISOString();
+    this.transition('ready', 'ready');
+  }
+
+  // Count a failure; open the circuit once the threshold is reached
+  recordFailure(err) {
+    this.consecutiveFailures += 1;
+    this.lastError = {
+      message: err.message,
+      at: new Date().toISOString()
+    };
+
+    if (this.consecutiveFailures >= this.reconnectConfig.failureThreshold) {
+      this.circuitRetryAt = Date.now() + this.reconnectConfig.resetTimeout;
+      this.transition('open-circuit', 'circuit_opened', {
+        error: err.message,
+        failures: this.consecutiveFailures,
+        retryAt: new Date(this.circuitRetryAt).toISOString()
+      });
+      return;
+    }
+
+    this.transition('degraded', 'failure', {
+      error: err.message,
+      failures: this.consecutiveFailures
+    });
+  }
+
+  // Exponential backoff with jitter, capped at maxDelay
+  getBackoffDelay(attempt) {
+    const { baseDelay, maxDelay } = this.reconnectConfig;
+    const delay = Math.min(baseDelay * 2 ** attempt, maxDelay);
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+  }
+
+  // node-redis reconnect strategy: back off, or give up once the circuit opens
+  reconnectStrategy(retries, cause) {
+    this.recordFailure(cause);
+
+    if (this.state === 'open-circuit') {
+      return new Error(`Circuit opened after ${this.consecutiveFailures} consecutive failures: ${cause.message}`);
+    }
+
+    const delay = this.getBackoffDelay(retries);
+    this.history[0].retryInMs = delay;
+    return delay;
+  }
+
+  // Fail fast while the circuit is open; after the reset timeout one trial connection is let through
+  assertCircuitClosed() {
+    if (this.state !== 'open-circuit') {
+      return;
+    }
+
+    const remaining = this.circuitRetryAt - Date.now();
+    if (remaining > 0) {
+      throw new Error(`Redis connection '${this.name}' is unavailable (circuit open, retry in ${Math.ceil(remaining / 1000)}s). Last error: ${this.lastError.message}`);
+    }
+  }
+
+  // Create a short-lived or subscriber client for a sentinel
+  createSentinelClient(address, reconnectStrategy) {
+    const { sentinel, tls } = this.connectionConfig;
+    const socket = {
+      host: address.host,
+      port: address.port,
+      connectTimeout: 5000,
+      reconnectStrategy: reconnectStrategy
+    };
+    if (tls) {
+      Object.assign(socket, buildTlsSocketOptions(tls));
+    }
+
+    return createClient({
+      socket: socket,
+      username: sentinel.username,
+      password: sentinel.password
+    });
+  }
+
+  // Ask the configured sentinels for the current master address
+  async resolveMaster() {
+    const { sentinels, masterName } = this.connectionConfig.sentinel;
+    const errors = [];
+
+    for (const address of sentinels) {
+      const client = this.createSentinelClient(address, false);
+      client.on('error', () => {});
+
+      try {
+        await client.connect();
+        const reply = await client.sendCommand(['SENTINEL', 'GET-MASTER-ADDR-BY-NAME', masterName]);
+        if (!reply) {
+          throw new Error(`Master '${masterName}' is not monitored`);
+        }
+
+        this.resolvedMaster = {
+          host: reply[0],
+          port: parseInt(reply[1]),
+          sentinel: address,
+          resolvedAt: new Date().toISOString()
+        };
+        return this.resolvedMaster;
+      } catch (err) {
+        errors.push(`${address.host}:${address.port} (${err.message})`);
+      } finally {
+        if (client.isOpen) {
+          await client.disconnect().catch(() => {});
+        }
+      }
+    }
+
+    throw new Error(`Failed to resolve master '${masterName}' from sentinels: ${errors.join(', ')}`);
+  }
+
+  // Subscribe to +switch-master so a failover re-resolves the master
+  async watchFailover() {
+    if (this.sentinelSubscriber || !this.resolvedMaster) {
+      return;
+    }
+
+    const subscriber = this.createSentinelClient(
+      this.resolvedMaster.sentinel,
+      (retries) => Math.min(retries * 500, 5000)
+    );
+    subscriber.on('error', (err) => {
+      console.error(`Redis Sentinel subscriber error [${this.name}]:`, err.message);
+    });
+
+    this.sentinelSubscriber = subscriber;
+    try {
+      await subscriber.connect();
+      await subscriber.subscribe('+switch-master', (message) => this.handleSwitchMaster(message));
+    } catch (err) {
+      this.sentinelSubscriber = null;
+      throw err;
+    }
+  }
+
+  // Handle "<master-name> <old-ip> <old-port> <new-ip> <new-port>"
+  handleSwitchMaster(message) {
+    const [masterName, oldHost, oldPort, newHost, newPort] = message.split(' ');
+    if (masterName !== this.connectionConfig.sentinel.masterName) {
+      return;
+    }
+
+    console.error(`Redis Sentinel failover [${this.name}]: ${oldHost}:${oldPort} -> ${newHost}:${newPort}`);
+    this.lastFailover = {
+      from: { host: oldHost, port: parseInt(oldPort) },
+      to: { host: newHost, port: parseInt(newPort) },
+      at: new Date().toISOString()
+    };
+    this.resolvedMaster = {
+      ...this.resolvedMaster,
+      host: newHost,
+      port: parseInt(newPort),
+      resolvedAt: this.lastFailover.at
+    };
+    this.dropClient();
+  }
+
+  // Discard the current client; the next call re-resolves and reconnects
+  dropClient() {
+    const client = this.client;
     this.client = null;
     this.isConnected = false;
-    this.connectionConfig = getRedisConfig();
+    if (client && client.isOpen) {
+      client.disconnect().catch(() => {});
+    }
+    this.dropDatabaseClients();
   }
 
-  // Create Redis client
+  // Discard the clients opened for other logical databases
+  dropDatabaseClients() {
+    for (const pending of this.dbClients.values()) {
+      pending.then((client) => client.isOpen && client.disconnect()).catch(() => {});
+    }
+    this.dbClients.clear();
+  }
+
+  // Make sure the resolved address really is a master (not a demoted replica)
+  async verifyMasterRole() {
+    const [role] = await this.client.sendCommand(['ROLE']);
+    if (role !== 'master') {
+      const { host, port } = this.resolvedMaster;
+      this.dropClient();
+      throw new Error(`Resolved address ${host}:${port} is a ${role}, not a master`);
+    }
+  }
+
+  // Create a cluster client; commands are routed by key slot
+  createClusterClient() {
+    const config = this.connectionConfig;
+    const socket = {
+      connectTimeout: 60000,
+      reconnectStrategy: (retries, cause) => this.reconnectStrategy(retries, cause)
+    };
+    if (config.tls) {
+      Object.assign(socket, buildTlsSocketOptions(config.tls));
+    }
+
+    return createCluster({
+      rootNodes: config.cluster.nodes.map(node => ({
+        socket: { host: node.host, port: node.port }
+      })),
+      defaults: {
+        socket: socket,
+        username: config.username,
+        password: config.password
+      }
+    });
+  }
+
+  // Create Redis client; concurrent callers share one connection attempt
   async createClient() {
     if (this.client && this.isConnected) {
       return this.client;
     }
 
+    this.assertCircuitClosed();
+
+    if (!this.connecting) {
+      this.connecting = this.connectClient().finally(() => {
+        this.connecting = null;
+      });
+    }
+
+    return this.connecting;
+  }
+
+  // Open a new client connection (standalone, Sentinel-resolved or cluster)
+  async connectClient() {
+    const config = this.connectionConfig;
+    const event = this.state === 'open-circuit' ? 'half_open' : 'connect_attempt';
+
+    // A client that gave up reconnecting is replaced, not reused
+    if (this.client) {
+      this.dropClient();
+    }
+    this.transition('connecting', event);
+
     try {
-      const config = this.connectionConfig;
-      const redisUrl = config.password 
-        ? `redis://:${config.password}@${config.host}:${config.port}`
-        : `redis://${config.host}:${config.port}`;
+      if (config.cluster) {
+        this.client = this.createClusterClient();
+        this.client.on('error', (err) => {
+          console.error(`Redis Cluster Error [${this.name}]:`, err);
+          this.lastError = { message: err.message, at: new Date().toISOString() };
+        });
+
+        await this.client.connect();
+        console.error(`Redis Cluster Ready [${this.name}]`);
+        this.markReady();
+
+        return this.client;
+      }
 
+      const address = config.sentinel
+        ? await this.resolveMaster()
+        : { host: config.host, port: config.port };
+
+      const socket = {
+        host: address.host,
+        port: address.port,
+        connectTimeout: 60000,
+        // Sentinel mode re-resolves the master instead of redialing the same address
+        reconnectStrategy: config.sentinel
+          ? false
+          : (retries, cause) => this.reconnectStrategy(retries, cause)
+      };
+      if (config.tls) {
+        Object.assign(socket, buildTlsSocketOptions(config.tls));
+      }
+
+      // Credentials are passed as options (not in a URL) so ACL usernames
+      // and passwords with special characters need no escaping
       this.client = createClient({
-        url: redisUrl,
-        socket: {
-          connectTimeout: 60000,
-          lazyConnect: true
-        }
+        socket: socket,
+        username: config.username,
+        password: config.password,
+        database: config.db
       });
 
       // Handle connection events
+      const client = this.client;
       this.client.on('error', (err) => {
-        console.error('Redis Client Error:', err);
-        this.isConnected = false;
+        console.error(`Redis Client Error [${this.name}]:`, err);
+        if (this.client !== client) {
+          return;
+        }
+        this.lastError = { message: err.message, at: new Date().toISOString() };
+        if (this.state === 'ready') {
+          this.transition('degraded', 'error', { error: err.message });
+        }
+        // Do not keep retrying a possibly demoted master
+        if (config.sentinel && this.state !== 'connecting') {
+          this.recordFailure(err);
+          this.dropClient();
+        }
       });
 
       this.client.on('connect', () => {
-        console.error('Redis Client Connected');
-        this.isConnected = true;
+        console.error(`Redis Client Connected [${this.name}]`);
       });
 
       this.client.on('ready', () => {
-        console.error('Redis Client Ready');
-        this.isConnected = true;
+        console.error(`Redis Client Ready [${this.name}]`);
+        if (this.client === client) {
+          this.markReady();
+        }
+      });
+
+      this.client.on('reconnecting', () => {
+        if (this.client === client) {
+          this.transition(this.state, 'reconnecting', { failures: this.consecutiveFailures });
+        }
       });
 
       this.client.on('end', () => {
-        console.error('Redis Client Disconnected');
-        this.isConnected = false;
+        console.error(`Redis Client Disconnected [${this.name}]`);
+        if (this.client === client) {
+          this.isConnected = false;
+        }
       });
 
       // Connect to Redis
       await this.client.connect();
+
+      if (config.sentinel) {
+        await this.verifyMasterRole();
+        this.watchFailover().catch((err) => {
+          console.error(`Failed to watch Sentinel failovers [${this.name}]:`, err.message);
+        });
+      }
       
       return this.client;
     } catch (err) {
-      console.error('Failed to create Redis client:', err.message);
+      console.error(`Failed to create Redis client [${this.name}]:`, err.message);
+      // Socket failures were already counted by the reconnect strategy
+      if (this.state !== 'open-circuit') {
+        this.recordFailure(err);
+      }
+      this.dropClient();
       throw new Error(`Redis connection failed: ${err.message}`);
     }
   }
 
-  // Get Redis client (ensure connection)
-  async getClient() {
-    if (!this.client || !this.isConnected) {
+  // Resolve the logical database for a call: explicit, session default, then configured
+  resolveDb(db) {
+    if (db === undefined || db === null) {
+      return this.selectedDb !== null ? this.selectedDb : this.connectionConfig.db;
+    }
+
+    if (!Number.isInteger(db) || db < 0) {
+      throw new Error(`Invalid database number: ${db}`);
+    }
+
+    if (this.connectionConfig.cluster && db !== 0) {
+      throw new Error('Redis Cluster only supports database 0');
+    }
+
+    return db;
+  }
+
+  // Set the session default database used when a call has no `db`
+  selectDatabase(db) {
+    this.selectedDb = this.resolveDb(db);
+    return this.selectedDb;
+  }
+
+  // Get Redis client (ensure connection), optionally for another logical database
+  async getClient(db) {
+    // A degraded client is reconnecting with backoff; commands queue until it is back
+    if (!this.client || (!this.isConnected && this.state !== 'degraded')) {
       await this.createClient();
     }
-    return this.client;
+
+    const database = this.resolveDb(db);
+    if (database === this.connectionConfig.db) {
+      return this.client;
+    }
+
+    return this.getDatabaseClient(database);
+  }
+
+  // Get (or open) a dedicated client bound to another logical database,
+  // so concurrent calls never race on SELECT
+  async getDatabaseClient(db) {
+    let pending = this.dbClients.get(db);
+
+    if (!pending) {
+      const client = this.client.duplicate({ database: db });
+      client.on('error', (err) => {
+        console.error(`Redis Client Error [${this.name}/db${db}]:`, err.message);
+      });
+      pending = client.connect().then(() => client);
+      this.dbClients.set(db, pending);
+    }
+
+    try {
+      return await pending;
+    } catch (err) {
+      this.dbClients.delete(db);
+      throw new Error(`Failed to open database ${db}: ${err.message}`);
+    }
+  }
+
+  // Get one client per master node: the cluster masters, or the single server.
+  // Keyless commands (INFO, DBSIZE, SCAN, ACL ...) must be sent per node.
+  async getNodeClients(db) {
+    const client = await this.getClient(db);
+
+    if (!this.connectionConfig.cluster) {
+      const address = this.resolvedMaster || this.connectionConfig;
+      return [{ address: `${address.host}:${address.port}`, client: client }];
+    }
+
+    return Promise.all(client.masters.map(async (node) => ({
+      address: node.address,
+      client: await client.nodeClient(node)
+    })));
+  }
+
+  // Get a client for server-level (keyless) commands
+  async getNodeClient() {
+    const [node] = await this.getNodeClients(this.connectionConfig.db);
+    return node.client;
   }
 
   // Test connection
   async testConnection() {
     try {
-      const client = await this.getClient();
+      const client = await this.getNodeClient();
       await client.ping();
       return true;
     } catch (err) {
-      console.error('Redis connection test failed:', err.message);
+      console.error(`Redis connection test failed [${this.name}]:`, err.message);
       return false;
     }
   }
 
   // Close connection
   async close() {
+    if (this.sentinelSubscriber) {
+      const subscriber = this.sentinelSubscriber;
+      this.sentinelSubscriber = null;
+      await subscriber.disconnect().catch(() => {});
+    }
+
+    this.dropDatabaseClients();
+
     if (this.client) {
+      const client = this.client;
+      this.client = null;
       try {
-        await this.client.quit();
-        this.isConnected = false;
-        console.error('Redis connection closed');
+        await client.quit();
+        console.error(`Redis connection closed [${this.name}]`);
       } catch (err) {
-        console.error('Failed to close Redis connection:', err.message);
+        console.error(`Failed to close Redis connection [${this.name}]:`, err.message);
       }
+      this.transition('closed', 'closed');
     }
   }
 
+  // Get lifecycle state, retry history and last error
+  getStatus() {
+    return {
+      name: this.name,
+      state: this.state,
+      isConnected: this.isConnected,
+      consecutiveFailures: this.consecutiveFailures,
+      lastError: this.lastError,
+      lastReadyAt: this.lastReadyAt,
+      circuit: {
+        open: this.state === 'open-circuit',
+        retryAt: this.circuitRetryAt ? new Date(this.circuitRetryAt).toISOString() : null,
+        failureThreshold: this.reconnectConfig.failureThreshold,
+        resetTimeoutMs: this.reconnectConfig.resetTimeout
+      },
+      backoff: {
+        baseDelayMs: this.reconnectConfig.baseDelay,
+        maxDelayMs: this.reconnectConfig.maxDelay
+      },
+      history: this.history
+    };
+  }
+
   // Get connection info
   getConnectionInfo() {
+    const address = this.resolvedMaster || this.connectionConfig;
+
     return {
-      host: this.connectionConfig.host,
-      port: this.connectionConfig.port,
+      name: this.name,
+      host: address.host,
+      port: address.port,
+      username: this.connectionConfig.username || 'default',
       hasPassword: !!this.connectionConfig.password,
+      db: this.connectionConfig.db,
+      selectedDb: this.resolveDb(),
+      tls: this.getTlsInfo(),
+      mode: this.getMode(),
+      sentinel: this.getSentinelInfo(),
+      cluster: this.connectionConfig.cluster
+        ? { nodes: this.connectionConfig.cluster.nodes.map(node => `${node.host}:${node.port}`) }
+        : null,
+      state: this.state,
       isConnected: this.isConnected
     };
   }
 
+  // Get connection mode
+  getMode() {
+    if (this.connectionConfig.cluster) {
+      return 'cluster';
+    }
+    return this.connectionConfig.sentinel ? 'sentinel' : 'standalone';
+  }
+
+  // Get Sentinel state: monitored master and the currently resolved address
+  getSentinelInfo() {
+    const sentinel = this.connectionConfig.sentinel;
+    if (!sentinel) {
+      return null;
+    }
+
+    return {
+      masterName: sentinel.masterName,
+      sentinels: sentinel.sentinels.map(address => `${address.host}:${address.port}`),
+      resolvedMaster: this.resolvedMaster
+        ? {
+          host: this.resolvedMaster.host,
+          port: this.resolvedMaster.port,
+          via: `${this.resolvedMaster.sentinel.host}:${this.resolvedMaster.sentinel.port}`,
+          resolvedAt: this.resolvedMaster.resolvedAt
+        }
+        : null,
+      watchingFailover: !!this.sentinelSubscriber,
+      lastFailover: this.lastFailover
+    };
+  }
+
+  // Get TLS state (without exposing file contents)
+  getTlsInfo() {
+    const tls = this.connectionConfig.tls;
+    if (!tls) {
+      return { enabled: false };
+    }
+
+    return {
+      enabled: true,
+      caFile: tls.caFile || null,
+      clientCertificate: !!tls.certFile,
+      servername: tls.servername || this.connectionConfig.host,
+      rejectUnauthorized: tls.rejectUnauthorized
+    };
+  }
+
   // Get permission status
   getPermissions() {
     return {
@@ -122,7 +941,9 @@ class RedisConnectionManager {
       allowUpdate: ALLOW_UPDATE,
       allowDelete: ALLOW_DELETE,
       allowCreate: ALLOW_CREATE,
-      allowDrop: ALLOW_DROP
+      allowDrop: ALLOW_DROP,
+      allowAdmin: ALLOW_ADMIN,
+      allowEval: ALLOW_EVAL
     };
   }
 }
@@ -130,9 +951,12 @@ class RedisConnectionManager {
 module.exports = {
   RedisConnectionManager,
   getRedisConfig,
+  getConnectionConfigs,
   ALLOW_INSERT,
   ALLOW_UPDATE,
   ALLOW_DELETE,
   ALLOW_CREATE,
-  ALLOW_DROP
+  ALLOW_DROP,
+  ALLOW_ADMIN,
+  ALLOW_EVAL
 };
@@ -1,4 +1,80 @@
-const { RedisConnectionManager } = require('./redis-connection');
+// Parse `INFO keyspace` output into { db0: { keys, expires, avg_ttl }, ... }
+const parseKeyspace = (info) => {
+  const keyspaceInfo = {};
+  const infoLines = info.split('\r\n');
+
+  for (const line of infoLines) {
+    if (line && line.startsWith('db')) {
+      const [dbName, stats] = line.split(':');
+      if (dbName && stats) {
+        const statPairs = stats.split(',');
+        const dbStats = {};
+        for (const pair of statPairs) {
+          const [key, value] = pair.split('=');
+          if (key && value !== undefined) {
+            dbStats[key] = parseInt(value) || value;
+          }
+        }
+        keyspaceInfo[dbName] = dbStats;
+      }
+    }
+  }
+
+  return keyspaceInfo;
+};
+
+// Parse `key:value` lines (CLUSTER INFO, INFO sections)
+const parseInfoLines = (info) => {
+  const result = {};
+
+  for (const line of info.split('\r\n')) {
+    const separator = line.indexOf(':');
+    if (line && !line.startsWith('#') && separator > 0) {
+      result[line.slice(0, separator)] = line.slice(separator + 1);
+    }
+  }
+
+  return result;
+};
+
+// Parse one line of `CLUSTER NODES`
+const parseClusterNode = (line) => {
+  const [id, address, flags, masterId, pingSent, pongReceived, configEpoch, linkState, ...slots] = line.split(' ');
+  const flagList = flags.split(',');
+
+  let health = 'ok';
+  if (flagList.includes('fail')) {
+    health = 'fail';
+  } else if (flagList.includes('fail?')) {
+    health = 'pfail';
+  } else if (linkState !== 'connected') {
+    health = 'disconnected';
+  }
+
+  // Slot entries are "5461", "0-5460", or "[slot->-node]" while migrating
+  const ranges = slots.filter(slot => !slot.startsWith('['));
+  const slotCount = ranges.reduce((count, range) => {
+    const [start, end = start] = range.split('-').map(Number);
+    return count + (end - start + 1);
+  }, 0);
+
+  return {
+    id: id,
+    address: address.split('@')[0],
+    role: flagList.includes('master') ? 'master' : 'replica',
+    myself: flagList.includes('myself'),
+    flags: flagList,
+    masterId: masterId === '-' ? null : masterId,
+    pingSent: parseInt(pingSent),
+    pongReceived: parseInt(pongReceived),
+    configEpoch: parseInt(configEpoch),
+    linkState: linkState,
+    health: health,
+    slots: ranges,
+    slotCount: slotCount,
+    migratingSlots: slots.filter(slot => slot.startsWith('['))
+  };
+};
 
 class RedisInfo {
   constructor(connectionManager) {
@@ -6,13 +82,17 @@ class RedisInfo {
   }
 
   // Get Redis server information
-  async getRedisInfo() {
-    const client = await this.connectionManager.getClient();
+  async getRedisInfo(connection) {
+    const nodes = await this.connectionManager.getNodeClients(connection);
+    const client = nodes[0].client;
     
     try {
       const info = await client.info();
-      const dbSize = await client.dbSize();
-      const connectionInfo = this.connectionManager.getConnectionInfo();
+      let dbSize = 0;
+      for (const node of nodes) {
+        dbSize += await node.client.dbSize();
+      }
+      const connectionInfo = this.connectionManager.getConnectionInfo(connection);
       const permissions = this.connectionManager.getPermissions();
 
       // Parse Redis INFO command output
@@ -37,6 +117,7 @@ class RedisInfo {
         server: {
           version: serverInfo.redis_version,
           mode: serverInfo.redis_mode,
+          role: serverInfo.role,
           os: serverInfo.os,
           archBits: serverInfo.arch_bits,
           uptime: serverInfo.uptime_in_seconds,
@@ -54,47 +135,56 @@ class RedisInfo {
     }
   }
 
-  // Get database statistics
-  async getDatabaseStats() {
-    const client = await this.connectionManager.getClient();
+  // Get database statistics, aggregated over every master node
+  async getDatabaseStats(connection) {
+    const nodes = await this.connectionManager.getNodeClients(connection);
     
     try {
-      const dbSize = await client.dbSize();
-      const info = await client.info('keyspace');
-      
-      // Parse keyspace information
+      let totalKeys = 0;
       const keyspaceInfo = {};
-      const infoLines = info.split('\r\n');
-      
-      for (const line of infoLines) {
-        if (line && line.startsWith('db')) {
-          const [dbName, stats] = line.split(':');
-          if (dbName && stats) {
-            const statPairs = stats.split(',');
-            const dbStats = {};
-            for (const pair of statPairs) {
-              const [key, value] = pair.split('=');
-              if (key && value !== undefined) {
-                dbStats[key] = parseInt(value) || value;
-              }
-            }
-            keyspaceInfo[dbName] = dbStats;
+      const nodeStats = [];
+
+      for (const node of nodes) {
+        const dbSize = await node.client.dbSize();
+        const databases = parseKeyspace(await node.client.info('keyspace'));
+
+        totalKeys += dbSize;
+        for (const [dbName, stats] of Object.entries(databases)) {
+          const total = keyspaceInfo[dbName] || (keyspaceInfo[dbName] = { keys: 0, expires: 0 });
+          total.keys += stats.keys || 0;
+          total.expires += stats.expires || 0;
+          if (nodes.length === 1) {
+            Object.assign(total, stats);
           }
         }
+
+        nodeStats.push({
+          address: node.address,
+          totalKeys: dbSize,
+          databases: databases
+        });
       }
 
-      return {
-        totalKeys: dbSize,
+      const connectionInfo = this.connectionManager.getConnectionInfo(connection);
+      const result = {
+        totalKeys: totalKeys,
+        selectedDb: connectionInfo.selectedDb,
         databases: keyspaceInfo
       };
+
+      if (connectionInfo.mode === 'cluster') {
+        result.nodes = nodeStats;
+      }
+
+      return result;
     } catch (err) {
       throw new Error(`Failed to get database stats: ${err.message}`);
     }
   }
 
   // Get memory usage information
-  async getMemoryInfo() {
-    const client = await this.connectionManager.getClient();
+  async getMemoryInfo(connection) {
+    const client = await this.connectionManager.getNodeClient(connection);
     
     try {
       const info = await client.info('memory');
@@ -127,8 +217,8 @@ class RedisInfo {
   }
 
   // Get client information
-  async getClientInfo() {
-    const client = await this.connectionManager.getClient();
+  async getClientInfo(connection) {
+    const client = await this.connectionManager.getNodeClient(connection);
     
     try {
       const clientList = await client.clientList();
@@ -153,14 +243,85 @@ class RedisInfo {
     }
   }
 
+  // Get the authenticated ACL user and its rules (ACL WHOAMI / ACL GETUSER)
+  async getAclInfo(connection) {
+    const client = await this.connectionManager.getNodeClient(connection);
+
+    let user;
+    try {
+      user = await client.aclWhoAmI();
+    } catch (err) {
+      return {
+        available: false,
+        error: err.message
+      };
+    }
+
+    try {
+      const { passwords, ...rules } = await client.aclGetUser(user);
+      return {
+        available: true,
+        user: user,
+        rules: rules
+      };
+    } catch (err) {
+      // ACL GETUSER itself may be refused for restricted users
+      return {
+        available: true,
+        user: user,
+        rules: null,
+        error: err.message
+      };
+    }
+  }
+
+  // Get cluster state, slot coverage and per-node health
+  async getClusterInfo(connection) {
+    if (this.connectionManager.getConnectionInfo(connection).mode !== 'cluster') {
+      throw new Error('Connection is not in cluster mode');
+    }
+
+    const client = await this.connectionManager.getNodeClient(connection);
+
+    try {
+      const info = parseInfoLines(await client.sendCommand(['CLUSTER', 'INFO']));
+      const nodesOutput = await client.sendCommand(['CLUSTER', 'NODES']);
+      const nodes = nodesOutput.split('\n').filter(line => line.trim()).map(parseClusterNode);
+
+      return {
+        cluster: {
+          state: info.cluster_state,
+          slotsAssigned: parseInt(info.cluster_slots_assigned),
+          slotsOk: parseInt(info.cluster_slots_ok),
+          slotsPfail: parseInt(info.cluster_slots_pfail),
+          slotsFail: parseInt(info.cluster_slots_fail),
+          knownNodes: parseInt(info.cluster_known_nodes),
+          size: parseInt(info.cluster_size),
+          currentEpoch: parseInt(info.cluster_current_epoch)
+        },
+        nodes: nodes,
+        unhealthyNodes: nodes.filter(node => node.health !== 'ok').map(node => node.address)
+      };
+    } catch (err) {
+      throw new Error(`Failed to get cluster info: ${err.message}`);
+    }
+  }
+
   // Test Redis connection
-  async testConnection() {
+  async testConnection(connection) {
     try {
-      const isConnected = await this.connectionManager.testConnection();
-      const connectionInfo = this.connectionManager.getConnectionInfo();
+      const isConnected = await this.connectionManager.testConnection(connection);
+      const connectionInfo = this.connectionManager.getConnectionInfo(connection);
+      let role = null;
+
+      if (isConnected) {
+        const client = await this.connectionManager.getNodeClient(connection);
+        [role] = await client.sendCommand(['ROLE']);
+      }
       
       return {
         connected: isConnected,
+        role: role,
         connection: connectionInfo,
         timestamp: new Date().toISOString()
       };
@@ -0,0 +1,267 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { ALLOW_INSERT, ALLOW_UPDATE, ALLOW_DELETE, ALLOW_CREATE, ALLOW_DROP, ALLOW_ADMIN, ALLOW_EVAL } = require('./redis-connection');
+const { KeyPolicy } = require('./key-policy');
+
+// Permission category a library script declares, whether it is granted and the key policy
+// operations its keys are checked against (a script declaring read needs no ALLOW_* flag)
+const SCRIPT_PERMISSIONS = {
+  read: { granted: true, operations: ['read'] },
+  insert: { granted: ALLOW_INSERT, operations: ['insert'] },
+  update: { granted: ALLOW_UPDATE, operations: ['update'] },
+  delete: { granted: ALLOW_DELETE, operations: ['delete'] },
+  create: { granted: ALLOW_CREATE, operations: ['create'] },
+  drop: { granted: ALLOW_DROP, operations: ['drop'] },
+  admin: { granted: ALLOW_ADMIN, operations: ['read', 'insert', 'update', 'delete'] }
+};
+
+// Types of declared script arguments; Lua receives every argument as a string
+const ARG_TYPES = ['string', 'number', 'integer', 'boolean'];
+
+// Prefix of the tool name of a library script
+const TOOL_PREFIX = 'script_';
+
+// Reply of a server that does not know a command, e.g. EVALSHA_RO before Redis 7.0
+const isUnknownCommand = err => /^ERR unknown command/i.test(String(err.message));
+
+// Directory of the script library (SCRIPTS_DIR)
+const getScriptsDir = () => process.env.SCRIPTS_DIR || null;
+
+// Parse the header of a library script: the leading `--` comment lines, e.g.
+//   -- @description Reset a counter if it is below a threshold
+//   -- @permission update
+//   -- @key counter Counter key
+//   -- @arg threshold integer Reset only below this value
+// Keys become KEYS and arguments ARGV, in the order they are declared
+const parseScript = (file, source) => {
+  const name = path.basename(file, '.lua').replace(/-/g, '_');
+  if (!/^[A-Za-z0-9_]+$/.test(name)) {
+    throw new Error(`Invalid script ${file}: the file name may only contain letters, digits, - and _`);
+  }
+
+  const script = {
+    name: name,
+    tool: `${TOOL_PREFIX}${name}`,
+    file: file,
+    description: [],
+    permission: null,
+    keys: [],
+    args: [],
+    source: source,
+    sha: crypto.createHash('sha1').update(source).digest('hex')
+  };
+
+  for (const line of source.split(/\r?\n/)) {
+    const trimmed = line.trim();
+    if (!trimmed) {
+      continue;
+    }
+    if (!trimmed.startsWith('--')) {
+      break;
+    }
+
+    const match = trimmed.replace(/^--+\s*/, '').match(/^@(\w+)\s*(.*)$/);
+    if (!match) {
+      continue;
+    }
+
+    const [, annotation, value] = match;
+    const [word, ...rest] = value.split(/\s+/);
+    switch (annotation) {
+      case 'description':
+        script.description.push(value);
+        break;
+      case 'permission':
+        if (!SCRIPT_PERMISSIONS[word]) {
+          throw new Error(`Invalid script ${file}: @permission must be one of ${Object.keys(SCRIPT_PERMISSIONS).join(', ')}`);
+        }
+        script.permission = word;
+        break;
+      case 'key':
+        if (!word) {
+          throw new Error(`Invalid script ${file}: @key needs a name`);
+        }
+        script.keys.push({ name: word, description: rest.join(' ') });
+        break;
+      case 'arg': {
+        const [type, ...description] = rest;
+        if (!word || !ARG_TYPES.includes(type)) {
+          throw new Error(`Invalid script ${file}: @arg needs a name and a type (${ARG_TYPES.join(', ')})`);
+        }
+        script.args.push({ name: word, type: type, description: description.join(' ') });
+        break;
+      }
+      default:
+        throw new Error(`Invalid script ${file}: unknown annotation @${annotation}`);
+    }
+  }
+
+  if (script.description.length === 0 || !script.permission) {
+    throw new Error(`Invalid script ${file}: the header must declare @description and @permission`);
+  }
+
+  // connection and db are arguments of every script tool
+  const names = ['connection', 'db'].concat(script.keys.concat(script.args).map(item => item.name));
+  const duplicate = names.find((item, i) => names.indexOf(item) !== i);
+  if (duplicate) {
+    throw new Error(`Invalid script ${file}: ${duplicate} is declared twice or reserved`);
+  }
+
+  script.description = script.description.join(' ');
+  return script;
+};
+
+// Load every .lua file of the script library, in file name order. A file that cannot be read
+// or parsed, or whose tool name an earlier file already has (foo-bar.lua and foo_bar.lua), is
+// skipped and reported, so one bad script does not stop the server
+const loadScripts = (dir = getScriptsDir()) => {
+  if (!dir) {
+    return [];
+  }
+
+  let files;
+  try {
+    files = fs.readdirSync(dir).filter(file => file.endsWith('.lua')).sort();
+  } catch (err) {
+    throw new Error(`Failed to read SCRIPTS_DIR ${dir}: ${err.message}`);
+  }
+
+  const scripts = [];
+  for (const file of files) {
+    try {
+      const script = parseScript(file, fs.readFileSync(path.join(dir, file), 'utf8'));
+      const earlier = scripts.find(item => item.tool === script.tool);
+      if (earlier) {
+        throw new Error(`its tool name ${script.tool} is already used by ${earlier.file}`);
+      }
+      scripts.push(script);
+    } catch (err) {
+      console.error(`Skipping script ${file}: ${err.message}`);
+    }
+  }
+  return scripts;
+};
+
+// Library scripts from SCRIPTS_DIR, run by SHA (EVALSHA), and ad-hoc scripts (EVAL) behind ALLOW_EVAL
+class ScriptOperations {
+  constructor(connectionManager, keyPolicy = new KeyPolicy(), scripts = loadScripts()) {
+    this.connectionManager = connectionManager;
+    this.keyPolicy = keyPolicy;
+    this.scripts = scripts;
+    // Connections whose server has no EVALSHA_RO / EVAL_RO
+    this.withoutReadOnlyScripts = new Set();
+  }
+
+  // Validate the keys of a script and check them against the key policy
+  checkKeys(keys, operations) {
+    if (!Array.isArray(keys) || keys.some(key => !key || typeof key !== 'string')) {
+      throw new Error('keys must be an array of key names');
+    }
+    for (const key of keys) {
+      operations.forEach(operation => this.keyPolicy.assert(operation, key));
+    }
+  }
+
+  // EVALSHA a script; on NOSCRIPT (new server, restart, SCRIPT FLUSH) load it and retry.
+  // A cluster routes by the first key, so there EVAL sends and caches it on the right node.
+  // Scripts declaring read run with EVALSHA_RO / EVAL_RO, so Redis rejects any write; a server
+  // without them (before Redis 7.0) runs read scripts with EVALSHA / EVAL
+  async evalSha(client, cluster, script, options, connection) {
+    const name = this.connectionManager.resolveName(connection);
+    const readOnly = script.permission === 'read' && !this.withoutReadOnlyScripts.has(name);
+
+    try {
+      return readOnly ? await client.evalShaRo(script.sha, options) : await client.evalSha(script.sha, options);
+    } catch (err) {
+      if (readOnly && isUnknownCommand(err)) {
+        this.withoutReadOnlyScripts.add(name);
+        return this.evalSha(client, cluster, script, options, connection);
+      }
+      if (!String(err.message).startsWith('NOSCRIPT')) {
+        throw err;
+      }
+    }
+
+    if (cluster) {
+      return readOnly ? client.evalRo(script.source, options) : client.eval(script.source, options);
+    }
+    await client.scriptLoad(script.source);
+    return readOnly ? client.evalShaRo(script.sha, options) : client.evalSha(script.sha, options);
+  }
+
+  // Run a library script with its declared keys and arguments
+  async runScript(script, params) {
+    const permission = SCRIPT_PERMISSIONS[script.permission];
+    if (!permission.granted) {
+      throw new Error(`Script ${script.name} requires ${script.permission} permission`);
+    }
+
+    const { connection, db } = params;
+
+    const keys = script.keys.map(key => params[key.name]);
+    this.checkKeys(keys, permission.operations);
+
+    const args = script.args.map((arg) => {
+      const value = params[arg.name];
+      if (value === undefined || value === null) {
+        throw new Error(`Missing ${arg.name} parameter`);
+      }
+      return String(value);
+    });
+
+    const client = await this.connectionManager.getClient(connection, db);
+    const cluster = this.connectionManager.getConnectionInfo(connection).mode === 'cluster';
+
+    try {
+      return {
+        script: script.name,
+        keys: keys,
+        result: await this.evalSha(client, cluster, script, { keys: keys, arguments: args }, connection)
+      };
+    } catch (err) {
+      throw new Error(`Failed to run script ${script.name}: ${err.message}`);
+    }
+  }
+
+  // Run an ad-hoc script (EVAL). A script may read and write any of its keys, so writes need
+  // ALLOW_INSERT, ALLOW_UPDATE and ALLOW_DELETE; readOnly runs it with EVAL_RO instead
+  async evalScript(params) {
+    if (!ALLOW_EVAL) {
+      throw new Error('Ad-hoc scripts are not allowed; set ALLOW_EVAL=true to enable eval_script');
+    }
+
+    const { script, keys = [], args = [], readOnly = false, connection, db } = params;
+
+    if (!script || typeof script !== 'string') {
+      throw new Error('Missing or invalid script parameter');
+    }
+
+    if (!readOnly && (!ALLOW_INSERT || !ALLOW_UPDATE || !ALLOW_DELETE)) {
+      throw new Error('Scripts that write require ALLOW_INSERT, ALLOW_UPDATE and ALLOW_DELETE; use readOnly for scripts that only read');
+    }
+
+    this.checkKeys(keys, readOnly ? ['read'] : ['read', 'insert', 'update', 'delete']);
+
+    if (!Array.isArray(args) || args.some(arg => typeof arg !== 'string' && typeof arg !== 'number')) {
+      throw new Error('args must be an array of strings or numbers');
+    }
+
+    const client = await this.connectionManager.getClient(connection, db);
+    const options = { keys: keys, arguments: args.map(String) };
+
+    try {
+      return {
+        keys: keys,
+        readOnly: readOnly,
+        result: readOnly ? await client.evalRo(script, options) : await client.eval(script, options)
+      };
+    } catch (err) {
+      throw new Error(`Failed to run script: ${err.message}`);
+    }
+  }
+}
+
+module.exports = ScriptOperations;
+module.exports.parseScript = parseScript;
+module.exports.loadScripts = loadScripts;
@@ -0,0 +1,280 @@
+const { ALLOW_INSERT, ALLOW_DELETE } = require('./redis-connection');
+const { KeyPolicy } = require('./key-policy');
+
+// Validate the result cap of set reads
+const normalizeLimit = (limit) => {
+  if (!Number.isInteger(limit) || limit < 1 || limit > 10000) {
+    throw new Error('Limit must be between 1 and 10000');
+  }
+  return limit;
+};
+
+// Set algebra operations: node-redis command and description
+const SET_ALGEBRA = {
+  inter: { command: 'sInter', script: 'SINTER', name: 'intersection' },
+  union: { command: 'sUnion', script: 'SUNION', name: 'union' },
+  diff: { command: 'sDiff', script: 'SDIFF', name: 'difference' }
+};
+
+// Run a set algebra command on the server and return its size and at most a limit of its
+// members, so a large result is never sent whole.
+// KEYS: the source keys; ARGV: command, limit, reply items per member, options after the keys
+const CAPPED_ALGEBRA_SCRIPT = `
+local command = {ARGV[1]}
+if ARGV[1] == 'ZINTER' or ARGV[1] == 'ZUNION' then
+  command[#command + 1] = #KEYS
+end
+for _, key in ipairs(KEYS) do
+  command[#command + 1] = key
+end
+for i = 4, #ARGV do
+  command[#command + 1] = ARGV[i]
+end
+local result = redis.call(unpack(command))
+local step = tonumber(ARGV[3])
+local items = {}
+for i = 1, math.min(tonumber(ARGV[2]) * step, #result) do
+  items[i] = result[i]
+end
+return {#result / step, items}
+`;
+
+// Upper bound on the source keys of one algebra call: the script passes them to redis.call
+// with unpack, which is limited by the Lua stack
+const MAX_ALGEBRA_KEYS = 1000;
+
+// Validate the source keys of an algebra call (their key policy is checked by the caller)
+const checkAlgebraKeys = (keys) => {
+  if (!Array.isArray(keys) || keys.length === 0 || keys.length > MAX_ALGEBRA_KEYS) {
+    throw new Error(`keys must be an array of 1 to ${MAX_ALGEBRA_KEYS} keys`);
+  }
+};
+
+// Run a set algebra command capped at limit members; withScores replies are
+// member/score pairs (ZINTER / ZUNION ... WITHSCORES). An ACL user without EVAL rights
+// (e.g. +@read only) gets the whole reply of native(), capped here instead
+const capMembers = async (client, command, keys, limit, { options = [], withScores = false, native } = {}) => {
+  let total;
+  let items;
+  try {
+    [total, items] = await client.eval(CAPPED_ALGEBRA_SCRIPT, {
+      keys: keys,
+      arguments: [command, String(limit), withScores ? '2' : '1', ...options]
+    });
+  } catch (err) {
+    if (!String(err.message).startsWith('NOPERM')) {
+      throw err;
+    }
+    const reply = await native();
+    const step = withScores ? 2 : 1;
+    total = reply.length / step;
+    items = reply.slice(0, limit * step);
+  }
+
+  return {
+    items: items,
+    total: total,
+    truncated: total > limit
+  };
+};
+
+// Validate the members of a set write
+const normalizeMembers = (members) => {
+  if (!Array.isArray(members) || members.length === 0 || members.length > 10000 || members.some(member => typeof member !== 'string')) {
+    throw new Error('members must be an array of 1 to 10000 strings');
+  }
+  return members;
+};
+
+// Set algebra (SINTER / SUNION / SDIFF), set membership reads and member writes
+class SetOperations {
+  constructor(connectionManager, keyPolicy = new KeyPolicy()) {
+    this.connectionManager = connectionManager;
+    this.keyPolicy = keyPolicy;
+  }
+
+  // Validate the key parameter and check it against the key policy
+  checkKey(key, operation) {
+    if (!key || typeof key !== 'string') {
+      throw new Error('Missing or invalid key parameter');
+    }
+    this.keyPolicy.assert(operation, key);
+  }
+
+  // Validate the source keys of a multi-key command and an optional store destination
+  checkKeys(keys, store) {
+    checkAlgebraKeys(keys);
+    keys.forEach(key => this.checkKey(key, 'read'));
+
+    if (store !== undefined) {
+      if (!ALLOW_INSERT) {
+        throw new Error('Insert operations are not allowed; store requires ALLOW_INSERT');
+      }
+      this.checkKey(store, 'insert');
+    }
+  }
+
+  // Intersection, union or difference of sets, returned or stored in a destination key
+  async combine(params) {
+    const { operation, keys, store, limit = 1000, connection, db } = params;
+
+    const algebra = SET_ALGEBRA[operation];
+    if (!algebra) {
+      throw new Error("operation must be 'inter', 'union' or 'diff'");
+    }
+
+    this.checkKeys(keys, store);
+    normalizeLimit(limit);
+
+    const client = await this.connectionManager.getClient(connection, db);
+
+    try {
+      if (store !== undefined) {
+        return {
+          keys: keys,
+          store: store,
+          size: await client[`${algebra.command}Store`](store, keys)
+        };
+      }
+
+      const { items, total, truncated } = await capMembers(client, algebra.script, keys, limit, {
+        native: () => client[algebra.command](keys)
+      });
+      return {
+        keys: keys,
+        members: items,
+        total: total,
+        truncated: truncated
+      };
+    } catch (err) {
+      throw new Error(`Failed to compute set ${algebra.name}: ${err.message}`);
+    }
+  }
+
+  // Check membership of one member (SISMEMBER) or several (SMISMEMBER)
+  async isMember(params) {
+    const { key, members, connection, db } = params;
+
+    this.checkKey(key, 'read');
+
+    if (!Array.isArray(members) || members.length === 0 || members.length > 10000) {
+      throw new Error('members must be an array of 1 to 10000 members');
+    }
+
+    const client = await this.connectionManager.getClient(connection, db);
+
+    try {
+      const replies = members.length === 1
+        ? [await client.sIsMember(key, String(members[0]))]
+        : await client.smIsMember(key, members.map(String));
+
+      const result = {};
+      members.forEach((member, i) => {
+        result[member] = replies[i];
+      });
+
+      return {
+        key: key,
+        members: result
+      };
+    } catch (err) {
+      throw new Error(`Failed to check set membership: ${err.message}`);
+    }
+  }
+
+  // Random members (SRANDMEMBER); a negative count may return the same member more than once
+  async randomMembers(params) {
+    const { key, count = 1, connection, db } = params;
+
+    this.checkKey(key, 'read');
+
+    if (!Number.isInteger(count) || count === 0 || Math.abs(count) > 10000) {
+      throw new Error('count must be a non-zero integer between -10000 and 10000');
+    }
+
+    const client = await this.connectionManager.getClient(connection, db);
+
+    try {
+      return {
+        key: key,
+        members: await client.sRandMemberCount(key, count)
+      };
+    } catch (err) {
+      throw new Error(`Failed to get random set members: ${err.message}`);
+    }
+  }
+
+  // Add members (SADD)
+  async add(params) {
+    if (!ALLOW_INSERT) {
+      throw new Error('Insert operations are not allowed');
+    }
+
+    const { key, members, connection, db } = params;
+
+    this.checkKey(key, 'insert');
+    normalizeMembers(members);
+
+    const client = await this.connectionManager.getClient(connection, db);
+
+    try {
+      return {
+        key: key,
+        added: await client.sAdd(key, members),
+        size: await client.sCard(key)
+      };
+    } catch (err) {
+      throw new Error(`Failed to add set members: ${err.message}`);
+    }
+  }
+
+  // Remove members (SREM)
+  async remove(params) {
+    if (!ALLOW_DELETE) {
+      throw new Error('Delete operations are not allowed');
+    }
+
+    const { key, members, connection, db } = params;
+
+    this.checkKey(key, 'delete');
+    normalizeMembers(members);
+
+    const client = await this.connectionManager.getClient(connection, db);
+
+    try {
+      return {
+        key: key,
+        removed: await client.sRem(key, members),
+        size: await client.sCard(key)
+      };
+    } catch (err) {
+      throw new Error(`Failed to remove set members: ${err.message}`);
+    }
+  }
+
+  // Number of members (SCARD)
+  async cardinality(params) {
+    const { key, connection, db } = params;
+
+    this.checkKey(key, 'read');
+
+    const client = await this.connectionManager.getClient(connection, db);
+
+    try {
+      return {
+        key: key,
+        size: await client.sCard(key)
+      };
+    } catch (err) {
+      throw new Error(`Failed to get set size: ${err.message}`);
+    }
+  }
+}
+
+module.exports = {
+  SetOperations,
+  normalizeLimit,
+  normalizeMembers,
+  checkAlgebraKeys,
+  capMembers
+};
@@ -0,0 +1,361 @@
+const { ALLOW_INSERT, ALLOW_DELETE } = require('./redis-connection');
+const { KeyPolicy } = require('./key-policy');
+
+// Convert a flat [field, value, ...] reply into an object with camelCase fields
+const pairsToObject = (reply) => {
+  const result = {};
+  for (let i = 0; i < reply.length; i += 2) {
+    const field = String(reply[i]).replace(/-([a-z])/g, (match, char) => char.toUpperCase());
+    result[field] = reply[i + 1];
+  }
+  return result;
+};
+
+// Stream field values must be strings; other values are stored as JSON
+const normalizeFields = (fields) => {
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields) || Object.keys(fields).length === 0) {
+    throw new Error('fields must be a non-empty object of field/value pairs');
+  }
+
+  const message = {};
+  for (const [field, value] of Object.entries(fields)) {
+    message[field] = typeof value === 'string' ? value : JSON.stringify(value);
+  }
+  return message;
+};
+
+// Build the MAXLEN / MINID trimming options shared by xadd and xtrim
+const normalizeTrim = ({ maxlen, minid, approximate = false }) => {
+  if (maxlen !== undefined && minid !== undefined) {
+    throw new Error('Use either maxlen or minid, not both');
+  }
+
+  if (maxlen !== undefined) {
+    if (!Number.isInteger(maxlen) || maxlen < 0) {
+      throw new Error('maxlen must be a non-negative integer');
+    }
+    return { strategy: 'MAXLEN', threshold: maxlen, strategyModifier: approximate ? '~' : '=' };
+  }
+
+  if (minid !== undefined) {
+    if (typeof minid !== 'string' || !minid) {
+      throw new Error('minid must be a stream ID');
+    }
+    return { strategy: 'MINID', threshold: minid, strategyModifier: approximate ? '~' : '=' };
+  }
+
+  return null;
+};
+
+// Validate the COUNT of range reads
+const normalizeCount = (count) => {
+  if (!Number.isInteger(count) || count < 1 || count > 10000) {
+    throw new Error('count must be between 1 and 10000');
+  }
+  return count;
+};
+
+class StreamOperations {
+  constructor(connectionManager, keyPolicy = new KeyPolicy()) {
+    this.connectionManager = connectionManager;
+    this.keyPolicy = keyPolicy;
+  }
+
+  // Validate the key parameter and check it against the key policy
+  checkKey(key, operation) {
+    if (!key || typeof key !== 'string') {
+      throw new Error('Missing or invalid key parameter');
+    }
+    this.keyPolicy.assert(operation, key);
+  }
+
+  // Send a raw command about one key (the cluster client routes by key)
+  async sendKeyCommand(connection, db, key, args) {
+    const client = await this.connectionManager.getClient(connection, db);
+    if (this.connectionManager.getConnectionInfo(connection).mode === 'cluster') {
+      return client.sendCommand(key, true, args);
+    }
+    return client.sendCommand(args);
+  }
+
+  // Append an entry (XADD), optionally trimming with MAXLEN / MINID
+  async xAdd(params) {
+    if (!ALLOW_INSERT) {
+      throw new Error('Insert operations are not allowed');
+    }
+
+    const { key, id = '*', fields, maxlen, minid, approximate, connection, db } = params;
+
+    this.checkKey(key, 'insert');
+
+    const message = normalizeFields(fields);
+    const trim = normalizeTrim({ maxlen, minid, approximate });
+
+    // Trimming deletes entries, as xtrim does
+    if (trim) {
+      if (!ALLOW_DELETE) {
+        throw new Error('Trimming with maxlen or minid requires delete permission');
+      }
+      this.checkKey(key, 'delete');
+    }
+
+    const client = await this.connectionManager.getClient(connection, db);
+
+    try {
+      const entryId = await client.xAdd(key, id, message, trim ? { TRIM: trim } : undefined);
+
+      return {
+        key: key,
+        id: entryId,
+        length: await client.xLen(key)
+      };
+    } catch (err) {
+      throw new Error(`Failed to add stream entry: ${err.message}`);
+    }
+  }
+
+  // Entries between two IDs (XRANGE, or XREVRANGE for newest first)
+  async xRange(params) {
+    const { key, start = '-', end = '+', count = 100, reverse = false, connection, db } = params;
+
+    this.checkKey(key, 'read');
+    normalizeCount(count);
+
+    const client = await this.connectionManager.getClient(connection, db);
+
+    try {
+      const entries = reverse
+        ? await client.xRevRange(key, end, start, { COUNT: count })
+        : await client.xRange(key, start, end, { COUNT: count });
+
+      return {
+        key: key,
+        start: start,
+        end: end,
+        reverse: reverse,
+        count: entries.length,
+        entries: entries,
+        // Continue from "(" + nextId as start (or end when reversed); "(" makes the bound exclusive
+        nextId: entries.length === count ? entries[entries.length - 1].id : null
+      };
+    } catch (err) {
+      throw new Error(`Failed to read stream range: ${err.message}`);
+    }
+  }
+
+  // Entries after the given IDs of one or more streams (non-blocking XREAD)
+  async xRead(params) {
+    const { streams, count = 100, connection, db } = params;
+
+    if (!Array.isArray(streams) || streams.length === 0) {
+      throw new Error('streams must be a non-empty array of { key, id }');
+    }
+
+    for (const stream of streams) {
+      this.checkKey(stream && stream.key, 'read');
+    }
+    normalizeCount(count);
+
+    const client = await this.connectionManager.getClient(connection, db);
+
+    try {
+      const reply = await client.xRead(
+        streams.map(stream => ({ key: stream.key, id: stream.id === undefined ? '0' : String(stream.id) })),
+        { COUNT: count }
+      );
+
+      return {
+        streams: (reply || []).map(stream => ({
+          key: stream.name,
+          entries: stream.messages
+        }))
+      };
+    } catch (err) {
+      throw new Error(`Failed to read streams: ${err.message}`);
+    }
+  }
+
+  // Number of entries (XLEN)
+  async xLen(params) {
+    const { key, connection, db } = params;
+
+    this.checkKey(key, 'read');
+
+    const client = await this.connectionManager.getClient(connection, db);
+
+    try {
+      return {
+        key: key,
+        length: await client.xLen(key)
+      };
+    } catch (err) {
+      throw new Error(`Failed to get stream length: ${err.message}`);
+    }
+  }
+
+  // Stream metadata (XINFO STREAM)
+  async xInfoStream(params) {
+    const { key, connection, db } = params;
+
+    this.checkKey(key, 'read');
+
+    const client = await this.connectionManager.getClient(connection, db);
+
+    try {
+      return {
+        key: key,
+        ...await client.xInfoStream(key)
+      };
+    } catch (err) {
+      throw new Error(`Failed to get stream info: ${err.message}`);
+    }
+  }
+
+  // Consumer groups with lag, optionally with their consumers (XINFO GROUPS / CONSUMERS)
+  async xInfoGroups(params) {
+    const { key, includeConsumers = false, connection, db } = params;
+
+    this.checkKey(key, 'read');
+
+    try {
+      const groups = (await this.sendKeyCommand(connection, db, key, ['XINFO', 'GROUPS', key])).map(pairsToObject);
+
+      if (includeConsumers) {
+        for (const group of groups) {
+          const consumers = await this.sendKeyCommand(connection, db, key, ['XINFO', 'CONSUMERS', key, group.name]);
+          group.consumerList = consumers.map(pairsToObject);
+        }
+      }
+
+      return {
+        key: key,
+        groups: groups
+      };
+    } catch (err) {
+      throw new Error(`Failed to get stream groups: ${err.message}`);
+    }
+  }
+
+  // Pending entries of a consumer group (XPENDING summary and oldest entries)
+  async xPending(params) {
+    const { key, group, consumer, minIdleTime, count = 10, connection, db } = params;
+
+    this.checkKey(key, 'read');
+
+    if (!group || typeof group !== 'string') {
+      throw new Error('Missing or invalid group parameter');
+    }
+
+    if (minIdleTime !== undefined && (!Number.isInteger(minIdleTime) || minIdleTime < 0)) {
+      throw new Error('minIdleTime must be a non-negative integer (milliseconds)');
+    }
+
+    normalizeCount(count);
+
+    const client = await this.connectionManager.getClient(connection, db);
+
+    try {
+      const summary = await client.xPending(key, group);
+      const entries = await client.xPendingRange(key, group, '-', '+', count, {
+        consumer: consumer,
+        IDLE: minIdleTime
+      });
+
+      return {
+        key: key,
+        group: group,
+        ...summary,
+        entries: entries
+      };
+    } catch (err) {
+      throw new Error(`Failed to get pending entries: ${err.message}`);
+    }
+  }
+
+  // Trim a stream (XTRIM)
+  async xTrim(params) {
+    if (!ALLOW_DELETE) {
+      throw new Error('Delete operations are not allowed');
+    }
+
+    const { key, maxlen, minid, approximate, connection, db } = params;
+
+    this.checkKey(key, 'delete');
+
+    const trim = normalizeTrim({ maxlen, minid, approximate });
+    if (!trim) {
+      throw new Error('Either maxlen or minid is required');
+    }
+
+    const client = await this.connectionManager.getClient(connection, db);
+
+    try {
+      const removed = await client.xTrim(key, trim.strategy, trim.threshold, {
+        strategyModifier: trim.strategyModifier
+      });
+
+      return {
+        key: key,
+        removed: removed,
+        length: await client.xLen(key)
+      };
+    } catch (err) {
+      throw new Error(`Failed to trim stream: ${err.message}`);
+    }
+  }
+
+  // Delete entries by ID (XDEL)
+  async xDel(params) {
+    if (!ALLOW_DELETE) {
+      throw new Error('Delete operations are not allowed');
+    }
+
+    const { key, ids, connection, db } = params;
+
+    this.checkKey(key, 'delete');
+
+    if (!Array.isArray(ids) || ids.length === 0) {
+      throw new Error('ids must be a non-empty array of stream IDs');
+    }
+
+    const client = await this.connectionManager.getClient(connection, db);
+
+    try {
+      return {
+        key: key,
+        deleted: await client.xDel(key, ids.map(String))
+      };
+    } catch (err) {
+      throw new Error(`Failed to delete stream entries: ${err.message}`);
+    }
+  }
+
+  // Destroy a consumer group (XGROUP DESTROY)
+  async xGroupDestroy(params) {
+    if (!ALLOW_DELETE) {
+      throw new Error('Delete operations are not allowed');
+    }
+
+    const { key, group, connection, db } = params;
+
+    this.checkKey(key, 'delete');
+
+    if (!group || typeof group !== 'string') {
+      throw new Error('Missing or invalid group parameter');
+    }
+
+    const client = await this.connectionManager.getClient(connection, db);
+
+    try {
+      return {
+        key: key,
+        group: group,
+        destroyed: await client.xGroupDestroy(key, group)
+      };
+    } catch (err) {
+      throw new Error(`Failed to destroy consumer group: ${err.message}`);
+    }
+  }
+}
+
+module.exports = StreamOperations;
@@ -0,0 +1,225 @@
+// JSON-RPC error code for invalid tool names and arguments
+const INVALID_PARAMS = -32602;
+
+// Create an error carrying a JSON-RPC error code
+const toolError = (message, code = INVALID_PARAMS) => {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+};
+
+// Check a value against the JSON Schema subset used by tool definitions
+const matchesType = (value, type) => {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string';
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return typeof value === 'object' && value !== null && !Array.isArray(value);
+    default:
+      return true;
+  }
+};
+
+// Schema of a declared property; inherited names (constructor, __proto__ ...) are not properties
+const propertySchema = (properties, field) => (
+  Object.prototype.hasOwnProperty.call(properties, field) ? properties[field] : undefined
+);
+
+// Validate a value against a schema; returns an error message or null
+const validateValue = (value, schema, path) => {
+  if (!schema) {
+    return null;
+  }
+
+  const types = Array.isArray(schema.type) ? schema.type : (schema.type ? [schema.type] : []);
+  if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+    return `'${path}' must be of type ${types.join(' or ')}`;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return `'${path}' must be one of: ${schema.enum.join(', ')}`;
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      return `'${path}' must be >= ${schema.minimum}`;
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      return `'${path}' must be <= ${schema.maximum}`;
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    for (let i = 0; i < value.length; i++) {
+      const error = validateValue(value[i], schema.items, `${path}[${i}]`);
+      if (error) {
+        return error;
+      }
+    }
+  }
+
+  if (matchesType(value, 'object') && schema.properties) {
+    for (const field of schema.required || []) {
+      if (value[field] === undefined) {
+        return `'${path}.${field}' is required`;
+      }
+    }
+    for (const [field, fieldValue] of Object.entries(value)) {
+      const error = validateValue(fieldValue, propertySchema(schema.properties, field), `${path}.${field}`);
+      if (error) {
+        return error;
+      }
+    }
+  }
+
+  return null;
+};
+
+// Declarative tool registry: each tool declares its name, input schema,
+// permission categories and handler. Produces tools/list and dispatches tools/call.
+class ToolRegistry {
+  constructor(options = {}) {
+    this.tools = new Map();
+    this.permissions = options.permissions || {};
+    this.sharedProperties = options.sharedProperties || {};
+    this.defaultShared = options.defaultShared || [];
+  }
+
+  // Register a tool
+  register(definition) {
+    const { name, description, inputSchema = {}, permissions = [], shared, handler } = definition;
+
+    if (!name || typeof handler !== 'function') {
+      throw new Error('Tool definition requires a name and a handler');
+    }
+
+    if (this.tools.has(name)) {
+      throw new Error(`Tool already registered: ${name}`);
+    }
+
+    for (const permission of permissions) {
+      if (!(permission in this.permissions)) {
+        throw new Error(`Unknown permission category '${permission}' for tool ${name}`);
+      }
+    }
+
+    this.tools.set(name, {
+      name: name,
+      description: description,
+      inputSchema: inputSchema,
+      permissions: permissions,
+      shared: shared || this.defaultShared,
+      handler: handler
+    });
+
+    return this;
+  }
+
+  // Whether every permission category of a tool is granted
+  isAllowed(tool) {
+    return tool.permissions.every(permission => this.permissions[permission]);
+  }
+
+  // Full input schema, including shared properties (connection, db ...)
+  buildSchema(tool) {
+    const properties = { ...(tool.inputSchema.properties || {}) };
+
+    for (const shared of tool.shared) {
+      // A shared property resolving to null is currently disabled
+      const definition = this.sharedProperties[shared];
+      const schema = typeof definition === 'function' ? definition() : definition;
+      if (schema) {
+        properties[shared] = schema;
+      }
+    }
+
+    const schema = {
+      type: 'object',
+      properties: properties,
+      additionalProperties: false
+    };
+    if (tool.inputSchema.required && tool.inputSchema.required.length > 0) {
+      schema.required = tool.inputSchema.required;
+    }
+
+    return schema;
+  }
+
+  // Tools visible under the current permissions (tools/list)
+  list() {
+    return Array.from(this.tools.values())
+      .filter(tool => this.isAllowed(tool))
+      .map(tool => ({
+        name: tool.name,
+        description: tool.description,
+        inputSchema: this.buildSchema(tool)
+      }));
+  }
+
+  // Look up a callable tool; unknown and not-permitted tools are rejected alike
+  resolve(name) {
+    if (!name || typeof name !== 'string') {
+      throw toolError('Missing tool name');
+    }
+
+    const tool = this.tools.get(name);
+    if (!tool) {
+      throw toolError(`Unknown tool: ${name}`);
+    }
+
+    if (!this.isAllowed(tool)) {
+      throw toolError(`Tool not available: ${name} requires ${tool.permissions.join(' and ')} permission`);
+    }
+
+    return tool;
+  }
+
+  // Validate arguments against the tool's input schema
+  validate(tool, args) {
+    if (!matchesType(args, 'object')) {
+      throw toolError(`Invalid arguments for tool ${tool.name}: arguments must be an object`);
+    }
+
+    const schema = this.buildSchema(tool);
+
+    for (const field of schema.required || []) {
+      if (args[field] === undefined || args[field] === null) {
+        throw toolError(`Invalid arguments for tool ${tool.name}: '${field}' is required`);
+      }
+    }
+
+    for (const [field, value] of Object.entries(args)) {
+      const fieldSchema = propertySchema(schema.properties, field);
+      if (!fieldSchema) {
+        throw toolError(`Invalid arguments for tool ${tool.name}: unknown argument '${field}'`);
+      }
+
+      // Optional arguments may be sent as null to mean "not set"
+      if (value === null && !(schema.required || []).includes(field)) {
+        continue;
+      }
+
+      const error = validateValue(value, fieldSchema, field);
+      if (error) {
+        throw toolError(`Invalid arguments for tool ${tool.name}: ${error}`);
+      }
+    }
+  }
+
+  // Resolve, validate and run a tool (tools/call)
+  async call(name, args = {}) {
+    const tool = this.resolve(name);
+    this.validate(tool, args);
+    return tool.handler(args);
+  }
+}
+
+module.exports = ToolRegistry;
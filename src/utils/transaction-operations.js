@@ -0,0 +1,452 @@
+const { ErrorReply, WatchError } = require('redis');
+const { ALLOW_INSERT, ALLOW_UPDATE, ALLOW_DELETE, ALLOW_CREATE, ALLOW_DROP } = require('./redis-connection');
+const { KeyPolicy } = require('./key-policy');
+const { normalizeZSetMembers } = require('./zset-operations');
+const { normalizeMembers } = require('./set-operations');
+const { checkStringWrite } = require('./data-operations');
+const { checkInteger, checkNumber, checkTtlIfNew, memberIncrementArguments, MEMBER_INCREMENT_SCRIPT } = require('./counter-operations');
+const { toFieldValues } = require('./hash-operations');
+const { encodeValue, checkStringEncoding } = require('./value-codec');
+
+// Upper bound on the operations of one transaction
+const MAX_OPERATIONS = 100;
+
+// Permission categories and whether they are granted
+const GRANTED = {
+  insert: ALLOW_INSERT,
+  update: ALLOW_UPDATE,
+  delete: ALLOW_DELETE,
+  create: ALLOW_CREATE,
+  drop: ALLOW_DROP
+};
+
+// Validate a key argument of an operation
+const checkKey = (key, name = 'key') => {
+  if (!key || typeof key !== 'string') {
+    throw new Error(`Missing or invalid ${name} parameter`);
+  }
+};
+
+// Validate a non-empty array of strings
+const checkStrings = (values, name) => {
+  if (!Array.isArray(values) || values.length === 0 || values.some(value => typeof value !== 'string')) {
+    throw new Error(`${name} must be a non-empty array of strings`);
+  }
+};
+
+// Collection write of set_data, as the set_data tool does it: an array replaces a list or set
+// (an empty list holds one '' element, an empty set is deleted) and a single value is appended
+// to it; hashes and sorted sets are always replaced
+const collectionWrite = (type, key, value) => {
+  switch (type) {
+    case 'list':
+      if (!Array.isArray(value)) {
+        return { clear: false, write: ['rPush', key, value] };
+      }
+      return { clear: true, write: ['rPush', key, value.length > 0 ? value : ''] };
+    case 'set':
+      if (!Array.isArray(value)) {
+        return { clear: false, write: ['sAdd', key, value] };
+      }
+      return { clear: true, write: value.length > 0 ? ['sAdd', key, value] : null };
+    case 'hash':
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        throw new Error('Hash value must be an object');
+      }
+      return { clear: true, write: Object.keys(value).length > 0 ? ['hSet', key, toFieldValues(value)] : null };
+    case 'zset':
+      return { clear: true, write: ['zAdd', key, normalizeZSetMembers(value)] };
+    default:
+      throw new Error(`Unsupported data type: ${type}`);
+  }
+};
+
+// Commands of a whole-value write (set_data): a string SET, or the collection write
+const setDataCommands = (args) => {
+  const { key, value, ttl, type = 'string', encoding, condition, keepTtl, returnPrevious } = args;
+
+  if (value === undefined || value === null) {
+    throw new Error('Missing value parameter');
+  }
+
+  checkStringEncoding(encoding, type);
+  checkStringWrite(type, { ttl, condition, keepTtl, returnPrevious });
+
+  if (type === 'string') {
+    return [['set', key, encodeValue(value, encoding), {
+      EX: ttl && ttl > 0 ? ttl : undefined,
+      KEEPTTL: keepTtl,
+      NX: condition === 'nx',
+      XX: condition === 'xx',
+      GET: returnPrevious
+    }]];
+  }
+
+  const { clear, write } = collectionWrite(type, key, value);
+
+  return [
+    ...(clear ? [['del', key]] : []),
+    ...(write ? [write] : []),
+    ...(ttl && ttl > 0 ? [['expire', key, ttl]] : [])
+  ];
+};
+
+// Whether set_data may write over an existing key
+const mayOverwrite = args => !((args.type || 'string') === 'string' && args.condition === 'nx');
+
+// Reply of set_data: whether a string was written (and the previous value), or the write count
+const setDataReply = (replies, args) => {
+  const type = args.type || 'string';
+  if (type !== 'string') {
+    const { clear, write } = collectionWrite(type, args.key, args.value);
+    return { result: write ? replies[clear ? 1 : 0] : null };
+  }
+  if (!args.returnPrevious) {
+    return { written: replies[0] === 'OK' };
+  }
+  const previous = replies[0];
+  const written = args.condition === 'nx' ? previous === null : (args.condition === 'xx' ? previous !== null : true);
+  return { written: written, previous: previous };
+};
+
+// String increment, creating the key with ttl_if_new first (SET key 0 EX ttl NX)
+const incrementCommands = (method, amountName, integer) => (args) => {
+  (integer ? checkInteger : checkNumber)(args[amountName], amountName);
+  checkTtlIfNew(args.ttl_if_new);
+  return [
+    ...(args.ttl_if_new !== undefined ? [['set', args.key, '0', { EX: args.ttl_if_new, NX: true }]] : []),
+    [method, args.key, args[amountName]]
+  ];
+};
+
+const incrementReply = (replies, args) => ({
+  value: Number(replies[replies.length - 1]),
+  ...(args.ttl_if_new !== undefined ? { created: replies[0] === 'OK' } : {})
+});
+
+// Hash / sorted set increment; with ttl_if_new it runs as MEMBER_INCREMENT_SCRIPT, which
+// expires the key only if the increment created it
+const memberIncrementCommands = (command) => (args) => {
+  checkNumber(args.increment, 'increment');
+  checkTtlIfNew(args.ttl_if_new);
+  if (args.ttl_if_new === undefined) {
+    return [command(args)];
+  }
+  const [method, key, ...commandArgs] = command(args);
+  return [['eval', MEMBER_INCREMENT_SCRIPT, memberIncrementArguments(key, [method, ...commandArgs], args.ttl_if_new)]];
+};
+
+// Reply of a hash / sorted set increment: the new value under the name the tool returns it as
+const memberIncrementReply = name => ([reply], args) => {
+  if (args.ttl_if_new === undefined) {
+    return { [name]: Number(reply) };
+  }
+  const [value, created] = reply;
+  return { [name]: Number(value), created: created === 1 };
+};
+
+// Operations a transaction can contain, named after the tool they mirror: the permission
+// categories and key policy checks they need, the commands they queue and their result
+const OPERATIONS = {
+  set_data: {
+    // Anything but a string SET NX can overwrite or change an existing key
+    permissions: args => (mayOverwrite(args) ? ['insert', 'update'] : ['insert']),
+    policy: args => (mayOverwrite(args) ? [['insert', args.key], ['update', args.key]] : [['insert', args.key]]),
+    commands: setDataCommands,
+    reply: setDataReply
+  },
+  delete_data: {
+    permissions: ['delete'],
+    policy: args => [['delete', args.key]],
+    commands: args => [['del', args.key]],
+    reply: ([deleted]) => ({ deleted: deleted > 0 })
+  },
+  drop_key: {
+    permissions: ['drop'],
+    policy: args => [['drop', args.key]],
+    commands: args => [['del', args.key]],
+    reply: ([deleted]) => ({ dropped: deleted > 0 })
+  },
+  rename_key: {
+    permissions: ['create', 'drop'],
+    keys: ['oldKey', 'newKey'],
+    policy: args => [['drop', args.oldKey], ['create', args.newKey]],
+    // RENAMENX: like rename_key, an existing target is never overwritten and fails the operation
+    commands: args => [['renameNX', args.oldKey, args.newKey]],
+    reply: ([renamed], args) => {
+      if (renamed !== true && renamed !== 1) {
+        throw new Error(`Target key '${args.newKey}' already exists`);
+      }
+      return { oldKey: args.oldKey, newKey: args.newKey, renamed: true };
+    }
+  },
+  set_ttl: {
+    permissions: [],
+    policy: args => [['update', args.key]],
+    commands: (args) => {
+      if (typeof args.ttl !== 'number' || args.ttl <= 0) {
+        throw new Error('TTL must be a positive number');
+      }
+      return [['expire', args.key, args.ttl]];
+    },
+    reply: ([applied]) => ({ applied: applied === true || applied === 1 })
+  },
+  remove_ttl: {
+    permissions: [],
+    policy: args => [['update', args.key]],
+    commands: args => [['persist', args.key]],
+    reply: ([removed]) => ({ removed: removed === true || removed === 1 })
+  },
+  hset_fields: {
+    permissions: ['insert', 'update'],
+    policy: args => [['insert', args.key], ['update', args.key]],
+    commands: args => [['hSet', args.key, toFieldValues(args.fields)]],
+    reply: ([added]) => ({ added: added })
+  },
+  hdel_fields: {
+    permissions: ['delete'],
+    policy: args => [['delete', args.key]],
+    commands: (args) => {
+      checkStrings(args.fields, 'fields');
+      return [['hDel', args.key, args.fields]];
+    },
+    reply: ([removed]) => ({ removed: removed })
+  },
+  hincrby: {
+    permissions: ['update'],
+    policy: args => [['update', args.key]],
+    commands: (args) => {
+      checkKey(args.field, 'field');
+      checkInteger(args.increment, 'increment');
+      return [['hIncrBy', args.key, args.field, args.increment]];
+    },
+    reply: ([value]) => ({ value: Number(value) })
+  },
+  hincr_by_float: {
+    permissions: ['insert', 'update'],
+    policy: args => [['insert', args.key], ['update', args.key]],
+    commands: (args) => {
+      checkKey(args.field, 'field');
+      return memberIncrementCommands(({ key, field, increment }) => ['hIncrByFloat', key, field, increment])(args);
+    },
+    reply: memberIncrementReply('value')
+  },
+  lpush: {
+    permissions: ['insert'],
+    policy: args => [['insert', args.key]],
+    // LPUSH inserts one element at a time, so reverse to keep the given order at the head
+    commands: (args) => {
+      checkStrings(args.values, 'values');
+      return [['lPush', args.key, args.values.slice().reverse()]];
+    },
+    reply: ([length]) => ({ length: length })
+  },
+  rpush: {
+    permissions: ['insert'],
+    policy: args => [['insert', args.key]],
+    commands: (args) => {
+      checkStrings(args.values, 'values');
+      return [['rPush', args.key, args.values]];
+    },
+    reply: ([length]) => ({ length: length })
+  },
+  lpop: {
+    permissions: ['delete'],
+    policy: args => [['delete', args.key]],
+    commands: args => [['lPopCount', args.key, args.count || 1]],
+    reply: ([values]) => ({ values: values || [] })
+  },
+  rpop: {
+    permissions: ['delete'],
+    policy: args => [['delete', args.key]],
+    commands: args => [['rPopCount', args.key, args.count || 1]],
+    reply: ([values]) => ({ values: values || [] })
+  },
+  sadd: {
+    permissions: ['insert'],
+    policy: args => [['insert', args.key]],
+    commands: args => [['sAdd', args.key, normalizeMembers(args.members)]],
+    reply: ([added]) => ({ added: added })
+  },
+  srem: {
+    permissions: ['delete'],
+    policy: args => [['delete', args.key]],
+    commands: args => [['sRem', args.key, normalizeMembers(args.members)]],
+    reply: ([removed]) => ({ removed: removed })
+  },
+  zadd: {
+    permissions: ['insert'],
+    policy: args => [['insert', args.key]],
+    commands: (args) => {
+      if (args.condition === 'nx' && args.comparison) {
+        throw new Error('comparison cannot be combined with condition nx');
+      }
+      // CH: count updated scores as well as new members
+      return [['zAdd', args.key, normalizeZSetMembers(args.members), {
+        NX: args.condition === 'nx',
+        XX: args.condition === 'xx',
+        GT: args.comparison === 'gt',
+        LT: args.comparison === 'lt',
+        CH: true
+      }]];
+    },
+    reply: ([changed]) => ({ changed: changed })
+  },
+  zincrby: {
+    permissions: ['insert', 'update'],
+    policy: args => [['insert', args.key], ['update', args.key]],
+    commands: memberIncrementCommands(({ key, member, increment }) => ['zIncrBy', key, increment, String(member)]),
+    reply: memberIncrementReply('score')
+  },
+  zrem: {
+    permissions: ['delete'],
+    policy: args => [['delete', args.key]],
+    commands: (args) => {
+      if (!Array.isArray(args.members) || args.members.length === 0) {
+        throw new Error('members must be a non-empty array');
+      }
+      return [['zRem', args.key, args.members.map(String)]];
+    },
+    reply: ([removed]) => ({ removed: removed })
+  },
+  incr_by: {
+    permissions: ['insert', 'update'],
+    policy: args => [['insert', args.key], ['update', args.key]],
+    commands: incrementCommands('incrBy', 'increment', true),
+    reply: incrementReply
+  },
+  decr_by: {
+    permissions: ['insert', 'update'],
+    policy: args => [['insert', args.key], ['update', args.key]],
+    commands: incrementCommands('decrBy', 'decrement', true),
+    reply: incrementReply
+  },
+  incr_by_float: {
+    permissions: ['insert', 'update'],
+    policy: args => [['insert', args.key], ['update', args.key]],
+    commands: incrementCommands('incrByFloat', 'increment', false),
+    reply: incrementReply
+  }
+};
+
+// Run several write operations atomically in one MULTI / EXEC, optionally under WATCH
+class TransactionOperations {
+  constructor(connectionManager, keyPolicy = new KeyPolicy()) {
+    this.connectionManager = connectionManager;
+    this.keyPolicy = keyPolicy;
+  }
+
+  // Check one operation and build the commands it queues
+  prepare(operation) {
+    if (!operation || typeof operation !== 'object' || typeof operation.tool !== 'string') {
+      throw new Error('operation must be an object with a tool name and args');
+    }
+
+    const definition = OPERATIONS[operation.tool];
+    if (!definition) {
+      throw new Error(`${operation.tool} cannot run in a transaction (supported: ${Object.keys(OPERATIONS).join(', ')})`);
+    }
+
+    const args = operation.args || {};
+    const permissions = typeof definition.permissions === 'function' ? definition.permissions(args) : definition.permissions;
+    const denied = permissions.filter(permission => !GRANTED[permission]);
+    if (denied.length > 0) {
+      throw new Error(`${operation.tool} requires ${denied.join(' and ')} permission`);
+    }
+
+    (definition.keys || ['key']).forEach(name => checkKey(args[name], name));
+    definition.policy(args).forEach(([policyOperation, key]) => this.keyPolicy.assert(policyOperation, key));
+
+    return {
+      tool: operation.tool,
+      args: args,
+      commands: definition.commands(args),
+      reply: definition.reply
+    };
+  }
+
+  // Execute operations in order inside MULTI / EXEC. Every operation is checked before
+  // anything is sent; a changed WATCH key or a command rejected while queuing aborts the
+  // whole transaction. Redis does not roll back commands that fail while executing
+  // (e.g. WRONGTYPE); those are reported per operation.
+  async execute(params) {
+    const { operations, watch = [], connection, db } = params;
+
+    if (!Array.isArray(operations) || operations.length === 0 || operations.length > MAX_OPERATIONS) {
+      throw new Error(`operations must be an array of 1 to ${MAX_OPERATIONS} operations`);
+    }
+
+    if (!Array.isArray(watch) || watch.some(key => !key || typeof key !== 'string')) {
+      throw new Error('watch must be an array of keys');
+    }
+    watch.forEach(key => this.keyPolicy.assert('read', key));
+
+    const prepared = operations.map((operation, index) => {
+      try {
+        return this.prepare(operation);
+      } catch (err) {
+        throw new Error(`Operation ${index} (${operation && operation.tool}): ${err.message}`);
+      }
+    });
+
+    if (watch.length > 0 && this.connectionManager.getConnectionInfo(connection).mode === 'cluster') {
+      throw new Error('watch is not supported in cluster mode');
+    }
+
+    const client = await this.connectionManager.getClient(connection, db);
+
+    const run = async (target) => {
+      if (watch.length > 0) {
+        await target.watch(watch);
+      }
+      const multi = target.multi();
+      prepared.forEach(({ commands }) => commands.forEach(([method, ...args]) => multi[method](...args)));
+      return multi.exec();
+    };
+
+    let replies;
+    try {
+      // WATCH needs a connection of its own until EXEC
+      replies = watch.length > 0 ? await client.executeIsolated(run) : await run(client);
+    } catch (err) {
+      if (err instanceof WatchError) {
+        return { committed: false, aborted: 'A watched key was changed by another client; nothing was written' };
+      }
+      if (err.replies && err.errorIndexes) {
+        replies = err.replies;
+      } else if (err instanceof ErrorReply) {
+        return { committed: false, aborted: `Redis rejected the transaction; nothing was written: ${err.message}` };
+      } else {
+        throw new Error(`Failed to run transaction: ${err.message}`);
+      }
+    }
+
+    let offset = 0;
+    const results = prepared.map(({ tool, args, commands, reply }) => {
+      const own = replies.slice(offset, offset + commands.length);
+      offset += commands.length;
+
+      // A reply can also fail an operation whose commands succeeded (e.g. RENAMENX returning 0)
+      try {
+        const error = own.find(item => item instanceof Error);
+        if (error) {
+          throw error;
+        }
+        return { tool: tool, ok: true, ...reply(own, args) };
+      } catch (err) {
+        return { tool: tool, ok: false, error: err.message };
+      }
+    });
+
+    return {
+      committed: true,
+      failed: results.filter(result => !result.ok).length,
+      results: results
+    };
+  }
+}
+
+module.exports = {
+  TransactionOperations,
+  TRANSACTION_TOOLS: Object.keys(OPERATIONS)
+};
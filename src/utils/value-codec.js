@@ -0,0 +1,445 @@
+const zlib = require('zlib');
+
+// Limits on nested encodings (e.g. base64 of gzip of JSON) and on decompressed size
+const MAX_LAYERS = 3;
+const MAX_DECODED_SIZE = 16 * 1024 * 1024;
+
+const utf8 = new TextDecoder('utf-8', { fatal: true });
+
+// An integer literal as a number, or as its decimal string when a number would lose precision
+const toInteger = (text) => (
+  Number.isSafeInteger(Number(text)) ? Number(text) : String(BigInt(text))
+);
+
+// JSON.parse that keeps integers beyond Number.MAX_SAFE_INTEGER exact by returning them as
+// strings; integer literals outside of strings are quoted before parsing when they are unsafe
+const parseJson = (text) => {
+  let quoted = '';
+  let last = 0;
+  const literal = /"(?:[^"\\]|\\.)*"|-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/g;
+
+  for (let match = literal.exec(text); match; match = literal.exec(text)) {
+    const [token] = match;
+    if (token[0] !== '"' && /^-?\d+$/.test(token) && !Number.isSafeInteger(Number(token))) {
+      quoted += `${text.slice(last, match.index)}"${token}"`;
+      last = match.index + token.length;
+    }
+  }
+
+  return JSON.parse(quoted + text.slice(last));
+};
+
+// Decode bytes as UTF-8 text, or null when they are not valid UTF-8
+const toText = (bytes) => {
+  try {
+    return utf8.decode(bytes);
+  } catch (err) {
+    return null;
+  }
+};
+
+// Canonical base64 of at least 16 characters; shorter strings are too often plain words
+const isBase64 = (text) => (
+  text.length >= 16 && text.length % 4 === 0 && /^[A-Za-z0-9+/]+={0,2}$/.test(text)
+);
+
+// gzip member (1f 8b)
+const gunzip = (bytes) => {
+  if (bytes.length < 18 || bytes[0] !== 0x1f || bytes[1] !== 0x8b) {
+    return null;
+  }
+  return zlib.gunzipSync(bytes, { maxOutputLength: MAX_DECODED_SIZE });
+};
+
+// zlib stream (deflate with a 78 xx header whose check bits are valid)
+const inflate = (bytes) => {
+  if (bytes.length < 6 || bytes[0] !== 0x78 || ((bytes[0] << 8) | bytes[1]) % 31 !== 0) {
+    return null;
+  }
+  return zlib.inflateSync(bytes, { maxOutputLength: MAX_DECODED_SIZE });
+};
+
+// Minimal MessagePack reader; ext values other than timestamps are returned as { type, data }
+const readMsgpack = (bytes) => {
+  let offset = 0;
+
+  const take = (length) => {
+    if (offset + length > bytes.length) {
+      throw new Error('Truncated MessagePack value');
+    }
+    const slice = bytes.subarray(offset, offset + length);
+    offset += length;
+    return slice;
+  };
+
+  const uint = (size) => take(size).readUIntBE(0, size);
+
+  const int64 = (signed) => {
+    return toInteger(signed ? take(8).readBigInt64BE(0) : take(8).readBigUInt64BE(0));
+  };
+
+  const ext = (length) => {
+    const type = take(1).readInt8(0);
+    const data = take(length);
+    if (type === -1 && (length === 4 || length === 8)) {
+      const seconds = length === 4 ? data.readUInt32BE(0) : Number(data.readBigUInt64BE(0) & 0x3ffffffffn);
+      return new Date(seconds * 1000).toISOString();
+    }
+    return { type: type, data: data.toString('base64') };
+  };
+
+  const array = (length) => {
+    const items = [];
+    for (let i = 0; i < length; i++) {
+      items.push(read());
+    }
+    return items;
+  };
+
+  const map = (length) => {
+    const object = {};
+    for (let i = 0; i < length; i++) {
+      const key = read();
+      object[typeof key === 'string' ? key : JSON.stringify(key)] = read();
+    }
+    return object;
+  };
+
+  const read = () => {
+    const byte = uint(1);
+
+    if (byte <= 0x7f) return byte;
+    if (byte >= 0xe0) return byte - 0x100;
+    if (byte <= 0x8f) return map(byte & 0x0f);
+    if (byte <= 0x9f) return array(byte & 0x0f);
+    if (byte <= 0xbf) return take(byte & 0x1f).toString('utf8');
+
+    switch (byte) {
+      case 0xc0: return null;
+      case 0xc2: return false;
+      case 0xc3: return true;
+      case 0xc4: case 0xc5: case 0xc6: return take(uint(1 << (byte - 0xc4))).toString('base64');
+      case 0xc7: case 0xc8: case 0xc9: return ext(uint(1 << (byte - 0xc7)));
+      case 0xca: return take(4).readFloatBE(0);
+      case 0xcb: return take(8).readDoubleBE(0);
+      case 0xcc: case 0xcd: case 0xce: return uint(1 << (byte - 0xcc));
+      case 0xcf: return int64(false);
+      case 0xd0: case 0xd1: case 0xd2: {
+        const size = 1 << (byte - 0xd0);
+        return take(size).readIntBE(0, size);
+      }
+      case 0xd3: return int64(true);
+      case 0xd4: case 0xd5: case 0xd6: case 0xd7: case 0xd8: return ext(1 << (byte - 0xd4));
+      case 0xd9: case 0xda: case 0xdb: return take(uint(1 << (byte - 0xd9))).toString('utf8');
+      case 0xdc: case 0xdd: return array(uint(byte === 0xdc ? 2 : 4));
+      case 0xde: case 0xdf: return map(uint(byte === 0xde ? 2 : 4));
+      default: throw new Error(`Invalid MessagePack type 0x${byte.toString(16)}`);
+    }
+  };
+
+  const value = read();
+  if (offset !== bytes.length) {
+    throw new Error('Trailing bytes after MessagePack value');
+  }
+  return value;
+};
+
+// MessagePack map or array; scalars have no reliable marker
+const msgpack = (bytes) => {
+  const first = bytes[0];
+  if (!((first >= 0x80 && first <= 0x9f) || (first >= 0xdc && first <= 0xdf))) {
+    return undefined;
+  }
+  return readMsgpack(bytes);
+};
+
+// PHP serialize() output; objects keep their class name in __class
+const readPhp = (text) => {
+  let offset = 0;
+
+  const expect = (token) => {
+    if (text.slice(offset, offset + token.length) !== token) {
+      throw new Error(`Expected '${token}' at ${offset}`);
+    }
+    offset += token.length;
+  };
+
+  const until = (token) => {
+    const end = text.indexOf(token, offset);
+    if (end === -1) {
+      throw new Error(`Expected '${token}' after ${offset}`);
+    }
+    const value = text.slice(offset, end);
+    offset = end + token.length;
+    return value;
+  };
+
+  // Lengths are in bytes; text is latin1 so one character is one byte
+  const string = (length) => {
+    expect('"');
+    const value = Buffer.from(text.slice(offset, offset + length), 'latin1').toString('utf8');
+    offset += length;
+    expect('"');
+    return value;
+  };
+
+  const entries = (count) => {
+    expect('{');
+    const pairs = [];
+    for (let i = 0; i < count; i++) {
+      pairs.push([read(), read()]);
+    }
+    expect('}');
+    return pairs;
+  };
+
+  const read = () => {
+    const type = text[offset];
+    offset += 1;
+
+    if (type === 'N') {
+      expect(';');
+      return null;
+    }
+    expect(':');
+
+    switch (type) {
+      case 'b': return until(';') === '1';
+      case 'i': return toInteger(until(';'));
+      case 'd': return Number(until(';'));
+      case 's': {
+        const value = string(Number(until(':')));
+        expect(';');
+        return value;
+      }
+      case 'a': {
+        const pairs = entries(Number(until(':')));
+        // Arrays with keys 0..n-1 become lists, others objects
+        return pairs.every(([key], i) => key === i)
+          ? pairs.map(([, value]) => value)
+          : Object.fromEntries(pairs);
+      }
+      case 'O': {
+        const name = string(Number(until(':')));
+        expect(':');
+        const pairs = entries(Number(until(':')));
+        // Protected and private property names carry a \0...\0 prefix
+        return Object.fromEntries([['__class', name], ...pairs.map(([key, value]) => [String(key).replace(/^\0[^\0]*\0/, ''), value])]);
+      }
+      default: throw new Error(`Unsupported PHP type '${type}'`);
+    }
+  };
+
+  const value = read();
+  if (offset !== text.length) {
+    throw new Error('Trailing characters after PHP value');
+  }
+  return value;
+};
+
+// PHP serialized array, object or string
+const php = (bytes) => {
+  if (bytes.length < 4 || !/^(a|O|s):\d+:/.test(bytes.subarray(0, 16).toString('latin1'))) {
+    return undefined;
+  }
+  return readPhp(bytes.toString('latin1'));
+};
+
+// Java serialization stream (AC ED 00 05); detected only, the bytes are returned as base64
+const java = (bytes) => {
+  if (bytes.length < 4 || bytes.readUInt32BE(0) !== 0xaced0005) {
+    return undefined;
+  }
+  return bytes.toString('base64');
+};
+
+// JSON object or array; bare scalars are left as strings
+const json = (bytes) => {
+  const text = toText(bytes);
+  if (text === null || !/^\s*[[{]/.test(text)) {
+    return undefined;
+  }
+  return parseJson(text);
+};
+
+// Compression layers unwrapped before looking at the payload
+const LAYERS = [
+  { name: 'gzip', unwrap: gunzip },
+  { name: 'zlib', unwrap: inflate }
+];
+
+// Payload formats; a parser returns undefined when the marker does not match
+const FORMATS = [
+  { name: 'java', parse: java },
+  { name: 'msgpack', parse: msgpack },
+  { name: 'php', parse: php },
+  { name: 'json', parse: json }
+];
+
+// Decode the bytes of a value, unwrapping base64 and compression layers; a failing codec
+// is skipped so the value falls back to text
+const decode = (bytes, applied) => {
+  if (applied.length < MAX_LAYERS) {
+    for (const layer of LAYERS) {
+      let inner = null;
+      try {
+        inner = layer.unwrap(bytes);
+      } catch (err) {
+        // Not this layer (or over MAX_DECODED_SIZE)
+      }
+      if (inner) {
+        return decode(inner, [...applied, layer.name]);
+      }
+    }
+  }
+
+  for (const format of FORMATS) {
+    let value;
+    try {
+      value = format.parse(bytes);
+    } catch (err) {
+      value = undefined;
+    }
+    if (value !== undefined) {
+      return { value: value, codecs: [...applied, format.name] };
+    }
+  }
+
+  const text = toText(bytes);
+  if (text === null) {
+    return { value: bytes.toString('base64'), codecs: [...applied, 'binary'] };
+  }
+
+  // base64 is only unwrapped when what it carries is recognised as well
+  if (applied.length < MAX_LAYERS && isBase64(text)) {
+    const inner = decode(Buffer.from(text, 'base64'), [...applied, 'base64']);
+    const next = inner.codecs[applied.length + 1];
+    if (next && next !== 'binary') {
+      return inner;
+    }
+  }
+
+  return { value: text, codecs: applied };
+};
+
+// Detect and decode a stored value. Returns the decoded value and the codecs applied,
+// outermost first (e.g. "base64+gzip+json"), or null when the value is plain text.
+// Bytes that are not UTF-8 text are returned base64-encoded with the "binary" codec.
+const decodeValue = (buffer) => {
+  const bytes = Buffer.isBuffer(buffer) ? buffer : Buffer.from(String(buffer));
+  const { value, codecs } = decode(bytes, []);
+
+  return {
+    value: value,
+    codec: codecs.length > 0 ? codecs.join('+') : null
+  };
+};
+
+// Text of a value read as bytes without decoding it; non-UTF-8 bytes become base64
+const bytesToText = (buffer) => {
+  const text = toText(buffer);
+  return text === null
+    ? { value: buffer.toString('base64'), codec: 'binary' }
+    : { value: text, codec: null };
+};
+
+// Encodings a string value can be written and read back with
+const VALUE_ENCODINGS = ['string', 'json', 'number', 'base64'];
+
+// JSON with object keys sorted, so equal values always give the same bytes (stored values,
+// confirmation fingerprints)
+const stableStringify = (value) => JSON.stringify(value, (key, item) => (
+  item && typeof item === 'object' && !Array.isArray(item)
+    ? Object.keys(item).sort().reduce((sorted, name) => {
+      sorted[name] = item[name];
+      return sorted;
+    }, {})
+    : item
+));
+
+// Validate an encoding argument
+const checkEncoding = (encoding) => {
+  if (encoding !== undefined && !VALUE_ENCODINGS.includes(encoding)) {
+    throw new Error(`encoding must be one of: ${VALUE_ENCODINGS.join(', ')}`);
+  }
+};
+
+// Encodings only apply to string values
+const checkStringEncoding = (encoding, type) => {
+  checkEncoding(encoding);
+  if (encoding !== undefined && type !== 'string') {
+    throw new Error(`encoding only applies to string values (key type is ${type})`);
+  }
+};
+
+// Serialize a value for a string write. Without an encoding, strings are stored as they are,
+// numbers as numbers and anything else as JSON
+const encodeValue = (value, encoding) => {
+  checkEncoding(encoding);
+
+  const resolved = encoding || (typeof value === 'string' ? 'string' : (typeof value === 'number' ? 'number' : 'json'));
+
+  switch (resolved) {
+    case 'string':
+      if (typeof value !== 'string') {
+        throw new Error("encoding 'string' needs a string value");
+      }
+      return value;
+    case 'number': {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number)) {
+        throw new Error("encoding 'number' needs a finite number");
+      }
+      return String(number);
+    }
+    case 'base64':
+      if (typeof value !== 'string' || value.length % 4 !== 0 || !/^[A-Za-z0-9+/]*={0,2}$/.test(value)) {
+        throw new Error("encoding 'base64' needs a base64 string");
+      }
+      return Buffer.from(value, 'base64');
+    default:
+      return stableStringify(value);
+  }
+};
+
+// Read back bytes written with a known encoding; the encoding is reported as the codec.
+// The encoding is not stored with the value, so it has to be given again to read it back
+const decodeAs = (buffer, encoding) => {
+  checkEncoding(encoding);
+
+  switch (encoding) {
+    case 'base64':
+      return { value: buffer.toString('base64'), codec: 'base64' };
+    case 'string': {
+      const text = toText(buffer);
+      if (text === null) {
+        throw new Error("Value is not UTF-8 text; read it with encoding 'base64'");
+      }
+      return { value: text, codec: 'string' };
+    }
+    case 'number': {
+      const number = Number(buffer.toString('latin1'));
+      if (buffer.length === 0 || !Number.isFinite(number)) {
+        throw new Error('Value is not a number');
+      }
+      return { value: number, codec: 'number' };
+    }
+    default:
+      try {
+        return { value: parseJson(buffer.toString('utf8')), codec: 'json' };
+      } catch (err) {
+        throw new Error(`Value is not JSON: ${err.message}`);
+      }
+  }
+};
+
+module.exports = {
+  decodeValue,
+  bytesToText,
+  encodeValue,
+  decodeAs,
+  checkEncoding,
+  checkStringEncoding,
+  stableStringify,
+  VALUE_ENCODINGS
+};
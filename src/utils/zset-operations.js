@@ -0,0 +1,371 @@
+const { ALLOW_INSERT, ALLOW_UPDATE, ALLOW_DELETE } = require('./redis-connection');
+const { KeyPolicy } = require('./key-policy');
+const { normalizeLimit, checkAlgebraKeys, capMembers } = require('./set-operations');
+const { checkNumber, checkTtlIfNew, errorMessage, incrementMember } = require('./counter-operations');
+
+// Parse a score: a number, a numeric string, or +inf / -inf
+const parseScore = (score, member) => {
+  const parsed = typeof score === 'string' && /^[+-]?inf$/i.test(score)
+    ? (score.startsWith('-') ? -Infinity : Infinity)
+    : Number(score);
+
+  if (score === null || score === '' || typeof score === 'boolean' || Number.isNaN(parsed)) {
+    throw new Error(`Invalid score for member '${member}': ${score}`);
+  }
+
+  return parsed;
+};
+
+// Normalize zset members given as [{ member, score }] or { member: score }
+// into the node-redis [{ value, score }] form
+const normalizeZSetMembers = (value) => {
+  let entries;
+
+  if (Array.isArray(value)) {
+    entries = value.map((item) => {
+      if (!item || typeof item !== 'object' || item.member === undefined || item.member === null) {
+        throw new Error('Sorted set entries must be objects with member and score');
+      }
+      return [item.member, item.score];
+    });
+  } else if (value && typeof value === 'object') {
+    entries = Object.entries(value);
+  } else {
+    throw new Error('Sorted set value must be an array of { member, score } or a { member: score } object');
+  }
+
+  if (entries.length === 0) {
+    throw new Error('Sorted set value must contain at least one member');
+  }
+
+  return entries.map(([member, score]) => ({
+    value: String(member),
+    score: parseScore(score, member)
+  }));
+};
+
+// Convert node-redis { value, score } replies into member/score pairs
+const toMemberScorePairs = (items) => items.map(item => ({
+  member: item.value,
+  score: item.score
+}));
+
+// Validate the limit/offset pagination shared by the range tools
+const normalizeRangeLimit = (limit, offset) => {
+  if (typeof limit !== 'number' || !Number.isInteger(limit) || limit < 1 || limit > 10000) {
+    throw new Error('Limit must be between 1 and 10000');
+  }
+
+  if (typeof offset !== 'number' || !Number.isInteger(offset) || offset < 0) {
+    throw new Error('Offset must be >= 0');
+  }
+
+  return { offset: offset, count: limit };
+};
+
+class ZSetOperations {
+  constructor(connectionManager, keyPolicy = new KeyPolicy()) {
+    this.connectionManager = connectionManager;
+    this.keyPolicy = keyPolicy;
+  }
+
+  // Add members to a sorted set (ZADD)
+  async zAdd(params) {
+    if (!ALLOW_INSERT) {
+      throw new Error('Insert operations are not allowed');
+    }
+
+    const { key, members, condition, comparison, connection, db } = params;
+
+    if (!key || typeof key !== 'string') {
+      throw new Error('Missing or invalid key parameter');
+    }
+
+    this.keyPolicy.assert('insert', key);
+
+    const entries = normalizeZSetMembers(members);
+
+    if (condition !== undefined && condition !== 'nx' && condition !== 'xx') {
+      throw new Error("condition must be 'nx' or 'xx'");
+    }
+
+    if (comparison !== undefined && comparison !== 'gt' && comparison !== 'lt') {
+      throw new Error("comparison must be 'gt' or 'lt'");
+    }
+
+    if (condition === 'nx' && comparison) {
+      throw new Error('comparison cannot be combined with condition nx');
+    }
+
+    const client = await this.connectionManager.getClient(connection, db);
+
+    try {
+      // CH: count updated scores as well as new members
+      const changed = await client.zAdd(key, entries, {
+        NX: condition === 'nx',
+        XX: condition === 'xx',
+        GT: comparison === 'gt',
+        LT: comparison === 'lt',
+        CH: true
+      });
+
+      return {
+        key: key,
+        changed: changed,
+        size: await client.zCard(key)
+      };
+    } catch (err) {
+      throw new Error(`Failed to add sorted set members: ${err.message}`);
+    }
+  }
+
+  // Increment the score of a member (ZINCRBY), which adds the member and creates the key if
+  // missing. With ttlIfNew the key gets that TTL if this call created it
+  async zIncrBy(params) {
+    if (!ALLOW_INSERT || !ALLOW_UPDATE) {
+      throw new Error('Counter operations require insert and update permissions');
+    }
+
+    const { key, member, increment, ttlIfNew, connection, db } = params;
+
+    if (!key || typeof key !== 'string') {
+      throw new Error('Missing or invalid key parameter');
+    }
+
+    if (member === undefined || member === null || typeof member === 'object') {
+      throw new Error('Missing or invalid member parameter');
+    }
+
+    checkNumber(increment, 'increment');
+    checkTtlIfNew(ttlIfNew);
+
+    this.keyPolicy.assert('insert', key);
+    this.keyPolicy.assert('update', key);
+
+    const client = await this.connectionManager.getClient(connection, db);
+
+    try {
+      const counter = await incrementMember(client, key, ['zIncrBy', increment, String(member)], ttlIfNew);
+
+      return {
+        key: key,
+        member: String(member),
+        score: Number(counter.value),
+        ...(counter.created !== undefined ? { created: counter.created } : {})
+      };
+    } catch (err) {
+      throw new Error(`Failed to increment sorted set member: ${errorMessage(err)}`);
+    }
+  }
+
+  // Remove members from a sorted set (ZREM)
+  async zRem(params) {
+    if (!ALLOW_DELETE) {
+      throw new Error('Delete operations are not allowed');
+    }
+
+    const { key, members, connection, db } = params;
+
+    if (!key || typeof key !== 'string') {
+      throw new Error('Missing or invalid key parameter');
+    }
+
+    if (!Array.isArray(members) || members.length === 0) {
+      throw new Error('members must be a non-empty array');
+    }
+
+    this.keyPolicy.assert('delete', key);
+
+    const client = await this.connectionManager.getClient(connection, db);
+
+    try {
+      const removed = await client.zRem(key, members.map(String));
+
+      return {
+        key: key,
+        removed: removed,
+        size: await client.zCard(key)
+      };
+    } catch (err) {
+      throw new Error(`Failed to remove sorted set members: ${err.message}`);
+    }
+  }
+
+  // Members with scores between min and max (ZRANGE ... BYSCORE)
+  async zRangeByScore(params) {
+    const { key, min = '-inf', max = '+inf', limit = 100, offset = 0, reverse = false, connection, db } = params;
+
+    if (!key || typeof key !== 'string') {
+      throw new Error('Missing or invalid key parameter');
+    }
+
+    this.keyPolicy.assert('read', key);
+
+    // Validate bounds; "(" marks an exclusive bound
+    for (const bound of [min, max]) {
+      const value = typeof bound === 'string' ? bound.replace(/^\(/, '') : bound;
+      if (typeof value !== 'number' && !/^[+-]?inf$/i.test(value) && (value === '' || Number.isNaN(Number(value)))) {
+        throw new Error(`Invalid score bound: ${bound}`);
+      }
+    }
+
+    const range = normalizeRangeLimit(limit, offset);
+    const client = await this.connectionManager.getClient(connection, db);
+
+    try {
+      // With REV the range is given from max to min
+      const items = await client.zRangeWithScores(key, reverse ? max : min, reverse ? min : max, {
+        BY: 'SCORE',
+        REV: reverse || undefined,
+        LIMIT: range
+      });
+
+      return {
+        key: key,
+        min: min,
+        max: max,
+        reverse: reverse,
+        limit: limit,
+        offset: offset,
+        members: toMemberScorePairs(items),
+        total: await client.zCount(key, min, max)
+      };
+    } catch (err) {
+      throw new Error(`Failed to get sorted set range: ${err.message}`);
+    }
+  }
+
+  // Members between lexicographical bounds (ZRANGE ... BYLEX)
+  async zRangeByLex(params) {
+    const { key, min = '-', max = '+', limit = 100, offset = 0, reverse = false, connection, db } = params;
+
+    if (!key || typeof key !== 'string') {
+      throw new Error('Missing or invalid key parameter');
+    }
+
+    for (const bound of [min, max]) {
+      if (typeof bound !== 'string' || !(bound === '-' || bound === '+' || /^[[(]/.test(bound))) {
+        throw new Error("Lex bounds must be '-', '+', or start with '[' (inclusive) or '(' (exclusive)");
+      }
+    }
+
+    this.keyPolicy.assert('read', key);
+
+    const range = normalizeRangeLimit(limit, offset);
+    const client = await this.connectionManager.getClient(connection, db);
+
+    try {
+      const members = await client.zRange(key, reverse ? max : min, reverse ? min : max, {
+        BY: 'LEX',
+        REV: reverse || undefined,
+        LIMIT: range
+      });
+
+      return {
+        key: key,
+        min: min,
+        max: max,
+        reverse: reverse,
+        limit: limit,
+        offset: offset,
+        members: members,
+        total: await client.zLexCount(key, min, max)
+      };
+    } catch (err) {
+      throw new Error(`Failed to get sorted set range: ${err.message}`);
+    }
+  }
+
+  // Intersection or union of sorted sets with weights and an aggregate (ZINTER / ZUNION),
+  // returned or stored in a destination key
+  async zCombine(params) {
+    const { operation, keys, weights, aggregate, store, limit = 1000, connection, db } = params;
+
+    if (operation !== 'inter' && operation !== 'union') {
+      throw new Error("operation must be 'inter' or 'union'");
+    }
+
+    checkAlgebraKeys(keys);
+
+    for (const key of keys) {
+      if (!key || typeof key !== 'string') {
+        throw new Error('Missing or invalid key parameter');
+      }
+      this.keyPolicy.assert('read', key);
+    }
+
+    if (weights !== undefined && (!Array.isArray(weights) || weights.length !== keys.length ||
+      weights.some(weight => typeof weight !== 'number' || !Number.isFinite(weight)))) {
+      throw new Error('weights must be an array of numbers, one per key');
+    }
+
+    if (aggregate !== undefined && !['sum', 'min', 'max'].includes(aggregate)) {
+      throw new Error("aggregate must be 'sum', 'min' or 'max'");
+    }
+
+    if (store !== undefined) {
+      if (!ALLOW_INSERT) {
+        throw new Error('Insert operations are not allowed; store requires ALLOW_INSERT');
+      }
+      if (!store || typeof store !== 'string') {
+        throw new Error('Missing or invalid store parameter');
+      }
+      this.keyPolicy.assert('insert', store);
+    }
+
+    normalizeLimit(limit);
+
+    const client = await this.connectionManager.getClient(connection, db);
+    const command = operation === 'inter' ? 'zInter' : 'zUnion';
+    const options = {
+      WEIGHTS: weights,
+      AGGREGATE: aggregate ? aggregate.toUpperCase() : undefined
+    };
+
+    try {
+      if (store !== undefined) {
+        return {
+          keys: keys,
+          store: store,
+          size: await client[`${command}Store`](store, keys, options)
+        };
+      }
+
+      const args = [];
+      if (weights !== undefined) {
+        args.push('WEIGHTS', ...weights.map(String));
+      }
+      if (options.AGGREGATE) {
+        args.push('AGGREGATE', options.AGGREGATE);
+      }
+      args.push('WITHSCORES');
+
+      const { items, total, truncated } = await capMembers(client, command.toUpperCase(), keys, limit, {
+        options: args,
+        withScores: true,
+        native: async () => (await client[`${command}WithScores`](keys, options))
+          .flatMap(({ value, score }) => [value, score])
+      });
+
+      const members = [];
+      for (let i = 0; i < items.length; i += 2) {
+        members.push({ member: items[i], score: parseScore(items[i + 1], items[i]) });
+      }
+
+      return {
+        keys: keys,
+        members: members,
+        total: total,
+        truncated: truncated
+      };
+    } catch (err) {
+      throw new Error(`Failed to compute sorted set ${operation === 'inter' ? 'intersection' : 'union'}: ${err.message}`);
+    }
+  }
+}
+
+module.exports = {
+  ZSetOperations,
+  normalizeZSetMembers,
+  toMemberScorePairs
+};
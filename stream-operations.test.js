@@ -0,0 +1,57 @@
+// Stream writes: trimming on xadd is a delete and needs its permission and key policy
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.ALLOW_INSERT = 'true';
+process.env.ALLOW_DELETE = 'true';
+
+const StreamOperations = require('./src/utils/stream-operations');
+const { KeyPolicy } = require('./src/utils/key-policy');
+const { stubConnectionManager } = require('./test-helpers');
+
+// Client recording the XADD calls
+const createClient = () => {
+  const client = {
+    added: [],
+    xAdd: async (key, id, message, options) => {
+      client.added.push([key, id, message, options]);
+      return '1-0';
+    },
+    xLen: async () => client.added.length
+  };
+  return client;
+};
+
+test('xadd passes the MAXLEN / MINID trimming options', async () => {
+  const client = createClient();
+  const streams = new StreamOperations(stubConnectionManager(client));
+
+  const result = await streams.xAdd({ key: 'events', fields: { n: 1 }, maxlen: 10, approximate: true });
+  assert.deepEqual(result, { key: 'events', id: '1-0', length: 1 });
+  await streams.xAdd({ key: 'events', fields: { n: 2 }, minid: '5-0' });
+
+  assert.deepEqual(client.added, [
+    ['events', '*', { n: '1' }, { TRIM: { strategy: 'MAXLEN', threshold: 10, strategyModifier: '~' } }],
+    ['events', '*', { n: '2' }, { TRIM: { strategy: 'MINID', threshold: '5-0', strategyModifier: '=' } }]
+  ]);
+});
+
+test('xadd with trimming needs the key policy to allow delete', async () => {
+  const client = createClient();
+  const keyPolicy = new KeyPolicy([{ effect: 'deny', operations: ['delete'], keys: 'audit:*' }]);
+  const streams = new StreamOperations(stubConnectionManager(client), keyPolicy);
+
+  await assert.rejects(streams.xAdd({ key: 'audit:log', fields: { a: 'b' }, maxlen: 100 }), /Key 'audit:log' is not allowed for delete operations/);
+  await assert.rejects(streams.xAdd({ key: 'audit:log', fields: { a: 'b' }, minid: '0-1' }), /not allowed for delete operations/);
+  assert.equal(client.added.length, 0);
+
+  await streams.xAdd({ key: 'audit:log', fields: { a: 'b' } });
+  assert.equal(client.added.length, 1);
+});
+
+test('xadd validates fields and trimming options', async () => {
+  const streams = new StreamOperations(stubConnectionManager(createClient()));
+  await assert.rejects(streams.xAdd({ key: 's', fields: {} }), /fields must be a non-empty object/);
+  await assert.rejects(streams.xAdd({ key: 's', fields: { a: 'b' }, maxlen: 1, minid: '1-0' }), /Use either maxlen or minid/);
+  await assert.rejects(streams.xAdd({ key: 's', fields: { a: 'b' }, maxlen: -1 }), /maxlen must be a non-negative integer/);
+});
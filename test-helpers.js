@@ -0,0 +1,13 @@
+// Shared fixtures of the unit tests (*.test.js)
+
+// Connection registry stand-in that hands out one client for every connection and db
+const stubConnectionManager = (client, mode = 'standalone') => ({
+  resolveName: name => name || 'default',
+  getClient: async () => client,
+  getNodeClient: async () => client,
+  getConnectionInfo: () => ({ mode: mode })
+});
+
+module.exports = {
+  stubConnectionManager
+};
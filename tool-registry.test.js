@@ -0,0 +1,121 @@
+// Unit tests for the tool registry: permissions, shared properties and schema validation
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ToolRegistry = require('./src/utils/tool-registry');
+
+// Registry with one permission granted, one denied and a shared db property
+const createRegistry = () => new ToolRegistry({
+  permissions: { insert: true, delete: false },
+  sharedProperties: {
+    db: { type: 'integer', minimum: 0, maximum: 15 },
+    disabled: () => null
+  },
+  defaultShared: ['db']
+})
+  .register({
+    name: 'set_value',
+    description: 'Set a value',
+    inputSchema: {
+      properties: {
+        key: { type: 'string' },
+        value: { type: ['string', 'number'] },
+        mode: { type: 'string', enum: ['nx', 'xx'] },
+        ttl: { type: 'integer', minimum: 1 },
+        tags: { type: 'array', items: { type: 'string' } },
+        entry: {
+          type: 'object',
+          properties: { member: { type: 'string' }, score: { type: 'number' } },
+          required: ['member']
+        }
+      },
+      required: ['key']
+    },
+    permissions: ['insert'],
+    shared: ['db', 'disabled'],
+    handler: args => ({ called: args })
+  })
+  .register({
+    name: 'delete_value',
+    inputSchema: { properties: { key: { type: 'string' } }, required: ['key'] },
+    permissions: ['delete'],
+    handler: () => ({ deleted: true })
+  });
+
+// Error message of a validation, or null when the arguments are valid
+const validationError = (args) => {
+  const registry = createRegistry();
+  try {
+    registry.validate(registry.resolve('set_value'), args);
+    return null;
+  } catch (err) {
+    assert.equal(err.code, -32602);
+    return err.message;
+  }
+};
+
+test('register rejects duplicates, missing handlers and unknown permissions', () => {
+  const registry = createRegistry();
+  assert.throws(() => registry.register({ name: 'set_value', handler: () => {} }), /already registered/);
+  assert.throws(() => registry.register({ name: 'no_handler' }), /requires a name and a handler/);
+  assert.throws(() => registry.register({ name: 'odd', permissions: ['admin'], handler: () => {} }), /Unknown permission category 'admin'/);
+});
+
+test('list hides tools whose permissions are not granted and adds shared properties', () => {
+  const tools = createRegistry().list();
+  assert.deepEqual(tools.map(tool => tool.name), ['set_value']);
+
+  const schema = tools[0].inputSchema;
+  assert.equal(schema.additionalProperties, false);
+  assert.deepEqual(schema.required, ['key']);
+  assert.deepEqual(schema.properties.db, { type: 'integer', minimum: 0, maximum: 15 });
+  assert.equal('disabled' in schema.properties, false);
+});
+
+test('resolve rejects unknown and not permitted tools alike', () => {
+  const registry = createRegistry();
+  assert.throws(() => registry.resolve('missing'), { code: -32602, message: 'Unknown tool: missing' });
+  assert.throws(() => registry.resolve('delete_value'), { code: -32602, message: /requires delete permission/ });
+  assert.throws(() => registry.resolve(''), /Missing tool name/);
+});
+
+test('validate accepts valid arguments and optional nulls', () => {
+  assert.equal(validationError({ key: 'a' }), null);
+  assert.equal(validationError({ key: 'a', value: 3, mode: 'nx', ttl: 10, db: 2 }), null);
+  assert.equal(validationError({ key: 'a', ttl: null }), null);
+  assert.equal(validationError({ key: 'a', tags: ['x', 'y'], entry: { member: 'm', score: 1.5 } }), null);
+});
+
+test('validate rejects missing, unknown and mistyped arguments', () => {
+  assert.match(validationError({}), /'key' is required/);
+  assert.match(validationError({ key: null }), /'key' is required/);
+  assert.match(validationError([]), /arguments must be an object/);
+  assert.match(validationError({ key: 'a', extra: 1 }), /unknown argument 'extra'/);
+  assert.match(validationError({ key: 'a', disabled: 1 }), /unknown argument 'disabled'/);
+  assert.match(validationError({ key: 1 }), /'key' must be of type string/);
+  assert.match(validationError({ key: 'a', value: true }), /'value' must be of type string or number/);
+  assert.match(validationError({ key: 'a', value: Infinity }), /'value' must be of type string or number/);
+  assert.match(validationError({ key: 'a', ttl: 1.5 }), /'ttl' must be of type integer/);
+});
+
+test('inherited object names are not accepted as arguments', () => {
+  for (const field of ['constructor', 'toString', 'hasOwnProperty']) {
+    assert.match(validationError({ key: 'a', [field]: 1 }), new RegExp(`unknown argument '${field}'`));
+  }
+  assert.match(validationError(JSON.parse('{"key": "a", "__proto__": {}}')), /unknown argument '__proto__'/);
+});
+
+test('validate checks enum, minimum, maximum, items and nested objects', () => {
+  assert.match(validationError({ key: 'a', mode: 'gt' }), /'mode' must be one of: nx, xx/);
+  assert.match(validationError({ key: 'a', ttl: 0 }), /'ttl' must be >= 1/);
+  assert.match(validationError({ key: 'a', db: 16 }), /'db' must be <= 15/);
+  assert.match(validationError({ key: 'a', tags: ['x', 2] }), /'tags\[1\]' must be of type string/);
+  assert.match(validationError({ key: 'a', entry: { score: 1 } }), /'entry.member' is required/);
+  assert.match(validationError({ key: 'a', entry: { member: 'm', score: 'high' } }), /'entry.score' must be of type number/);
+});
+
+test('call validates before running the handler', async () => {
+  const registry = createRegistry();
+  assert.deepEqual(await registry.call('set_value', { key: 'a' }), { called: { key: 'a' } });
+  await assert.rejects(registry.call('set_value', { key: 'a', ttl: -1 }), /'ttl' must be >= 1/);
+  await assert.rejects(registry.call('delete_value', { key: 'a' }), /requires delete permission/);
+});
@@ -0,0 +1,158 @@
+// Unit tests for transaction operations: the commands each tool queues and how replies map back
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Every permission is granted; the flags are read when the modules load
+for (const flag of ['ALLOW_INSERT', 'ALLOW_UPDATE', 'ALLOW_DELETE', 'ALLOW_CREATE', 'ALLOW_DROP']) {
+  process.env[flag] = 'true';
+}
+
+const { WatchError } = require('redis');
+const { KeyPolicy } = require('./src/utils/key-policy');
+const { TransactionOperations } = require('./src/utils/transaction-operations');
+const { MEMBER_INCREMENT_SCRIPT } = require('./src/utils/counter-operations');
+const { stubConnectionManager } = require('./test-helpers');
+
+// Connection manager whose client records queued commands and answers EXEC with replies
+const createConnectionManager = (exec) => {
+  const queued = [];
+  const multi = new Proxy({}, {
+    get: (target, method) => (method === 'exec'
+      ? async () => exec(queued)
+      : (...args) => {
+        queued.push([method, ...args]);
+        return multi;
+      })
+  });
+
+  return {
+    ...stubConnectionManager({ multi: () => multi }),
+    queued: queued
+  };
+};
+
+const transactions = new TransactionOperations(createConnectionManager(), new KeyPolicy(null));
+
+// Commands queued for one operation
+const commandsOf = (tool, args) => transactions.prepare({ tool: tool, args: args }).commands;
+
+test('set_data writes strings with SET and its options', () => {
+  assert.deepEqual(commandsOf('set_data', { key: 'a', value: { b: 1, a: 2 }, ttl: 30, condition: 'nx' }), [
+    ['set', 'a', '{"a":2,"b":1}', { EX: 30, KEEPTTL: undefined, NX: true, XX: false, GET: undefined }]
+  ]);
+});
+
+test('set_data writes collections like the set_data tool', () => {
+  assert.deepEqual(commandsOf('set_data', { key: 'l', type: 'list', value: ['a', 'b'], ttl: 5 }), [
+    ['del', 'l'], ['rPush', 'l', ['a', 'b']], ['expire', 'l', 5]
+  ]);
+  assert.deepEqual(commandsOf('set_data', { key: 'l', type: 'list', value: [] }), [['del', 'l'], ['rPush', 'l', '']]);
+  assert.deepEqual(commandsOf('set_data', { key: 'l', type: 'list', value: 'c' }), [['rPush', 'l', 'c']]);
+  assert.deepEqual(commandsOf('set_data', { key: 's', type: 'set', value: [] }), [['del', 's']]);
+  assert.deepEqual(commandsOf('set_data', { key: 's', type: 'set', value: 'm' }), [['sAdd', 's', 'm']]);
+  assert.deepEqual(commandsOf('set_data', { key: 'h', type: 'hash', value: { n: 1, s: 'x' } }), [
+    ['del', 'h'], ['hSet', 'h', { n: '1', s: 'x' }]
+  ]);
+  assert.deepEqual(commandsOf('set_data', { key: 'z', type: 'zset', value: { m: 2 } }), [
+    ['del', 'z'], ['zAdd', 'z', [{ value: 'm', score: 2 }]]
+  ]);
+  assert.throws(() => commandsOf('set_data', { key: 'h', type: 'hash', value: 'x' }), /Hash value must be an object/);
+});
+
+test('tools translate to their commands', () => {
+  assert.deepEqual(commandsOf('rename_key', { oldKey: 'a', newKey: 'b' }), [['renameNX', 'a', 'b']]);
+  assert.deepEqual(commandsOf('lpush', { key: 'l', values: ['a', 'b', 'c'] }), [['lPush', 'l', ['c', 'b', 'a']]]);
+  assert.deepEqual(commandsOf('incr_by', { key: 'c', increment: 1, ttl_if_new: 60 }), [
+    ['set', 'c', '0', { EX: 60, NX: true }], ['incrBy', 'c', 1]
+  ]);
+  assert.deepEqual(commandsOf('zincrby', { key: 'z', member: 7, increment: 1.5, ttl_if_new: 10 }), [
+    ['eval', MEMBER_INCREMENT_SCRIPT, { keys: ['z'], arguments: ['ZINCRBY', '1.5', '7', '10'] }]
+  ]);
+  assert.deepEqual(commandsOf('hincr_by_float', { key: 'h', field: 'f', increment: 2, ttl_if_new: 5 }), [
+    ['eval', MEMBER_INCREMENT_SCRIPT, { keys: ['h'], arguments: ['HINCRBYFLOAT', 'f', '2', '5'] }]
+  ]);
+  assert.deepEqual(commandsOf('zincrby', { key: 'z', member: 'm', increment: 1 }), [['zIncrBy', 'z', 1, 'm']]);
+});
+
+test('operations are checked before anything is queued', () => {
+  assert.throws(() => commandsOf('get_data', { key: 'a' }), /get_data cannot run in a transaction/);
+  assert.throws(() => commandsOf('incr_by', { key: 'a', increment: 1.5 }), /increment must be an integer/);
+  assert.throws(() => commandsOf('incr_by', { key: 'a', increment: 1, ttl_if_new: 0 }), /ttl_if_new must be a positive integer/);
+  assert.throws(() => commandsOf('hset_fields', { key: 'h', fields: {} }), /fields must be a non-empty object/);
+  assert.throws(() => commandsOf('rename_key', { oldKey: 'a' }), /Missing or invalid newKey parameter/);
+
+  const guarded = new TransactionOperations(createConnectionManager(), new KeyPolicy([{ effect: 'deny', operations: 'drop', keys: 'keep:*' }]));
+  assert.throws(() => guarded.prepare({ tool: 'rename_key', args: { oldKey: 'keep:a', newKey: 'b' } }), /not allowed for drop operations/);
+});
+
+test('set_data needs update unless it only creates a string', () => {
+  const guarded = new TransactionOperations(createConnectionManager(), new KeyPolicy([{ effect: 'deny', operations: 'update', keys: 'keep:*' }]));
+  const prepare = args => guarded.prepare({ tool: 'set_data', args: args });
+
+  assert.throws(() => prepare({ key: 'keep:a', value: 'x' }), /Key 'keep:a' is not allowed for update operations/);
+  assert.throws(() => prepare({ key: 'keep:a', value: 'x', condition: 'xx' }), /not allowed for update operations/);
+  assert.throws(() => prepare({ key: 'keep:l', type: 'list', value: ['a'] }), /not allowed for update operations/);
+  assert.deepEqual(prepare({ key: 'keep:a', value: 'x', condition: 'nx' }).commands, [
+    ['set', 'keep:a', 'x', { EX: undefined, KEEPTTL: undefined, NX: true, XX: false, GET: undefined }]
+  ]);
+});
+
+test('execute maps replies back to each operation', async () => {
+  const connectionManager = createConnectionManager(() => [
+    1, 2,
+    'OK', 3,
+    false,
+    ['2.5', 1]
+  ]);
+  const result = await new TransactionOperations(connectionManager, new KeyPolicy(null)).execute({
+    operations: [
+      { tool: 'set_data', args: { key: 'l', type: 'list', value: ['a', 'b'] } },
+      { tool: 'incr_by', args: { key: 'c', increment: 3, ttl_if_new: 60 } },
+      { tool: 'rename_key', args: { oldKey: 'a', newKey: 'b' } },
+      { tool: 'zincrby', args: { key: 'z', member: 'm', increment: 2.5, ttl_if_new: 60 } }
+    ]
+  });
+
+  assert.deepEqual(connectionManager.queued.map(([method]) => method), ['del', 'rPush', 'set', 'incrBy', 'renameNX', 'eval']);
+  assert.deepEqual(result, {
+    committed: true,
+    failed: 1,
+    results: [
+      { tool: 'set_data', ok: true, result: 2 },
+      { tool: 'incr_by', ok: true, value: 3, created: true },
+      { tool: 'rename_key', ok: false, error: "Target key 'b' already exists" },
+      { tool: 'zincrby', ok: true, score: 2.5, created: true }
+    ]
+  });
+});
+
+test('execute reports commands that fail while executing', async () => {
+  const connectionManager = createConnectionManager(() => {
+    const err = new Error('MULTI failed');
+    err.replies = [new Error('WRONGTYPE Operation against a key holding the wrong kind of value'), 1];
+    err.errorIndexes = [0];
+    throw err;
+  });
+  const result = await new TransactionOperations(connectionManager, new KeyPolicy(null)).execute({
+    operations: [
+      { tool: 'incr_by', args: { key: 'list', increment: 1 } },
+      { tool: 'rename_key', args: { oldKey: 'a', newKey: 'b' } }
+    ]
+  });
+
+  assert.equal(result.failed, 1);
+  assert.deepEqual(result.results[0], { tool: 'incr_by', ok: false, error: 'WRONGTYPE Operation against a key holding the wrong kind of value' });
+  assert.deepEqual(result.results[1], { tool: 'rename_key', ok: true, oldKey: 'a', newKey: 'b', renamed: true });
+});
+
+test('execute aborts when a watched key changed', async () => {
+  const { multi } = await createConnectionManager(() => {
+    throw new WatchError();
+  }).getClient();
+  const connectionManager = stubConnectionManager({ executeIsolated: run => run({ watch: async () => {}, multi: multi }) });
+  const transaction = new TransactionOperations(connectionManager, new KeyPolicy(null));
+
+  const result = await transaction.execute({ operations: [{ tool: 'delete_data', args: { key: 'a' } }], watch: ['a'] });
+  assert.equal(result.committed, false);
+  assert.match(result.aborted, /watched key was changed/);
+});
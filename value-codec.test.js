@@ -0,0 +1,87 @@
+// Unit tests for value encodings: write/read round-trips, codec detection and big integers
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { decodeValue, decodeAs, encodeValue, bytesToText, stableStringify } = require('./src/utils/value-codec');
+
+// Encode a value and read the stored bytes back with the same encoding
+const roundTrip = (value, encoding) => decodeAs(Buffer.from(encodeValue(value, encoding)), encoding);
+
+test('values read back with the encoding they were written with', () => {
+  assert.deepEqual(roundTrip('plain text', 'string'), { value: 'plain text', codec: 'string' });
+  assert.deepEqual(roundTrip({ b: [1, true, null], a: 'x' }, 'json'), { value: { a: 'x', b: [1, true, null] }, codec: 'json' });
+  assert.deepEqual(roundTrip('on', 'json'), { value: 'on', codec: 'json' });
+  assert.deepEqual(roundTrip(42, 'json'), { value: 42, codec: 'json' });
+  assert.deepEqual(roundTrip(-1.5, 'number'), { value: -1.5, codec: 'number' });
+  assert.deepEqual(roundTrip('12', 'number'), { value: 12, codec: 'number' });
+  assert.deepEqual(roundTrip('AAEC/w==', 'base64'), { value: 'AAEC/w==', codec: 'base64' });
+});
+
+test('the encoding is not stored, so a JSON scalar reads back as its text without it', () => {
+  const stored = Buffer.from(encodeValue('on', 'json'));
+  assert.equal(stored.toString(), '"on"');
+  assert.deepEqual(decodeValue(stored), { value: '"on"', codec: null });
+  assert.deepEqual(decodeAs(stored, 'json'), { value: 'on', codec: 'json' });
+});
+
+test('without an encoding, strings, numbers and other values are stored as expected', () => {
+  assert.equal(encodeValue('text'), 'text');
+  assert.equal(encodeValue(7), '7');
+  assert.equal(encodeValue(false), 'false');
+  assert.equal(encodeValue({ b: 1, a: 2 }), '{"a":2,"b":1}');
+});
+
+test('invalid values and encodings are rejected', () => {
+  assert.throws(() => encodeValue(1, 'string'), /encoding 'string' needs a string value/);
+  assert.throws(() => encodeValue('x', 'number'), /encoding 'number' needs a finite number/);
+  assert.throws(() => encodeValue('not base64!', 'base64'), /encoding 'base64' needs a base64 string/);
+  assert.throws(() => encodeValue('x', 'yaml'), /encoding must be one of/);
+  assert.throws(() => decodeAs(Buffer.from('{'), 'json'), /Value is not JSON/);
+  assert.throws(() => decodeAs(Buffer.from('abc'), 'number'), /Value is not a number/);
+  assert.throws(() => decodeAs(Buffer.from([0xff, 0xfe]), 'string'), /not UTF-8 text/);
+});
+
+test('stableStringify sorts object keys at every level and keeps array order', () => {
+  assert.equal(stableStringify({ b: { d: 1, c: [3, { f: 0, e: 0 }] }, a: null }), '{"a":null,"b":{"c":[3,{"e":0,"f":0}],"d":1}}');
+  assert.equal(stableStringify([2, 1]), '[2,1]');
+  assert.equal(stableStringify('x'), '"x"');
+});
+
+test('common encodings are detected and unwrapped', () => {
+  const json = '{"user":"ada","roles":["admin"]}';
+  const expected = { user: 'ada', roles: ['admin'] };
+
+  assert.deepEqual(decodeValue(Buffer.from(json)), { value: expected, codec: 'json' });
+  assert.deepEqual(decodeValue(zlib.gzipSync(json)), { value: expected, codec: 'gzip+json' });
+  assert.deepEqual(decodeValue(zlib.deflateSync(json)), { value: expected, codec: 'zlib+json' });
+  assert.deepEqual(decodeValue(Buffer.from(zlib.gzipSync(json).toString('base64'))), { value: expected, codec: 'base64+gzip+json' });
+  assert.deepEqual(decodeValue(Buffer.from([0x82, 0xa1, 0x61, 0x01, 0xa1, 0x62, 0x92, 0xc3, 0xc0])), { value: { a: 1, b: [true, null] }, codec: 'msgpack' });
+  assert.deepEqual(decodeValue(Buffer.from('a:2:{i:0;s:1:"x";i:1;b:1;}')), { value: ['x', true], codec: 'php' });
+  assert.deepEqual(decodeValue(Buffer.from('O:4:"User":1:{s:4:"name";s:3:"ada";}')), { value: { __class: 'User', name: 'ada' }, codec: 'php' });
+  assert.deepEqual(decodeValue(Buffer.from([0xac, 0xed, 0x00, 0x05, 0x73])), { value: 'rO0ABXM=', codec: 'java' });
+  assert.deepEqual(decodeValue(Buffer.from([0xff, 0x00, 0x10])), { value: '/wAQ', codec: 'binary' });
+});
+
+test('plain text is not mistaken for an encoding', () => {
+  assert.deepEqual(decodeValue(Buffer.from('hello world')), { value: 'hello world', codec: null });
+  assert.deepEqual(decodeValue(Buffer.from('42')), { value: '42', codec: null });
+  assert.deepEqual(decodeValue(Buffer.from('QUJDREVGR0hJSktMTU5PUA==')), { value: 'QUJDREVGR0hJSktMTU5PUA==', codec: null });
+  assert.deepEqual(decodeValue(Buffer.from('{not json')), { value: '{not json', codec: null });
+  assert.deepEqual(bytesToText(Buffer.from('text')), { value: 'text', codec: null });
+  assert.deepEqual(bytesToText(Buffer.from([0xff])), { value: '/w==', codec: 'binary' });
+});
+
+test('integers beyond 2^53 are returned as exact strings', () => {
+  assert.deepEqual(
+    decodeValue(Buffer.from('{"id":12345678901234567890,"small":42,"neg":-9007199254740993,"float":1.5,"text":"9007199254740993"}')).value,
+    { id: '12345678901234567890', small: 42, neg: '-9007199254740993', float: 1.5, text: '9007199254740993' }
+  );
+  assert.deepEqual(decodeValue(Buffer.from('[9007199254740991,9007199254740992]')).value, [9007199254740991, '9007199254740992']);
+  assert.deepEqual(decodeAs(Buffer.from('18446744073709551615'), 'json'), { value: '18446744073709551615', codec: 'json' });
+  assert.deepEqual(decodeAs(Buffer.from('"a \\" 12345678901234567890"'), 'json').value, 'a " 12345678901234567890');
+
+  const msgpack = Buffer.concat([Buffer.from([0x81, 0xa1, 0x6e, 0xcf]), Buffer.from('ffffffffffffffff', 'hex')]);
+  assert.deepEqual(decodeValue(msgpack), { value: { n: '18446744073709551615' }, codec: 'msgpack' });
+
+  assert.deepEqual(decodeValue(Buffer.from('a:1:{i:0;i:99999999999999999999;}')), { value: ['99999999999999999999'], codec: 'php' });
+});